@@ -0,0 +1,57 @@
+-- Baseline: the users and mentors schema from before migrations and the features built on it.
+-- Databases that already have these tables (set up by `prisma db push` or the old startup DDL)
+-- mark it as applied instead of running it, then apply the rest with `npm run db:migrate`:
+--   npx prisma migrate resolve --applied 20261018000000_baseline
+-- The migrations after it only create what is missing, so they also run on databases where the
+-- old startup DDL already added some of their tables and columns.
+
+-- CreateTable
+CREATE TABLE "users" (
+    "id" SERIAL NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "password" VARCHAR(255),
+    "google_id" VARCHAR(255),
+    "name" VARCHAR(255),
+    "first_name" VARCHAR(255),
+    "last_name" VARCHAR(255),
+    "image" VARCHAR(500),
+    "birthdate" DATE,
+    "profession" VARCHAR(255),
+    "last_active" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "mentors" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "title" VARCHAR(255) NOT NULL,
+    "bio" TEXT,
+    "image" VARCHAR(500),
+    "years_of_experience" INTEGER,
+    "timezone" VARCHAR(100),
+    "hourly_rate" DECIMAL(10,2),
+    "currency" VARCHAR(10),
+    "languages" JSONB,
+    "is_approved" BOOLEAN NOT NULL DEFAULT false,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mentors_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_email_key" ON "users"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_google_id_key" ON "users"("google_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mentors_user_id_key" ON "mentors"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "mentors" ADD CONSTRAINT "mentors_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
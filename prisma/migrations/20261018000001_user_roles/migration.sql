@@ -0,0 +1,42 @@
+-- User roles and the mentor approval workflow
+
+DO $$ BEGIN
+  CREATE TYPE "user_role" AS ENUM ('user', 'mentor', 'admin');
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  CREATE TYPE "mentor_approval_status" AS ENUM ('pending', 'approved', 'rejected', 'suspended');
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+-- Existing mentors get the mentor role and keep their approval; only when the columns are new,
+-- so later role and status changes are never overwritten
+DO $$ BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'role') THEN
+    ALTER TABLE "users" ADD COLUMN "role" "user_role" NOT NULL DEFAULT 'user';
+    UPDATE "users" SET "role" = 'mentor' WHERE "id" IN (SELECT "user_id" FROM "mentors");
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'mentors' AND column_name = 'approval_status') THEN
+    ALTER TABLE "mentors" ADD COLUMN "approval_status" "mentor_approval_status" NOT NULL DEFAULT 'pending';
+    UPDATE "mentors" SET "approval_status" = 'approved' WHERE "is_approved" = true;
+  END IF;
+END $$;
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "mentor_approval_history" (
+    "id" SERIAL NOT NULL,
+    "mentor_id" INTEGER NOT NULL,
+    "admin_id" INTEGER,
+    "status" "mentor_approval_status" NOT NULL,
+    "reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mentor_approval_history_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "mentor_approval_history_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "mentor_approval_history_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "mentor_approval_history_mentor_id_idx" ON "mentor_approval_history"("mentor_id");
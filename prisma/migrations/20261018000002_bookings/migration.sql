@@ -0,0 +1,33 @@
+-- Session bookings between mentees and mentors
+
+DO $$ BEGIN
+  CREATE TYPE "booking_status" AS ENUM ('pending', 'accepted', 'declined', 'cancelled');
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "bookings" (
+    "id" SERIAL NOT NULL,
+    "mentor_id" INTEGER NOT NULL,
+    "mentee_id" INTEGER NOT NULL,
+    "start_time" TIMESTAMP(3) NOT NULL,
+    "end_time" TIMESTAMP(3) NOT NULL,
+    "status" "booking_status" NOT NULL DEFAULT 'pending',
+    "message" TEXT,
+    "price" DECIMAL(10,2),
+    "currency" VARCHAR(10),
+    "status_reason" TEXT,
+    "cancelled_by_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bookings_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "bookings_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "bookings_mentee_id_fkey" FOREIGN KEY ("mentee_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "bookings_mentor_id_start_time_idx" ON "bookings"("mentor_id", "start_time");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "bookings_mentee_id_start_time_idx" ON "bookings"("mentee_id", "start_time");
@@ -0,0 +1,34 @@
+-- Weekly mentor availability and date-range exceptions
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "mentor_availability" (
+    "id" SERIAL NOT NULL,
+    "mentor_id" INTEGER NOT NULL,
+    "day_of_week" INTEGER NOT NULL,
+    "start_time" VARCHAR(5) NOT NULL,
+    "end_time" VARCHAR(5) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mentor_availability_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "mentor_availability_day_of_week_check" CHECK ("day_of_week" BETWEEN 0 AND 6),
+    CONSTRAINT "mentor_availability_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "mentor_availability_exceptions" (
+    "id" SERIAL NOT NULL,
+    "mentor_id" INTEGER NOT NULL,
+    "start_date" DATE NOT NULL,
+    "end_date" DATE NOT NULL,
+    "reason" VARCHAR(255),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mentor_availability_exceptions_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "mentor_availability_exceptions_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "mentor_availability_mentor_id_idx" ON "mentor_availability"("mentor_id");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "mentor_availability_exceptions_mentor_id_start_date_idx" ON "mentor_availability_exceptions"("mentor_id", "start_date");
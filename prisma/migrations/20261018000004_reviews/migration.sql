@@ -0,0 +1,24 @@
+-- Mentor reviews with the average rating and review count cached on the mentor
+
+-- AlterTable
+ALTER TABLE "mentors" ADD COLUMN IF NOT EXISTS "average_rating" DECIMAL(3,2) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS "review_count" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "reviews" (
+    "id" SERIAL NOT NULL,
+    "mentor_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "rating" INTEGER NOT NULL,
+    "comment" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reviews_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "reviews_rating_check" CHECK ("rating" BETWEEN 1 AND 5),
+    CONSTRAINT "reviews_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "reviews_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "reviews_mentor_id_user_id_key" ON "reviews"("mentor_id", "user_id");
@@ -0,0 +1,4 @@
+-- JSONB containment index for the mentor language filter
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "mentors_languages_idx" ON "mentors" USING GIN ("languages" jsonb_path_ops);
@@ -0,0 +1,66 @@
+-- Mentor full-text and typo-tolerant search
+
+-- Trigram matching for typo-tolerant mentor search
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- AlterTable
+ALTER TABLE "mentors" ADD COLUMN IF NOT EXISTS "search_vector" tsvector,
+ADD COLUMN IF NOT EXISTS "search_text" TEXT;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "mentors_search_vector_idx" ON "mentors" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "mentors_search_text_idx" ON "mentors" USING GIN ("search_text" gin_trgm_ops);
+
+-- Mentor full-text search document, kept up to date by triggers.
+-- Weights: title A, user name and profession B, languages C, bio D
+CREATE OR REPLACE FUNCTION mentors_search_refresh()
+RETURNS TRIGGER AS $$
+DECLARE
+  mentor_user RECORD;
+  language_text TEXT;
+BEGIN
+  SELECT name, profession INTO mentor_user FROM users WHERE id = NEW.user_id;
+
+  SELECT string_agg(concat_ws(' ', lang->>'language', lang->>'code'), ' ')
+  INTO language_text
+  FROM jsonb_array_elements(
+    CASE WHEN jsonb_typeof(NEW.languages) = 'array' THEN NEW.languages ELSE '[]'::jsonb END
+  ) AS lang;
+
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', concat_ws(' ', mentor_user.name, mentor_user.profession)), 'B') ||
+    setweight(to_tsvector('simple', coalesce(language_text, '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(NEW.bio, '')), 'D');
+  NEW.search_text := lower(concat_ws(' ', NEW.title, mentor_user.name, mentor_user.profession, language_text));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS mentors_search_refresh ON mentors;
+CREATE TRIGGER mentors_search_refresh
+BEFORE INSERT OR UPDATE ON mentors
+FOR EACH ROW
+EXECUTE FUNCTION mentors_search_refresh();
+
+-- Renaming a user or changing their profession refreshes their mentor document
+CREATE OR REPLACE FUNCTION users_mentor_search_refresh()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.name IS DISTINCT FROM OLD.name OR NEW.profession IS DISTINCT FROM OLD.profession THEN
+    UPDATE mentors SET search_vector = NULL WHERE user_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS users_mentor_search_refresh ON users;
+CREATE TRIGGER users_mentor_search_refresh
+AFTER UPDATE ON users
+FOR EACH ROW
+EXECUTE FUNCTION users_mentor_search_refresh();
+
+-- Build the document for existing mentors
+UPDATE "mentors" SET "search_vector" = NULL WHERE "search_vector" IS NULL;
@@ -0,0 +1,39 @@
+-- Email verification
+
+-- Accounts that existed before verification was introduced count as verified;
+-- only when the column is new, so unverified sign-ups are never marked verified
+DO $$ BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'email_verified') THEN
+    ALTER TABLE "users" ADD COLUMN "email_verified" BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS "email_verified_at" TIMESTAMP(3);
+    UPDATE "users" SET "email_verified" = true, "email_verified_at" = CURRENT_TIMESTAMP;
+  END IF;
+END $$;
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "email_verified_at" TIMESTAMP(3);
+
+DO $$ BEGIN
+  CREATE TYPE "user_token_type" AS ENUM ('email_verification');
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "user_tokens" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "type" "user_token_type" NOT NULL,
+    "token_hash" VARCHAR(64) NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_tokens_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "user_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "user_tokens_token_hash_key" ON "user_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "user_tokens_user_id_type_idx" ON "user_tokens"("user_id", "type");
@@ -0,0 +1,4 @@
+-- Password reset tokens
+
+-- AlterEnum
+ALTER TYPE "user_token_type" ADD VALUE IF NOT EXISTS 'password_reset';
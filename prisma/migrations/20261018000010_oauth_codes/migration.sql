@@ -0,0 +1,4 @@
+-- One-time codes exchanged for tokens after the Google sign-in redirect
+
+-- AlterEnum
+ALTER TYPE "user_token_type" ADD VALUE IF NOT EXISTS 'oauth_code';
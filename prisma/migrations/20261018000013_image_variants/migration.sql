@@ -0,0 +1,7 @@
+-- Resized variants of uploaded profile images
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "image_variants" JSONB;
+
+-- AlterTable
+ALTER TABLE "mentors" ADD COLUMN IF NOT EXISTS "image_variants" JSONB;
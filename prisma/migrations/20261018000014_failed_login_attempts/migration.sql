@@ -0,0 +1,21 @@
+-- Failed login audit trail used for lockouts
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "failed_login_attempts" (
+    "id" SERIAL NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "user_id" INTEGER,
+    "reason" VARCHAR(50) NOT NULL,
+    "ip_address" VARCHAR(100),
+    "user_agent" VARCHAR(500),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "failed_login_attempts_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "failed_login_attempts_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "failed_login_attempts_email_created_at_idx" ON "failed_login_attempts"("email", "created_at");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "failed_login_attempts_ip_address_created_at_idx" ON "failed_login_attempts"("ip_address", "created_at");
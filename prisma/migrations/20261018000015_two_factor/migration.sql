@@ -0,0 +1,22 @@
+-- TOTP two-factor authentication with one-time recovery codes
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "two_factor_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS "two_factor_secret" VARCHAR(255),
+ADD COLUMN IF NOT EXISTS "two_factor_enabled_at" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "two_factor_last_used_step" INTEGER;
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "two_factor_recovery_codes" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "code_hash" VARCHAR(64) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "two_factor_recovery_codes_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "two_factor_recovery_codes_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "two_factor_recovery_codes_user_id_idx" ON "two_factor_recovery_codes"("user_id");
@@ -0,0 +1,141 @@
+-- Bring databases that were built by the old startup DDL in line with the migrations before this one.
+-- Every statement is a no-op on a database created by those migrations.
+
+-- The startup DDL created a partial unique index on google_id
+DO $$ BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_indexes
+    WHERE tablename = 'users' AND indexname = 'users_google_id_key' AND indexdef LIKE '% WHERE %'
+  ) THEN
+    DROP INDEX "users_google_id_key";
+    CREATE UNIQUE INDEX "users_google_id_key" ON "users"("google_id");
+  END IF;
+END $$;
+
+-- updated_at is set by Prisma (@updatedAt); the old trigger also fired on search refreshes
+DROP TRIGGER IF EXISTS update_mentors_updated_at ON "mentors";
+DROP FUNCTION IF EXISTS update_updated_at_column();
+
+-- Unique constraints become unique indexes, as Prisma creates them
+ALTER TABLE "mentors" DROP CONSTRAINT IF EXISTS "mentors_user_id_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "mentors_user_id_key" ON "mentors"("user_id");
+ALTER TABLE "refresh_tokens" DROP CONSTRAINT IF EXISTS "refresh_tokens_token_hash_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "refresh_tokens_token_hash_key" ON "refresh_tokens"("token_hash");
+ALTER TABLE "user_tokens" DROP CONSTRAINT IF EXISTS "user_tokens_token_hash_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "user_tokens_token_hash_key" ON "user_tokens"("token_hash");
+
+-- Columns the startup DDL left nullable
+UPDATE "mentors" SET "is_approved" = false WHERE "is_approved" IS NULL;
+UPDATE "mentors" SET "is_active" = true WHERE "is_active" IS NULL;
+UPDATE "mentors" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+UPDATE "mentors" SET "updated_at" = "created_at" WHERE "updated_at" IS NULL;
+UPDATE "bookings" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+UPDATE "bookings" SET "updated_at" = "created_at" WHERE "updated_at" IS NULL;
+UPDATE "reviews" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+UPDATE "reviews" SET "updated_at" = "created_at" WHERE "updated_at" IS NULL;
+UPDATE "mentor_approval_history" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+UPDATE "mentor_availability" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+UPDATE "mentor_availability_exceptions" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+UPDATE "refresh_tokens" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+UPDATE "user_tokens" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+UPDATE "two_factor_recovery_codes" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+UPDATE "failed_login_attempts" SET "created_at" = CURRENT_TIMESTAMP WHERE "created_at" IS NULL;
+
+-- AlterTable
+ALTER TABLE "users" ALTER COLUMN "email_verified_at" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "two_factor_enabled_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "mentors" ALTER COLUMN "is_approved" SET NOT NULL,
+ALTER COLUMN "is_active" SET NOT NULL,
+ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "updated_at" SET NOT NULL,
+ALTER COLUMN "updated_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "bookings" ALTER COLUMN "start_time" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "end_time" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "updated_at" SET NOT NULL,
+ALTER COLUMN "updated_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "reviews" ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "updated_at" SET NOT NULL,
+ALTER COLUMN "updated_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "mentor_approval_history" ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "mentor_availability" ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "mentor_availability_exceptions" ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "refresh_tokens" ALTER COLUMN "expires_at" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "revoked_at" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "user_tokens" ALTER COLUMN "expires_at" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "used_at" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "two_factor_recovery_codes" ALTER COLUMN "used_at" SET DATA TYPE TIMESTAMP(3),
+ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "failed_login_attempts" ALTER COLUMN "created_at" SET NOT NULL,
+ALTER COLUMN "created_at" SET DATA TYPE TIMESTAMP(3);
+
+-- Foreign keys get ON UPDATE CASCADE like the ones Prisma creates (same names)
+ALTER TABLE "mentors" DROP CONSTRAINT IF EXISTS "mentors_user_id_fkey",
+ADD CONSTRAINT "mentors_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "refresh_tokens" DROP CONSTRAINT IF EXISTS "refresh_tokens_user_id_fkey",
+ADD CONSTRAINT "refresh_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "user_tokens" DROP CONSTRAINT IF EXISTS "user_tokens_user_id_fkey",
+ADD CONSTRAINT "user_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "two_factor_recovery_codes" DROP CONSTRAINT IF EXISTS "two_factor_recovery_codes_user_id_fkey",
+ADD CONSTRAINT "two_factor_recovery_codes_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "failed_login_attempts" DROP CONSTRAINT IF EXISTS "failed_login_attempts_user_id_fkey",
+ADD CONSTRAINT "failed_login_attempts_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "mentor_approval_history" DROP CONSTRAINT IF EXISTS "mentor_approval_history_mentor_id_fkey",
+ADD CONSTRAINT "mentor_approval_history_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "mentor_approval_history" DROP CONSTRAINT IF EXISTS "mentor_approval_history_admin_id_fkey",
+ADD CONSTRAINT "mentor_approval_history_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "mentor_availability" DROP CONSTRAINT IF EXISTS "mentor_availability_mentor_id_fkey",
+ADD CONSTRAINT "mentor_availability_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "mentor_availability_exceptions" DROP CONSTRAINT IF EXISTS "mentor_availability_exceptions_mentor_id_fkey",
+ADD CONSTRAINT "mentor_availability_exceptions_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "reviews" DROP CONSTRAINT IF EXISTS "reviews_mentor_id_fkey",
+ADD CONSTRAINT "reviews_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "reviews" DROP CONSTRAINT IF EXISTS "reviews_user_id_fkey",
+ADD CONSTRAINT "reviews_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "bookings" DROP CONSTRAINT IF EXISTS "bookings_mentor_id_fkey",
+ADD CONSTRAINT "bookings_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "bookings" DROP CONSTRAINT IF EXISTS "bookings_mentee_id_fkey",
+ADD CONSTRAINT "bookings_mentee_id_fkey" FOREIGN KEY ("mentee_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- Mentor profiles can be saved as drafts during onboarding and submitted for review later.
+-- A draft may not have a title yet.
+ALTER TYPE "mentor_approval_status" ADD VALUE IF NOT EXISTS 'draft' BEFORE 'pending';
+
+ALTER TABLE "mentors" ALTER COLUMN "title" DROP NOT NULL;
@@ -0,0 +1,59 @@
+-- Expertise taxonomy: categories group skills, mentors link to skills with a level
+
+-- CreateEnum
+CREATE TYPE "skill_level" AS ENUM ('beginner', 'intermediate', 'advanced', 'expert');
+
+-- CreateTable
+CREATE TABLE "categories" (
+    "id" SERIAL NOT NULL,
+    "slug" VARCHAR(100) NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "description" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "categories_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "skills" (
+    "id" SERIAL NOT NULL,
+    "category_id" INTEGER NOT NULL,
+    "slug" VARCHAR(100) NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "skills_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "mentor_skills" (
+    "mentor_id" INTEGER NOT NULL,
+    "skill_id" INTEGER NOT NULL,
+    "level" "skill_level" NOT NULL DEFAULT 'intermediate',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mentor_skills_pkey" PRIMARY KEY ("mentor_id","skill_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_slug_key" ON "categories"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "skills_slug_key" ON "skills"("slug");
+
+-- CreateIndex
+CREATE INDEX "skills_category_id_idx" ON "skills"("category_id");
+
+-- CreateIndex
+CREATE INDEX "mentor_skills_skill_id_idx" ON "mentor_skills"("skill_id");
+
+-- AddForeignKey
+ALTER TABLE "skills" ADD CONSTRAINT "skills_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "mentor_skills" ADD CONSTRAINT "mentor_skills_mentor_id_fkey" FOREIGN KEY ("mentor_id") REFERENCES "mentors"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "mentor_skills" ADD CONSTRAINT "mentor_skills_skill_id_fkey" FOREIGN KEY ("skill_id") REFERENCES "skills"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- Currencies are ISO 4217 codes from now on; stored values are compared as uppercase codes
+UPDATE "mentors" SET "currency" = NULLIF(upper(trim("currency")), '') WHERE "currency" IS NOT NULL;
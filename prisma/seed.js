@@ -0,0 +1,257 @@
+// Local development data: an admin, a mentee, a small skill taxonomy and a few approved
+// mentors with skills, availability and reviews. Safe to run repeatedly (`npm run db:seed`).
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+// Every seeded account uses this password
+const SEED_PASSWORD = process.env.SEED_PASSWORD || 'GoBeyond-dev-123';
+
+const admin = {
+  email: 'admin@gobeyond.local',
+  name: 'Ada Admin',
+  firstName: 'Ada',
+  lastName: 'Admin',
+  role: 'admin'
+};
+
+const mentee = {
+  email: 'mentee@gobeyond.local',
+  name: 'Max Mentee',
+  firstName: 'Max',
+  lastName: 'Mentee',
+  profession: 'Student',
+  role: 'user'
+};
+
+// Categories with their skills ({ slug, name })
+const taxonomy = [
+  {
+    slug: 'engineering',
+    name: 'Engineering',
+    skills: [
+      { slug: 'node', name: 'Node.js' },
+      { slug: 'system-design', name: 'System Design' },
+      { slug: 'postgresql', name: 'PostgreSQL' }
+    ]
+  },
+  {
+    slug: 'product',
+    name: 'Product',
+    skills: [
+      { slug: 'product-discovery', name: 'Product Discovery' },
+      { slug: 'roadmapping', name: 'Roadmapping' }
+    ]
+  },
+  {
+    slug: 'design',
+    name: 'Design',
+    skills: [
+      { slug: 'user-research', name: 'User Research' },
+      { slug: 'design-systems', name: 'Design Systems' }
+    ]
+  }
+];
+
+const mentors = [
+  {
+    user: {
+      email: 'lena.schmidt@gobeyond.local',
+      name: 'Lena Schmidt',
+      firstName: 'Lena',
+      lastName: 'Schmidt',
+      profession: 'Software Engineer'
+    },
+    mentor: {
+      title: 'Senior Backend Engineer',
+      bio: 'Ten years of building APIs and distributed systems. Happy to help with system design interviews and career moves into backend engineering.',
+      yearsOfExperience: 10,
+      timezone: 'Europe/Berlin',
+      hourlyRate: 80,
+      currency: 'EUR',
+      languages: [
+        { code: 'de', language: 'German', level: 'Native' },
+        { code: 'en', language: 'English', level: 'Advanced' }
+      ]
+    },
+    skills: [
+      { slug: 'node', level: 'expert' },
+      { slug: 'system-design', level: 'advanced' },
+      { slug: 'postgresql', level: 'advanced' }
+    ],
+    // Monday to Thursday evenings
+    availability: [1, 2, 3, 4].map(dayOfWeek => ({ dayOfWeek, startTime: '17:00', endTime: '20:00' })),
+    rating: 5
+  },
+  {
+    user: {
+      email: 'arif.hossain@gobeyond.local',
+      name: 'Arif Hossain',
+      firstName: 'Arif',
+      lastName: 'Hossain',
+      profession: 'Product Manager'
+    },
+    mentor: {
+      title: 'Product Manager at a fintech scale-up',
+      bio: 'I mentor engineers and designers moving into product management: discovery, roadmaps and working with stakeholders.',
+      yearsOfExperience: 7,
+      timezone: 'Asia/Dhaka',
+      hourlyRate: 45,
+      currency: 'USD',
+      languages: [
+        { code: 'bn', language: 'Bengali', level: 'Native' },
+        { code: 'en', language: 'English', level: 'Advanced' }
+      ]
+    },
+    skills: [
+      { slug: 'product-discovery', level: 'expert' },
+      { slug: 'roadmapping', level: 'advanced' }
+    ],
+    availability: [
+      { dayOfWeek: 0, startTime: '10:00', endTime: '14:00' },
+      { dayOfWeek: 6, startTime: '10:00', endTime: '14:00' }
+    ],
+    rating: 4
+  },
+  {
+    user: {
+      email: 'sofia.garcia@gobeyond.local',
+      name: 'Sofia Garcia',
+      firstName: 'Sofia',
+      lastName: 'Garcia',
+      profession: 'UX Designer'
+    },
+    mentor: {
+      title: 'Lead UX Designer',
+      bio: 'Portfolio reviews, user research and design systems for people starting out in UX.',
+      yearsOfExperience: 5,
+      timezone: 'America/New_York',
+      hourlyRate: 60,
+      currency: 'USD',
+      languages: [
+        { code: 'es', language: 'Spanish', level: 'Native' },
+        { code: 'en', language: 'English', level: 'Native' }
+      ]
+    },
+    skills: [
+      { slug: 'user-research', level: 'advanced' },
+      { slug: 'design-systems', level: 'expert' }
+    ],
+    availability: [2, 4].map(dayOfWeek => ({ dayOfWeek, startTime: '09:00', endTime: '12:00' })),
+    rating: null
+  }
+];
+
+const upsertUser = (data, password) => {
+  const fields = { ...data, emailVerified: true, emailVerifiedAt: new Date() };
+  return prisma.user.upsert({
+    where: { email: data.email },
+    update: fields,
+    create: { ...fields, password }
+  });
+};
+
+// Returns a map of skill slug -> id
+const seedTaxonomy = async () => {
+  const skillIds = new Map();
+
+  for (const { skills, ...categoryData } of taxonomy) {
+    const category = await prisma.category.upsert({
+      where: { slug: categoryData.slug },
+      update: categoryData,
+      create: categoryData
+    });
+
+    for (const skillData of skills) {
+      const skill = await prisma.skill.upsert({
+        where: { slug: skillData.slug },
+        update: { ...skillData, categoryId: category.id },
+        create: { ...skillData, categoryId: category.id }
+      });
+      skillIds.set(skill.slug, skill.id);
+    }
+  }
+
+  return skillIds;
+};
+
+const seedMentor = async ({ user: userData, mentor: mentorData, skills, availability, rating }, password, adminUser, menteeUser, skillIds) => {
+  const user = await upsertUser({ ...userData, role: 'mentor' }, password);
+  const fields = { ...mentorData, isApproved: true, approvalStatus: 'approved' };
+
+  const mentor = await prisma.mentor.upsert({
+    where: { userId: user.id },
+    update: fields,
+    create: { ...fields, userId: user.id }
+  });
+
+  // Replace the weekly schedule and approval record so reruns do not pile up rows
+  await prisma.$transaction([
+    prisma.mentorAvailability.deleteMany({ where: { mentorId: mentor.id } }),
+    prisma.mentorAvailability.createMany({
+      data: availability.map(slot => ({ ...slot, mentorId: mentor.id }))
+    }),
+    prisma.mentorApprovalHistory.deleteMany({ where: { mentorId: mentor.id } }),
+    prisma.mentorApprovalHistory.create({
+      data: { mentorId: mentor.id, adminId: adminUser.id, status: 'approved', reason: 'Seed data' }
+    }),
+    prisma.mentorSkill.deleteMany({ where: { mentorId: mentor.id } }),
+    prisma.mentorSkill.createMany({
+      data: skills.map(({ slug, level }) => ({ mentorId: mentor.id, skillId: skillIds.get(slug), level }))
+    })
+  ]);
+
+  if (rating) {
+    await prisma.review.upsert({
+      where: { mentorId_userId: { mentorId: mentor.id, userId: menteeUser.id } },
+      update: { rating },
+      create: { mentorId: mentor.id, userId: menteeUser.id, rating, comment: 'Clear, practical advice. Would book again.' }
+    });
+  }
+
+  // Keep the denormalized rating in line with the reviews
+  const stats = await prisma.review.aggregate({
+    where: { mentorId: mentor.id },
+    _avg: { rating: true },
+    _count: { _all: true }
+  });
+  await prisma.mentor.update({
+    where: { id: mentor.id },
+    data: {
+      averageRating: stats._avg.rating ? Math.round(stats._avg.rating * 100) / 100 : 0,
+      reviewCount: stats._count._all
+    }
+  });
+
+  return mentor;
+};
+
+const main = async () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Refusing to seed a production database (NODE_ENV=production)');
+  }
+
+  const password = await bcrypt.hash(SEED_PASSWORD, 12);
+
+  const adminUser = await upsertUser(admin, password);
+  const menteeUser = await upsertUser(mentee, password);
+  const skillIds = await seedTaxonomy();
+
+  for (const entry of mentors) {
+    await seedMentor(entry, password, adminUser, menteeUser, skillIds);
+  }
+
+  console.log(`✅ Seeded ${mentors.length + 2} users (${mentors.length} mentors) and ${skillIds.size} skills`);
+  console.log(`   • Admin:  ${admin.email}`);
+  console.log(`   • Mentee: ${mentee.email}`);
+  console.log(`   • Password for all accounts: ${process.env.SEED_PASSWORD ? '(SEED_PASSWORD)' : SEED_PASSWORD}`);
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Seeding failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,263 @@
+const { DateTime } = require('luxon');
+const { prisma } = require('../db');
+const { BadRequestError, NotFoundError } = require('../utils/errors.utils');
+const {
+  DEFAULT_TIMEZONE,
+  resolveTimeZone,
+  expandAvailability
+} = require('../utils/availability.utils');
+
+const DEFAULT_SLOT_MINUTES = 60;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 31;
+
+// Fields returned for weekly windows and exceptions
+const windowSelect = {
+  id: true,
+  dayOfWeek: true,
+  startTime: true,
+  endTime: true
+};
+
+const exceptionSelect = {
+  id: true,
+  startDate: true,
+  endDate: true,
+  reason: true
+};
+
+// Format an exception for API responses (dates as YYYY-MM-DD)
+const formatException = (exception) => ({
+  ...exception,
+  startDate: exception.startDate.toISOString().slice(0, 10),
+  endDate: exception.endDate.toISOString().slice(0, 10)
+});
+
+// Parse a from/to query value; plain dates are whole days in the viewer's timezone
+const parseRangeBoundary = (value, zone, isEnd) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const day = DateTime.fromISO(value, { zone });
+    return isEnd ? day.plus({ days: 1 }).startOf('day') : day.startOf('day');
+  }
+  return DateTime.fromISO(value, { zone });
+};
+
+// Get bookable slots of a mentor in the viewer's timezone (public)
+const getMentorAvailability = async (req, res) => {
+  const { id } = req.params;
+  const viewerZone = req.query.tz || DEFAULT_TIMEZONE;
+  const durationMinutes = req.query.duration ? parseInt(req.query.duration) : DEFAULT_SLOT_MINUTES;
+
+  const from = req.query.from
+    ? parseRangeBoundary(req.query.from, viewerZone, false)
+    : DateTime.now().setZone(viewerZone);
+  const to = req.query.to
+    ? parseRangeBoundary(req.query.to, viewerZone, true)
+    : from.plus({ days: DEFAULT_RANGE_DAYS });
+
+  if (to <= from) {
+    throw new BadRequestError('"to" must be after "from"', 'INVALID_DATE_RANGE');
+  }
+
+  if (to.diff(from, 'days').days > MAX_RANGE_DAYS) {
+    throw new BadRequestError(`Availability can be requested for at most ${MAX_RANGE_DAYS} days at a time`, 'DATE_RANGE_TOO_LONG');
+  }
+
+  const mentor = await prisma.mentor.findUnique({
+    where: { id: parseInt(id) },
+    select: {
+      id: true,
+      timezone: true,
+      isApproved: true,
+      isActive: true,
+      availability: { select: windowSelect },
+      availabilityExceptions: {
+        where: {
+          // Widen by a day: exception dates are in the mentor's timezone
+          endDate: { gte: from.minus({ days: 1 }).toJSDate() },
+          startDate: { lte: to.plus({ days: 1 }).toJSDate() }
+        },
+        select: exceptionSelect
+      }
+    }
+  });
+
+  if (!mentor || !mentor.isApproved || !mentor.isActive) {
+    throw new NotFoundError('Mentor not found', 'MENTOR_NOT_FOUND');
+  }
+
+  // Already-booked time is not offered again
+  const busy = await prisma.booking.findMany({
+    where: {
+      mentorId: mentor.id,
+      status: { in: ['pending', 'accepted'] },
+      startTime: { lt: to.toJSDate() },
+      endTime: { gt: from.toJSDate() }
+    },
+    select: { startTime: true, endTime: true }
+  });
+
+  const slots = expandAvailability({
+    windows: mentor.availability,
+    exceptions: mentor.availabilityExceptions,
+    busy,
+    timezone: mentor.timezone,
+    from: from.toJSDate(),
+    to: to.toJSDate(),
+    durationMinutes
+  }).map(slot => ({
+    start: slot.start.setZone(viewerZone).toISO(),
+    end: slot.end.setZone(viewerZone).toISO()
+  }));
+
+  res.json({
+    success: true,
+    message: `Found ${slots.length} available slot(s)`,
+    data: {
+      mentorId: mentor.id,
+      mentorTimezone: resolveTimeZone(mentor.timezone),
+      timezone: viewerZone,
+      from: from.toISO(),
+      to: to.toISO(),
+      durationMinutes,
+      slots,
+      count: slots.length
+    }
+  });
+};
+
+// Get the current mentor's weekly windows and exceptions
+const getMyAvailability = async (req, res) => {
+  const mentor = await prisma.mentor.findUnique({
+    where: { userId: req.user.id },
+    select: {
+      id: true,
+      timezone: true,
+      availability: {
+        select: windowSelect,
+        orderBy: [{ dayOfWeek: 'asc' }, { startTime: 'asc' }]
+      },
+      availabilityExceptions: {
+        where: { endDate: { gte: new Date(new Date().toISOString().slice(0, 10)) } },
+        select: exceptionSelect,
+        orderBy: { startDate: 'asc' }
+      }
+    }
+  });
+
+  if (!mentor) {
+    throw new NotFoundError('You do not have a mentor profile yet', 'MENTOR_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      timezone: resolveTimeZone(mentor.timezone),
+      windows: mentor.availability,
+      exceptions: mentor.availabilityExceptions.map(formatException)
+    }
+  });
+};
+
+// Replace the current mentor's weekly availability windows
+const setMyAvailability = async (req, res) => {
+  const { windows } = req.body;
+
+  const mentor = await prisma.mentor.findUnique({
+    where: { userId: req.user.id },
+    select: { id: true, timezone: true }
+  });
+
+  if (!mentor) {
+    throw new NotFoundError('You do not have a mentor profile yet', 'MENTOR_NOT_FOUND');
+  }
+
+  const [, , savedWindows] = await prisma.$transaction([
+    prisma.mentorAvailability.deleteMany({
+      where: { mentorId: mentor.id }
+    }),
+    prisma.mentorAvailability.createMany({
+      data: windows.map(window => ({
+        mentorId: mentor.id,
+        dayOfWeek: parseInt(window.dayOfWeek),
+        startTime: window.startTime,
+        endTime: window.endTime
+      }))
+    }),
+    prisma.mentorAvailability.findMany({
+      where: { mentorId: mentor.id },
+      select: windowSelect,
+      orderBy: [{ dayOfWeek: 'asc' }, { startTime: 'asc' }]
+    })
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Availability updated successfully',
+    data: {
+      timezone: resolveTimeZone(mentor.timezone),
+      windows: savedWindows
+    }
+  });
+};
+
+// Block a date range (vacation, day off) for the current mentor
+const addAvailabilityException = async (req, res) => {
+  const { startDate, endDate, reason } = req.body;
+
+  const mentor = await prisma.mentor.findUnique({
+    where: { userId: req.user.id },
+    select: { id: true }
+  });
+
+  if (!mentor) {
+    throw new NotFoundError('You do not have a mentor profile yet', 'MENTOR_NOT_FOUND');
+  }
+
+  const exception = await prisma.mentorAvailabilityException.create({
+    data: {
+      mentorId: mentor.id,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate || startDate),
+      reason: reason ? reason.trim() : null
+    },
+    select: exceptionSelect
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Availability exception added successfully',
+    data: {
+      exception: formatException(exception)
+    }
+  });
+};
+
+// Remove one of the current mentor's availability exceptions
+const deleteAvailabilityException = async (req, res) => {
+  const { exceptionId } = req.params;
+
+  const result = await prisma.mentorAvailabilityException.deleteMany({
+    where: {
+      id: parseInt(exceptionId),
+      mentor: { userId: req.user.id }
+    }
+  });
+
+  if (result.count === 0) {
+    throw new NotFoundError('Availability exception not found', 'AVAILABILITY_EXCEPTION_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: 'Availability exception deleted successfully'
+  });
+};
+
+module.exports = {
+  getMentorAvailability,
+  getMyAvailability,
+  setMyAvailability,
+  addAvailabilityException,
+  deleteAvailabilityException
+};
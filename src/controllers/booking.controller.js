@@ -0,0 +1,476 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../db');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors.utils');
+const { fitsAvailability } = require('../utils/availability.utils');
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Statuses that block the mentor's time slot
+const ACTIVE_BOOKING_STATUSES = ['pending', 'accepted'];
+
+// Statuses a booking may move into, keyed by the target status
+const allowedBookingTransitions = {
+  accepted: ['pending'],
+  declined: ['pending'],
+  cancelled: ['pending', 'accepted']
+};
+
+// Fields returned for a booking (with both participants)
+const bookingSelect = {
+  id: true,
+  mentorId: true,
+  menteeId: true,
+  startTime: true,
+  endTime: true,
+  status: true,
+  message: true,
+  price: true,
+  currency: true,
+  statusReason: true,
+  cancelledById: true,
+  createdAt: true,
+  updatedAt: true,
+  mentor: {
+    select: {
+      id: true,
+      userId: true,
+      title: true,
+      image: true,
+      timezone: true,
+      user: {
+        select: {
+          id: true,
+          name: true,
+          firstName: true,
+          lastName: true,
+          image: true
+        }
+      }
+    }
+  },
+  mentee: {
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      firstName: true,
+      lastName: true,
+      image: true
+    }
+  }
+};
+
+// Format a booking record for API responses
+const formatBooking = (booking) => ({
+  ...booking,
+  price: booking.price ? parseFloat(booking.price) : null,
+  durationMinutes: Math.round((booking.endTime - booking.startTime) / 60000)
+});
+
+// Find an active booking of the mentor that overlaps the given time range
+const findOverlappingBooking = (tx, mentorId, startTime, endTime, excludeBookingId) => {
+  return tx.booking.findFirst({
+    where: {
+      mentorId: mentorId,
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      startTime: { lt: endTime },
+      endTime: { gt: startTime },
+      ...(excludeBookingId ? { id: { not: excludeBookingId } } : {})
+    },
+    select: { id: true }
+  });
+};
+
+// Mentors without weekly windows accept requests at any time
+const isWithinMentorAvailability = async (mentorId, start, end) => {
+  const mentor = await prisma.mentor.findUnique({
+    where: { id: mentorId },
+    select: {
+      timezone: true,
+      availability: {
+        select: { dayOfWeek: true, startTime: true, endTime: true }
+      },
+      availabilityExceptions: {
+        where: {
+          startDate: { lte: end },
+          endDate: { gte: new Date(start.getTime() - 24 * 60 * 60 * 1000) }
+        },
+        select: { startDate: true, endDate: true }
+      }
+    }
+  });
+
+  if (mentor.availability.length === 0) return true;
+
+  return fitsAvailability({
+    windows: mentor.availability,
+    exceptions: mentor.availabilityExceptions,
+    timezone: mentor.timezone,
+    start,
+    end
+  });
+};
+
+// Calculate the session price from the mentor's hourly rate
+const calculatePrice = (hourlyRate, durationMinutes) => {
+  if (!hourlyRate) return null;
+  return Math.round(parseFloat(hourlyRate) * durationMinutes / 60 * 100) / 100;
+};
+
+// Serialization failures mean a concurrent request took the same slot
+const isSlotConflictError = (error) => {
+  return error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2034';
+};
+
+// Create a booking request (protected - the current user is the mentee)
+const createBooking = async (req, res) => {
+  try {
+    const { mentorId, startTime, durationMinutes, message } = req.body;
+    const duration = durationMinutes ? parseInt(durationMinutes) : DEFAULT_DURATION_MINUTES;
+    const start = new Date(startTime);
+    const end = new Date(start.getTime() + duration * 60000);
+
+    if (start <= new Date()) {
+      throw new BadRequestError('Start time must be in the future', 'START_TIME_IN_PAST');
+    }
+
+    const mentor = await prisma.mentor.findUnique({
+      where: { id: parseInt(mentorId) },
+      select: {
+        id: true,
+        userId: true,
+        hourlyRate: true,
+        currency: true,
+        isApproved: true,
+        isActive: true
+      }
+    });
+
+    if (!mentor || !mentor.isApproved || !mentor.isActive) {
+      throw new NotFoundError('Mentor not found or not available for booking', 'MENTOR_NOT_FOUND');
+    }
+
+    if (mentor.userId === req.user.id) {
+      throw new BadRequestError('You cannot book a session with yourself', 'CANNOT_BOOK_SELF');
+    }
+
+    if (!(await isWithinMentorAvailability(mentor.id, start, end))) {
+      throw new ConflictError('The requested time is outside the mentor\'s availability', 'OUTSIDE_AVAILABILITY');
+    }
+
+    const booking = await prisma.$transaction(async (tx) => {
+      const overlapping = await findOverlappingBooking(tx, mentor.id, start, end);
+      if (overlapping) return null;
+
+      return tx.booking.create({
+        data: {
+          mentorId: mentor.id,
+          menteeId: req.user.id,
+          startTime: start,
+          endTime: end,
+          message: message ? message.trim() : null,
+          price: calculatePrice(mentor.hourlyRate, duration),
+          currency: mentor.currency
+        },
+        select: bookingSelect
+      });
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+
+    if (!booking) {
+      throw new ConflictError('This time slot is no longer available', 'SLOT_UNAVAILABLE');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking requested successfully',
+      data: {
+        booking: formatBooking(booking)
+      }
+    });
+  } catch (error) {
+    if (isSlotConflictError(error)) {
+      throw new ConflictError('This time slot is no longer available', 'SLOT_UNAVAILABLE');
+    }
+    throw error;
+  }
+};
+
+// List the current user's bookings as mentee and/or mentor (protected)
+const getMyBookings = async (req, res) => {
+  const { as, when, status } = req.query;
+  const now = new Date();
+
+  const mentor = await prisma.mentor.findUnique({
+    where: { userId: req.user.id },
+    select: { id: true }
+  });
+
+  // Sessions the user takes part in, on either side
+  const participation = [];
+  if (as !== 'mentor') {
+    participation.push({ menteeId: req.user.id });
+  }
+  if (as !== 'mentee' && mentor) {
+    participation.push({ mentorId: mentor.id });
+  }
+
+  if (participation.length === 0) {
+    return res.json({
+      success: true,
+      message: 'Found 0 booking(s)',
+      data: {
+        bookings: [],
+        count: 0
+      }
+    });
+  }
+
+  const where = { OR: participation };
+  if (status) {
+    where.status = status;
+  }
+  if (when === 'upcoming') {
+    where.endTime = { gte: now };
+  } else if (when === 'past') {
+    where.endTime = { lt: now };
+  }
+
+  const bookings = await prisma.booking.findMany({
+    where,
+    select: bookingSelect,
+    orderBy: {
+      startTime: when === 'past' ? 'desc' : 'asc'
+    }
+  });
+
+  const formattedBookings = bookings.map(booking => formatBooking(booking));
+
+  res.json({
+    success: true,
+    message: `Found ${formattedBookings.length} booking(s)`,
+    data: {
+      bookings: formattedBookings,
+      count: formattedBookings.length
+    }
+  });
+};
+
+// Get a single booking (protected - mentee or mentor of the booking)
+const getBookingById = async (req, res) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id: parseInt(req.params.id) },
+    select: bookingSelect
+  });
+
+  if (!booking || (booking.menteeId !== req.user.id && booking.mentor.userId !== req.user.id)) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      booking: formatBooking(booking)
+    }
+  });
+};
+
+// Shared handler body for status changes; mentorOnly restricts the action to the booked mentor
+const changeBookingStatus = async (req, res, { status, mentorOnly, successMessage }) => {
+  const { reason } = req.body;
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: parseInt(req.params.id) },
+    select: {
+      id: true,
+      menteeId: true,
+      status: true,
+      startTime: true,
+      mentor: { select: { userId: true } }
+    }
+  });
+
+  const isMentor = booking && booking.mentor.userId === req.user.id;
+  const isMentee = booking && booking.menteeId === req.user.id;
+
+  if (!booking || (!isMentor && !isMentee)) {
+    throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  if (mentorOnly && !isMentor) {
+    throw new ForbiddenError('Only the mentor can perform this action', 'MENTOR_ONLY');
+  }
+
+  if (!allowedBookingTransitions[status].includes(booking.status)) {
+    throw new ConflictError(`Cannot change booking status from ${booking.status} to ${status}`, 'INVALID_STATUS_TRANSITION');
+  }
+
+  if (booking.startTime <= new Date()) {
+    throw new ConflictError('This session has already started', 'SESSION_ALREADY_STARTED');
+  }
+
+  // Only applies if the status is still the one checked above, so two concurrent
+  // changes (e.g. accept and cancel) cannot both go through
+  const { count } = await prisma.booking.updateMany({
+    where: { id: booking.id, status: booking.status },
+    data: {
+      status: status,
+      statusReason: reason ? reason.trim() : null,
+      cancelledById: status === 'cancelled' ? req.user.id : null
+    }
+  });
+
+  if (count === 0) {
+    throw new ConflictError('This booking was changed in the meantime, please reload it', 'BOOKING_CHANGED');
+  }
+
+  const updated = await prisma.booking.findUnique({
+    where: { id: booking.id },
+    select: bookingSelect
+  });
+
+  res.json({
+    success: true,
+    message: successMessage,
+    data: {
+      booking: formatBooking(updated)
+    }
+  });
+};
+
+// Accept a pending booking (protected - mentor only)
+const acceptBooking = async (req, res) => {
+  await changeBookingStatus(req, res, {
+    status: 'accepted',
+    mentorOnly: true,
+    successMessage: 'Booking accepted successfully'
+  });
+};
+
+// Decline a pending booking (protected - mentor only)
+const declineBooking = async (req, res) => {
+  await changeBookingStatus(req, res, {
+    status: 'declined',
+    mentorOnly: true,
+    successMessage: 'Booking declined successfully'
+  });
+};
+
+// Cancel a pending or accepted booking (protected - mentee or mentor)
+const cancelBooking = async (req, res) => {
+  await changeBookingStatus(req, res, {
+    status: 'cancelled',
+    mentorOnly: false,
+    successMessage: 'Booking cancelled successfully'
+  });
+};
+
+// Move a booking to a new time (protected - mentor only; the new time counts as accepted)
+const rescheduleBooking = async (req, res) => {
+  try {
+    const { startTime, durationMinutes, reason } = req.body;
+
+    const booking = await prisma.booking.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: {
+        id: true,
+        menteeId: true,
+        mentorId: true,
+        status: true,
+        startTime: true,
+        endTime: true,
+        mentor: { select: { userId: true, hourlyRate: true } }
+      }
+    });
+
+    const isMentor = booking && booking.mentor.userId === req.user.id;
+
+    if (!booking || (!isMentor && booking.menteeId !== req.user.id)) {
+      throw new NotFoundError('Booking not found', 'BOOKING_NOT_FOUND');
+    }
+
+    if (!isMentor) {
+      throw new ForbiddenError('Only the mentor can perform this action', 'MENTOR_ONLY');
+    }
+
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      throw new ConflictError(`Cannot reschedule a ${booking.status} booking`, 'INVALID_STATUS_TRANSITION');
+    }
+
+    if (booking.startTime <= new Date()) {
+      throw new ConflictError('This session has already started', 'SESSION_ALREADY_STARTED');
+    }
+
+    const duration = durationMinutes
+      ? parseInt(durationMinutes)
+      : Math.round((booking.endTime - booking.startTime) / 60000);
+    const start = new Date(startTime);
+    const end = new Date(start.getTime() + duration * 60000);
+
+    if (start <= new Date()) {
+      throw new BadRequestError('Start time must be in the future', 'START_TIME_IN_PAST');
+    }
+
+    if (!(await isWithinMentorAvailability(booking.mentorId, start, end))) {
+      throw new ConflictError('The new time is outside your availability', 'OUTSIDE_AVAILABILITY');
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const overlapping = await findOverlappingBooking(tx, booking.mentorId, start, end, booking.id);
+      if (overlapping) return null;
+
+      // Only applies while the booking is still active, so a concurrent cancel or decline
+      // is not turned back into an accepted booking
+      const { count } = await tx.booking.updateMany({
+        where: { id: booking.id, status: { in: ACTIVE_BOOKING_STATUSES } },
+        data: {
+          startTime: start,
+          endTime: end,
+          status: 'accepted',
+          price: calculatePrice(booking.mentor.hourlyRate, duration),
+          statusReason: reason ? reason.trim() : null
+        }
+      });
+
+      if (count === 0) {
+        throw new ConflictError('This booking was changed in the meantime, please reload it', 'BOOKING_CHANGED');
+      }
+
+      return tx.booking.findUnique({
+        where: { id: booking.id },
+        select: bookingSelect
+      });
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+
+    if (!updated) {
+      throw new ConflictError('The new time slot is not available', 'SLOT_UNAVAILABLE');
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: {
+        booking: formatBooking(updated)
+      }
+    });
+  } catch (error) {
+    if (isSlotConflictError(error)) {
+      throw new ConflictError('The new time slot is not available', 'SLOT_UNAVAILABLE');
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  createBooking,
+  getMyBookings,
+  getBookingById,
+  acceptBooking,
+  declineBooking,
+  cancelBooking,
+  rescheduleBooking
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { prisma, getMigrationStatus } = require('../db');
+const { register } = require('../utils/metrics.utils');
+const { isShuttingDown } = require('../utils/shutdown.utils');
+const { ServiceUnavailableError, UnauthorizedError } = require('../utils/errors.utils');
+
+// Readiness checks give up after this long so a hung database does not hang the probe
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Check results are public, so failures are reported by status only; details go to the log
+const checkDatabase = async (log) => {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(prisma.$queryRaw`SELECT 1`, CHECK_TIMEOUT_MS);
+    return { status: 'up', latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    log.warn('Readiness: database check failed', { error });
+    return { status: 'down', latencyMs: Date.now() - startedAt };
+  }
+};
+
+const checkMigrations = async (log) => {
+  try {
+    const { initialized, pending, failed } = await withTimeout(getMigrationStatus(), CHECK_TIMEOUT_MS);
+    if (!initialized) {
+      log.warn('Readiness: the database has no migrations table');
+      return { status: 'down', reason: 'not_initialized' };
+    }
+    if (failed.length > 0) {
+      log.warn('Readiness: migrations failed', { failed });
+      return { status: 'down', reason: 'failed_migrations' };
+    }
+    if (pending.length > 0) {
+      log.warn('Readiness: migrations are pending', { pending });
+      return { status: 'down', reason: 'pending_migrations' };
+    }
+    return { status: 'up' };
+  } catch (error) {
+    log.warn('Readiness: migration check failed', { error });
+    return { status: 'down' };
+  }
+};
+
+// GET /health, GET /health/live - the process is up and serving requests.
+// Does not touch the database, so an outage does not get healthy instances restarted.
+const liveness = (req, res) => {
+  res.json({
+    success: true,
+    message: 'Server is running',
+    data: {
+      status: 'ok',
+      uptime: Math.round(process.uptime()),
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+// GET /health/ready - the instance can take traffic: the database answers and its
+// schema is up to date. Returns 503 while shutting down so load balancers drain it.
+const readiness = async (req, res) => {
+  if (isShuttingDown()) {
+    throw new ServiceUnavailableError('Server is shutting down', 'SHUTTING_DOWN');
+  }
+
+  const database = await checkDatabase(req.log);
+  const migrations = database.status === 'up' ? await checkMigrations(req.log) : { status: 'unknown' };
+  const checks = { database, migrations };
+
+  if (database.status !== 'up' || migrations.status !== 'up') {
+    throw new ServiceUnavailableError('Server is not ready', 'NOT_READY', { checks });
+  }
+
+  res.json({
+    success: true,
+    message: 'Server is ready',
+    data: {
+      status: 'ok',
+      checks,
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+// Compare digests so the check takes the same time whatever the token
+const tokenMatches = (provided, expected) => {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(provided), hash(expected));
+};
+
+// GET /metrics - Prometheus text format. With METRICS_TOKEN set, scrapers must send
+// `Authorization: Bearer <METRICS_TOKEN>`.
+const metrics = async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !tokenMatches(req.get('authorization') || '', `Bearer ${token}`)) {
+    throw new UnauthorizedError('A valid metrics token is required', 'METRICS_TOKEN_REQUIRED');
+  }
+
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+};
+
+module.exports = {
+  liveness,
+  readiness,
+  metrics
+};
@@ -1,738 +1,1119 @@
-const { validationResult } = require('express-validator');
+const { Prisma } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
 const { prisma } = require('../db');
-const { generateToken, generateRefreshToken } = require('../utils/jwt.utils');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors.utils');
+const { createSession } = require('../utils/session.utils');
+const { sendEmailVerification } = require('../utils/user.token.utils');
+const {
+  findMentorSearchMatches,
+  getMentorSearchHighlights
+} = require('../utils/mentor.search.utils');
+const { countMentorFacets, findMentorIdsByRate, DEFAULT_RATE_BUCKETS } = require('../utils/mentor.facets.utils');
+const {
+  DEFAULT_CURRENCY,
+  getExchangeRates,
+  conversionFactor,
+  convertAmount
+} = require('../utils/currency.utils');
+const { storeImage, deleteStoredImage } = require('../utils/upload.utils');
 
-// Get all mentors (with optional filters)
-const getAllMentors = async (req, res) => {
-  try {
-    const { 
-      isApproved, 
-      isActive, 
-      language, 
-      minRate, 
-      maxRate,
-      search 
-    } = req.query;
-
-    const where = {};
-
-    // Filter by approval status
-    if (isApproved !== undefined) {
-      where.isApproved = isApproved === 'true';
+// Fields returned for a mentor profile (with its public user info)
+const mentorSelect = {
+  id: true,
+  userId: true,
+  title: true,
+  bio: true,
+  image: true,
+  imageVariants: true,
+  yearsOfExperience: true,
+  timezone: true,
+  hourlyRate: true,
+  currency: true,
+  languages: true,
+  isApproved: true,
+  approvalStatus: true,
+  averageRating: true,
+  reviewCount: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true,
+  skills: {
+    select: {
+      level: true,
+      skill: {
+        select: {
+          id: true,
+          slug: true,
+          name: true,
+          category: { select: { id: true, slug: true, name: true } }
+        }
+      }
+    },
+    orderBy: { skill: { name: 'asc' } }
+  },
+  user: {
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      firstName: true,
+      lastName: true,
+      image: true,
+      imageVariants: true,
+      profession: true
     }
+  }
+};
 
-    // Filter by active status
-    if (isActive !== undefined) {
-      where.isActive = isActive === 'true';
-    }
+// Format a mentor record for API responses
+const formatMentor = (mentor, user = mentor.user) => ({
+  id: mentor.id,
+  userId: mentor.userId,
+  title: mentor.title,
+  bio: mentor.bio,
+  image: mentor.image,
+  imageVariants: mentor.imageVariants || null,
+  yearsOfExperience: mentor.yearsOfExperience,
+  timezone: mentor.timezone,
+  hourlyRate: mentor.hourlyRate ? parseFloat(mentor.hourlyRate) : null,
+  currency: mentor.currency,
+  languages: mentor.languages,
+  isApproved: mentor.isApproved,
+  approvalStatus: mentor.approvalStatus,
+  averageRating: parseFloat(mentor.averageRating),
+  reviewCount: mentor.reviewCount,
+  isActive: mentor.isActive,
+  skills: (mentor.skills || []).map(({ level, skill }) => ({ ...skill, level })),
+  createdAt: mentor.createdAt,
+  updatedAt: mentor.updatedAt,
+  user: user
+});
 
-    // Filter by hourly rate range
-    if (minRate !== undefined || maxRate !== undefined) {
-      where.hourlyRate = {};
-      if (minRate !== undefined) {
-        where.hourlyRate.gte = parseFloat(minRate);
-      }
-      if (maxRate !== undefined) {
-        where.hourlyRate.lte = parseFloat(maxRate);
-      }
-    }
+// Display currency from ?displayCurrency= (ISO 4217, default DEFAULT_CURRENCY) with the current exchange rates
+const resolvePricing = async (query) => {
+  const currency = query.displayCurrency ? query.displayCurrency.trim().toUpperCase() : DEFAULT_CURRENCY;
+  const exchangeRates = await getExchangeRates();
 
-    // Note: Language filtering will be done after fetching (Prisma JSONB filtering is limited)
-    // We'll filter in JavaScript after fetching
+  if (!exchangeRates.rates[currency]) {
+    throw new BadRequestError(`No exchange rate available for ${currency}`, 'UNSUPPORTED_CURRENCY');
+  }
 
-    // Search in title and bio
-    if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { bio: { contains: search, mode: 'insensitive' } }
-      ];
-    }
+  return { currency, exchangeRates };
+};
 
-    const mentors = await prisma.mentor.findMany({
-      where,
-      select: {
-        id: true,
-        userId: true,
-        title: true,
-        bio: true,
-        image: true,
-        yearsOfExperience: true,
-        timezone: true,
-        hourlyRate: true,
-        currency: true,
-        languages: true,
-        isApproved: true,
-        isActive: true,
-        createdAt: true,
-        updatedAt: true,
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true,
-            firstName: true,
-            lastName: true,
-            image: true,
-            profession: true
-          }
-        }
-      },
-      orderBy: {
-        createdAt: 'desc'
-      }
-    });
+// Add the hourly rate in the display currency next to the original one (null when it cannot be converted)
+const withConvertedRate = (mentor, { currency, exchangeRates }) => {
+  const hourlyRate = convertAmount(mentor.hourlyRate, mentor.currency, currency, exchangeRates);
+  return {
+    ...mentor,
+    convertedRate: hourlyRate === null ? null : { hourlyRate, currency }
+  };
+};
 
-    // Format response and filter by language if specified
-    let formattedMentors = mentors.map(mentor => {
-      const formatted = {
-        id: mentor.id,
-        userId: mentor.userId,
-        title: mentor.title,
-        bio: mentor.bio,
-        image: mentor.image,
-        yearsOfExperience: mentor.yearsOfExperience,
-        timezone: mentor.timezone,
-        hourlyRate: mentor.hourlyRate ? parseFloat(mentor.hourlyRate) : null,
-        currency: mentor.currency,
-        languages: mentor.languages,
-        isApproved: mentor.isApproved,
-        isActive: mentor.isActive,
-        createdAt: mentor.createdAt,
-        updatedAt: mentor.updatedAt,
-        user: mentor.user
-      };
-      
-      return formatted;
-    });
+// Fields a mentor profile needs before it can be submitted for review
+const requiredForSubmission = ['title', 'bio', 'timezone', 'hourlyRate', 'currency', 'languages'];
 
-    // Filter by language if specified (filter in JavaScript)
-    if (language) {
-      formattedMentors = formattedMentors.filter(mentor => {
-        if (!mentor.languages || !Array.isArray(mentor.languages)) return false;
-        return mentor.languages.some(lang => 
-          lang.code === language || 
-          lang.language?.toLowerCase() === language.toLowerCase()
-        );
-      });
+// Required fields that are still empty on a profile (or on the data about to be saved)
+const getMissingProfileFields = (mentor) => {
+  return requiredForSubmission.filter(field => {
+    const value = mentor[field];
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+  });
+};
+
+const incompleteProfileError = (missingFields, message = 'Complete your mentor profile before submitting it for review') => {
+  return new BadRequestError(
+    `${message} (missing: ${missingFields.join(', ')})`,
+    'MENTOR_PROFILE_INCOMPLETE',
+    { missingFields }
+  );
+};
+
+// Prisma data for the profile fields present in the request body. `existing` is the
+// profile being edited, if any.
+const buildMentorProfileData = (body, existing = null) => {
+  const data = {};
+  if (body.title !== undefined) data.title = body.title ? body.title.trim() : null;
+  if (body.bio !== undefined) data.bio = body.bio ? body.bio.trim() : null;
+  if (body.image !== undefined) {
+    data.image = body.image ? body.image.trim() : null;
+    // Variants belong to uploaded images only
+    if (existing && data.image !== existing.image) {
+      data.imageVariants = Prisma.DbNull;
     }
+  }
+  if (body.yearsOfExperience !== undefined) data.yearsOfExperience = parseInt(body.yearsOfExperience);
+  if (body.timezone !== undefined) data.timezone = body.timezone ? body.timezone.trim() : null;
+  if (body.hourlyRate !== undefined) data.hourlyRate = parseFloat(body.hourlyRate);
+  if (body.currency !== undefined) data.currency = body.currency ? body.currency.trim().toUpperCase() : null;
+  if (body.languages !== undefined) data.languages = body.languages;
+  if (body.isActive !== undefined) data.isActive = body.isActive;
+  return data;
+};
 
-    res.json({
-      success: true,
-      message: `Found ${formattedMentors.length} mentor(s)`,
+// Turn [{ slug, level }] from the request into mentor_skills rows; unknown slugs are rejected
+const resolveSkills = async (skills) => {
+  if (skills === undefined) return undefined;
+
+  const slugs = skills.map(skill => skill.slug);
+  const found = await prisma.skill.findMany({
+    where: { slug: { in: slugs } },
+    select: { id: true, slug: true }
+  });
+  const idBySlug = new Map(found.map(skill => [skill.slug, skill.id]));
+
+  const unknown = slugs.filter(slug => !idBySlug.has(slug));
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown skills: ${unknown.join(', ')}`, 'UNKNOWN_SKILLS', { skills: unknown });
+  }
+
+  return skills.map(skill => ({
+    skillId: idBySlug.get(skill.slug),
+    level: skill.level || 'intermediate'
+  }));
+};
+
+// Nested write that replaces a mentor's skills
+const replaceSkills = (skillRows) => ({ deleteMany: {}, create: skillRows });
+
+// Create or update a user's mentor profile inside a transaction. New profiles start as
+// drafts; submitting moves the profile to the admin review queue, records it in the
+// approval history and gives the user the mentor role (admins keep theirs).
+const saveMentorProfile = async (tx, { userId, mentorId, data, skills, submit }) => {
+  const status = submit ? { approvalStatus: 'pending', isApproved: false } : {};
+
+  const mentor = mentorId
+    ? await tx.mentor.update({
+      where: { id: mentorId },
+      data: { ...data, ...status, ...(skills ? { skills: replaceSkills(skills) } : {}) },
+      select: mentorSelect
+    })
+    : await tx.mentor.create({
       data: {
-        mentors: formattedMentors,
-        count: formattedMentors.length
+        userId,
+        approvalStatus: 'draft',
+        isApproved: false,
+        ...data,
+        ...status,
+        ...(skills ? { skills: { create: skills } } : {})
+      },
+      select: mentorSelect
+    });
+
+  if (submit) {
+    await tx.mentorApprovalHistory.create({
+      data: {
+        mentorId: mentor.id,
+        status: 'pending',
+        reason: 'Profile submitted for review'
       }
     });
-  } catch (error) {
-    console.error('Get all mentors error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    await tx.user.updateMany({
+      where: { id: userId, role: 'user' },
+      data: { role: 'mentor' }
     });
   }
+
+  return mentor;
 };
 
-// Get single mentor by ID
-const getMentorById = async (req, res) => {
-  try {
-    const { id } = req.params;
+const DEFAULT_PAGE_SIZE = 20;
 
-    const mentor = await prisma.mentor.findUnique({
-      where: { id: parseInt(id) },
-      select: {
-        id: true,
-        userId: true,
-        title: true,
-        bio: true,
-        image: true,
-        yearsOfExperience: true,
-        timezone: true,
-        hourlyRate: true,
-        currency: true,
-        languages: true,
-        isApproved: true,
-        isActive: true,
-        createdAt: true,
-        updatedAt: true,
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true,
-            firstName: true,
-            lastName: true,
-            image: true,
-            profession: true
-          }
-        }
-      }
+// Sort options for the mentor listing: default direction plus the columns used.
+// Sorting by rate orders by the rate converted in SQL (see findMentorIdsByRate).
+const mentorSortOptions = {
+  newest: { order: 'desc', fields: ['createdAt'] },
+  experience: { order: 'desc', fields: ['yearsOfExperience'] },
+  rating: { order: 'desc', fields: ['averageRating', 'reviewCount'] }
+};
+
+// Build the orderBy clause; id is the final tie-breaker so cursors are stable
+const buildMentorOrderBy = (sort = 'newest', order) => {
+  const option = mentorSortOptions[sort] || mentorSortOptions.newest;
+  const direction = order || option.order;
+
+  return [
+    ...option.fields.map(field => ({ [field]: { sort: direction, nulls: 'last' } })),
+    { id: direction }
+  ];
+};
+
+// Language codes are stored lowercase and names capitalised (e.g. { code: "en", language: "English" })
+const languageCandidates = (language) => {
+  const value = language.trim();
+  const capitalized = value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+  return [
+    { code: value },
+    { code: value.toLowerCase() },
+    { language: value },
+    { language: capitalized }
+  ];
+};
+
+const buildLanguageFilter = (language) => {
+  // JSONB containment (languages @> '[{"code": "en"}]') so the filter runs in the database
+  return {
+    OR: languageCandidates(language).map(candidate => ({
+      languages: { array_contains: [candidate] }
+    }))
+  };
+};
+
+// "react, node" -> ['react', 'node']
+const parseSlugList = (value) => value.split(',').map(slug => slug.trim().toLowerCase()).filter(Boolean);
+
+// Number of listed mentors per skill, for the filter sidebar. Counted with every filter
+// except the skill filter itself, so choosing a skill does not hide the other options.
+const getSkillFacets = async (where) => {
+  const groups = await prisma.mentorSkill.groupBy({
+    by: ['skillId'],
+    where: { mentor: where },
+    _count: { _all: true }
+  });
+
+  if (groups.length === 0) return [];
+
+  const skills = await prisma.skill.findMany({
+    where: { id: { in: groups.map(group => group.skillId) } },
+    select: {
+      id: true,
+      slug: true,
+      name: true,
+      category: { select: { slug: true, name: true } }
+    }
+  });
+  const countBySkill = new Map(groups.map(group => [group.skillId, group._count._all]));
+
+  return skills
+    .map(skill => ({ ...skill, count: countBySkill.get(skill.id) }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+// Rate range given in the display currency: each stored currency is compared against the bounds
+// converted into it, widened by half a cent so the filter agrees with the rounded converted rates.
+// Mentors whose currency has no exchange rate cannot be compared and are left out.
+const buildRateFilter = (minRate, maxRate, { currency, exchangeRates }) => ({
+  OR: Object.keys(exchangeRates.rates).map(code => {
+    const factor = conversionFactor(currency, code, exchangeRates);
+    const hourlyRate = {};
+    if (minRate !== undefined) {
+      hourlyRate.gte = (parseFloat(minRate) - 0.005) * factor;
+    }
+    if (maxRate !== undefined) {
+      hourlyRate.lte = (parseFloat(maxRate) + 0.005) * factor;
+    }
+    return { currency: code, hourlyRate };
+  })
+});
+
+// Load listing mentors for ids that were ordered elsewhere, keeping that order
+const findMentorsInOrder = async (ids) => {
+  const mentors = await prisma.mentor.findMany({
+    where: { id: { in: ids } },
+    select: mentorSelect
+  });
+  const mentorsById = new Map(mentors.map(mentor => [mentor.id, mentor]));
+
+  return ids.map(id => mentorsById.get(id)).filter(Boolean);
+};
+
+// The public directory lists approved mentors only. Admins also see profiles that are
+// awaiting review, rejected or suspended; drafts are only visible to their owner.
+const canSeeUnapprovedMentors = (user) => Boolean(user && user.role === 'admin');
+
+// Whether a single profile may be shown to the (possibly anonymous) user
+const canViewMentor = (mentor, user) => {
+  if (mentor.approvalStatus === 'approved') return true;
+  if (user && mentor.userId === user.id) return true;
+  return canSeeUnapprovedMentors(user) && mentor.approvalStatus !== 'draft';
+};
+
+// Build the Prisma where clause from the listing query parameters.
+// Text search runs separately (see mentor.search.utils); its matches narrow the ids here.
+const buildMentorWhere = (query, searchMatches, pricing, user) => {
+  const {
+    isApproved,
+    isActive,
+    language,
+    minRate,
+    maxRate,
+    minRating,
+    skills,
+    skillMatch,
+    category
+  } = query;
+
+  const where = {
+    AND: [],
+    approvalStatus: canSeeUnapprovedMentors(user) ? { not: 'draft' } : 'approved'
+  };
+
+  // Filter by approval status
+  if (isApproved !== undefined) {
+    where.isApproved = isApproved === 'true';
+  }
+
+  // Filter by active status
+  if (isActive !== undefined) {
+    where.isActive = isActive === 'true';
+  }
+
+  // Filter by hourly rate range (in the display currency)
+  if (minRate !== undefined || maxRate !== undefined) {
+    where.AND.push(buildRateFilter(minRate, maxRate, pricing));
+  }
+
+  // Filter by minimum average rating
+  if (minRating !== undefined) {
+    where.averageRating = { gte: parseFloat(minRating) };
+  }
+
+  // Filter by spoken language
+  if (language) {
+    where.AND.push(buildLanguageFilter(language));
+  }
+
+  // Filter by skill: mentors with any of the skills (default) or with all of them
+  if (skills) {
+    const slugs = parseSlugList(skills);
+    if (skillMatch === 'all') {
+      where.AND.push(...slugs.map(slug => ({ skills: { some: { skill: { slug } } } })));
+    } else {
+      where.AND.push({ skills: { some: { skill: { slug: { in: slugs } } } } });
+    }
+  }
+
+  // Filter by category: mentors with at least one skill in any of the categories
+  if (category) {
+    where.AND.push({ skills: { some: { skill: { category: { slug: { in: parseSlugList(category) } } } } } });
+  }
+
+  // Restrict to full-text search matches
+  if (searchMatches) {
+    where.id = { in: searchMatches.map(match => match.id) };
+  }
+
+  return where;
+};
+
+// Same filters as buildMentorWhere, parsed for the raw SQL facet queries
+const buildMentorFacetFilters = (query, searchMatches, pricing, user) => {
+  const { isApproved, isActive, language, minRate, maxRate, minRating, skills, skillMatch, category } = query;
+
+  return {
+    approvedOnly: !canSeeUnapprovedMentors(user),
+    isApproved: isApproved !== undefined ? isApproved === 'true' : undefined,
+    isActive: isActive !== undefined ? isActive === 'true' : undefined,
+    minRate: minRate !== undefined ? parseFloat(minRate) : undefined,
+    maxRate: maxRate !== undefined ? parseFloat(maxRate) : undefined,
+    minRating: minRating !== undefined ? parseFloat(minRating) : undefined,
+    languageCandidates: language ? languageCandidates(language) : undefined,
+    skills: skills ? parseSlugList(skills) : undefined,
+    skillMatch,
+    categories: category ? parseSlugList(category) : undefined,
+    mentorIds: searchMatches ? searchMatches.map(match => match.id) : undefined,
+    pricing
+  };
+};
+
+// Get all mentors (with optional filters, sorting and pagination)
+const getAllMentors = async (req, res) => {
+  const { order, cursor, search } = req.query;
+  const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_PAGE_SIZE;
+  const page = req.query.page ? parseInt(req.query.page) : 1;
+
+  // Search results are ordered by relevance unless another sort is requested
+  const sort = req.query.sort || (search ? 'relevance' : 'newest');
+  const searchMatches = search ? await findMentorSearchMatches(search) : null;
+  const rankById = new Map((searchMatches || []).map(match => [match.id, match.rank]));
+  const pricing = await resolvePricing(req.query);
+  const where = buildMentorWhere(req.query, searchMatches, pricing, req.user);
+  const skillFacets = await getSkillFacets(buildMentorWhere({ ...req.query, skills: undefined }, searchMatches, pricing, req.user));
+
+  let mentors;
+  let total;
+
+  if (sort === 'rate') {
+    // Rates are converted to the display currency in the query, which orders and pages by them
+    const result = await findMentorIdsByRate(buildMentorFacetFilters(req.query, searchMatches, pricing, req.user), {
+      order,
+      limit,
+      offset: cursor ? 0 : (page - 1) * limit,
+      cursor: cursor ? parseInt(cursor) : undefined
     });
 
-    if (!mentor) {
-      return res.status(404).json({
-        success: false,
-        message: 'Mentor not found'
-      });
+    mentors = await findMentorsInOrder(result.ids);
+    total = result.total;
+  } else if (sort === 'relevance' && searchMatches) {
+    // Rank order comes from the search query, so filter ids in the database and order and page in memory
+    const candidates = await prisma.mentor.findMany({ where, select: { id: true } });
+    const filteredIds = candidates.map(mentor => mentor.id).sort((a, b) => rankById.get(b) - rankById.get(a) || b - a);
+
+    const cursorIndex = cursor ? filteredIds.indexOf(parseInt(cursor)) : -1;
+    const offset = cursor ? cursorIndex + 1 : (page - 1) * limit;
+    const pageIds = cursor && cursorIndex === -1 ? [] : filteredIds.slice(offset, offset + limit);
+
+    mentors = await findMentorsInOrder(pageIds);
+    total = filteredIds.length;
+  } else {
+    // Cursor pagination continues after the given mentor id; otherwise use page/limit offsets
+    const pagination = cursor
+      ? { cursor: { id: parseInt(cursor) }, skip: 1, take: limit }
+      : { skip: (page - 1) * limit, take: limit };
+
+    [mentors, total] = await prisma.$transaction([
+      prisma.mentor.findMany({
+        where,
+        select: mentorSelect,
+        orderBy: buildMentorOrderBy(sort, order),
+        ...pagination
+      }),
+      prisma.mentor.count({ where })
+    ]);
+  }
+
+  let formattedMentors = mentors.map(mentor => withConvertedRate(formatMentor(mentor), pricing));
+
+  // Attach relevance and highlighted snippets to search results
+  if (searchMatches) {
+    const highlights = await getMentorSearchHighlights(search, mentors.map(mentor => mentor.id));
+
+    formattedMentors = formattedMentors.map(mentor => ({
+      ...mentor,
+      searchRank: rankById.get(mentor.id),
+      highlights: highlights[mentor.id] || null
+    }));
+  }
+
+  const totalPages = Math.ceil(total / limit);
+  const lastMentor = mentors[mentors.length - 1];
+
+  res.json({
+    success: true,
+    message: `Found ${total} mentor(s)`,
+    data: {
+      mentors: formattedMentors,
+      count: formattedMentors.length,
+      pagination: {
+        total,
+        limit,
+        page: cursor ? null : page,
+        totalPages,
+        hasNextPage: cursor ? mentors.length === limit : page < totalPages,
+        nextCursor: mentors.length === limit && lastMentor ? String(lastMentor.id) : null
+      },
+      facets: {
+        skills: skillFacets
+      }
     }
+  });
+};
 
-    const formattedMentor = {
-      id: mentor.id,
-      userId: mentor.userId,
-      title: mentor.title,
-      bio: mentor.bio,
-      image: mentor.image,
-      yearsOfExperience: mentor.yearsOfExperience,
-      timezone: mentor.timezone,
-      hourlyRate: mentor.hourlyRate ? parseFloat(mentor.hourlyRate) : null,
-      currency: mentor.currency,
-      languages: mentor.languages,
-      isApproved: mentor.isApproved,
-      isActive: mentor.isActive,
-      createdAt: mentor.createdAt,
-      updatedAt: mentor.updatedAt,
-      user: mentor.user
-    };
-
-    // Return image URL as-is (already a full URL)
-    res.json({
-      success: true,
-      data: {
-        mentor: formattedMentor
+// Filter options for the mentor directory with counts for the current filters (public)
+const getMentorFacets = async (req, res) => {
+  const { search } = req.query;
+  const rateBuckets = req.query.rateBuckets ? parseInt(req.query.rateBuckets) : DEFAULT_RATE_BUCKETS;
+
+  const pricing = await resolvePricing(req.query);
+  const searchMatches = search ? await findMentorSearchMatches(search) : null;
+  const { total, ...facets } = await countMentorFacets(buildMentorFacetFilters(req.query, searchMatches, pricing, req.user), rateBuckets);
+  const skills = await getSkillFacets(buildMentorWhere({ ...req.query, skills: undefined }, searchMatches, pricing, req.user));
+
+  res.json({
+    success: true,
+    data: {
+      total,
+      facets: {
+        ...facets,
+        skills
       }
-    });
-  } catch (error) {
-    console.error('Get mentor by ID error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    }
+  });
+};
+
+// Get single mentor by ID
+const getMentorById = async (req, res) => {
+  const { id } = req.params;
+
+  const pricing = await resolvePricing(req.query);
+
+  const mentor = await prisma.mentor.findUnique({
+    where: { id: parseInt(id) },
+    select: mentorSelect
+  });
+
+  if (!mentor || !canViewMentor(mentor, req.user)) {
+    throw new NotFoundError('Mentor not found', 'MENTOR_NOT_FOUND');
   }
+
+  const formattedMentor = withConvertedRate(formatMentor(mentor), pricing);
+
+  // Return image URL as-is (already a full URL)
+  res.json({
+    success: true,
+    data: {
+      mentor: formattedMentor
+    }
+  });
 };
 
 // Get mentor by user ID
 const getMentorByUserId = async (req, res) => {
-  try {
-    const { userId } = req.params;
+  const { userId } = req.params;
 
-    const mentor = await prisma.mentor.findUnique({
-      where: { userId: parseInt(userId) },
-      select: {
-        id: true,
-        userId: true,
-        title: true,
-        bio: true,
-        image: true,
-        yearsOfExperience: true,
-        timezone: true,
-        hourlyRate: true,
-        currency: true,
-        languages: true,
-        isApproved: true,
-        isActive: true,
-        createdAt: true,
-        updatedAt: true,
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true,
-            firstName: true,
-            lastName: true,
-            image: true,
-            profession: true
-          }
-        }
-      }
-    });
+  const pricing = await resolvePricing(req.query);
 
-    if (!mentor) {
-      return res.status(404).json({
-        success: false,
-        message: 'Mentor not found'
-      });
-    }
+  const mentor = await prisma.mentor.findUnique({
+    where: { userId: parseInt(userId) },
+    select: mentorSelect
+  });
 
-    const formattedMentor = {
-      id: mentor.id,
-      userId: mentor.userId,
-      title: mentor.title,
-      bio: mentor.bio,
-      image: mentor.image,
-      yearsOfExperience: mentor.yearsOfExperience,
-      timezone: mentor.timezone,
-      hourlyRate: mentor.hourlyRate ? parseFloat(mentor.hourlyRate) : null,
-      currency: mentor.currency,
-      languages: mentor.languages,
-      isApproved: mentor.isApproved,
-      isActive: mentor.isActive,
-      createdAt: mentor.createdAt,
-      updatedAt: mentor.updatedAt,
-      user: mentor.user
-    };
-
-    // Return image URL as-is (already a full URL)
-    res.json({
-      success: true,
-      data: {
-        mentor: formattedMentor
-      }
-    });
-  } catch (error) {
-    console.error('Get mentor by user ID error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (!mentor || !canViewMentor(mentor, req.user)) {
+    throw new NotFoundError('Mentor not found', 'MENTOR_NOT_FOUND');
   }
+
+  const formattedMentor = withConvertedRate(formatMentor(mentor), pricing);
+
+  // Return image URL as-is (already a full URL)
+  res.json({
+    success: true,
+    data: {
+      mentor: formattedMentor
+    }
+  });
 };
 
-// Create mentor with user registration (public - creates user and mentor profile)
+// Create mentor with user registration (public - creates user and mentor profile).
+// The profile is saved as a draft: only a verified email can submit it for review, and a
+// new account has not verified one yet, so it is submitted later with POST /profile/me.
 const createMentor = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const formattedErrors = errors.array().map(err => ({
-        field: err.path || err.param,
-        message: err.msg,
-        value: err.value
-      }));
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed. Please check your input.',
-        errors: formattedErrors
-      });
-    }
+  const { email, password, name, submit = false } = req.body;
 
-    const {
-      // User registration fields
-      email,
-      password,
-      name,
-      // Mentor fields
-      title,
-      bio,
-      image,
-      yearsOfExperience,
-      timezone,
-      hourlyRate,
-      currency,
-      languages,
-      isApproved,
-      isActive
-    } = req.body;
-
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() },
-      select: { id: true }
-    });
+  if (submit) {
+    throw new ForbiddenError('Please verify your email address before submitting your mentor profile; save it as a draft until then', 'EMAIL_NOT_VERIFIED');
+  }
 
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'User with this email already exists'
-      });
-    }
+  const profileData = buildMentorProfileData(req.body);
+  const missingFields = getMissingProfileFields(profileData);
 
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+  // Check if user already exists
+  const existingUser = await prisma.user.findUnique({
+    where: { email: email.toLowerCase() },
+    select: { id: true }
+  });
 
-    // Create user and mentor profile in a transaction
-    const result = await prisma.$transaction(async (tx) => {
-      // Create user
-      const user = await tx.user.create({
-        data: {
-          email: email.toLowerCase(),
-          password: hashedPassword,
-          name: name || null
-        },
-        select: {
-          id: true,
-          email: true,
-          name: true,
-          firstName: true,
-          lastName: true,
-          image: true,
-          profession: true,
-          createdAt: true
-        }
-      });
+  if (existingUser) {
+    throw new ConflictError('User with this email already exists', 'EMAIL_TAKEN');
+  }
 
-      // Create mentor profile
-      const mentor = await tx.mentor.create({
-        data: {
-          userId: user.id,
-          title: title.trim(),
-          bio: bio ? bio.trim() : null,
-          image: image && image.trim() !== '' ? image.trim() : null,
-          yearsOfExperience: yearsOfExperience ? parseInt(yearsOfExperience) : null,
-          timezone: timezone ? timezone.trim() : null,
-          hourlyRate: hourlyRate ? parseFloat(hourlyRate) : null,
-          currency: currency ? currency.trim() : null,
-          languages: languages || null,
-          isApproved: isApproved !== undefined ? isApproved : false,
-          isActive: isActive !== undefined ? isActive : true
-        }
-      });
+  const skills = await resolveSkills(req.body.skills);
 
-      return { user, mentor };
-    });
+  // Hash password
+  const saltRounds = 12;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Generate tokens
-    const token = generateToken(result.user.id);
-    const refreshToken = generateRefreshToken(result.user.id);
-
-    const formattedMentor = {
-      id: result.mentor.id,
-      userId: result.mentor.userId,
-      title: result.mentor.title,
-      bio: result.mentor.bio,
-      image: result.mentor.image,
-      yearsOfExperience: result.mentor.yearsOfExperience,
-      timezone: result.mentor.timezone,
-      hourlyRate: result.mentor.hourlyRate ? parseFloat(result.mentor.hourlyRate) : null,
-      currency: result.mentor.currency,
-      languages: result.mentor.languages,
-      isApproved: result.mentor.isApproved,
-      isActive: result.mentor.isActive,
-      createdAt: result.mentor.createdAt,
-      updatedAt: result.mentor.updatedAt,
-      user: result.user
-    };
-
-    res.status(201).json({
-      success: true,
-      message: 'Mentor profile and user account created successfully',
+  // Create user and mentor profile in a transaction
+  const result = await prisma.$transaction(async (tx) => {
+    // Create user (they become a mentor once the profile is submitted)
+    const user = await tx.user.create({
       data: {
-        user: {
-          id: result.user.id,
-          email: result.user.email,
-          name: result.user.name,
-          firstName: result.user.firstName,
-          lastName: result.user.lastName,
-          image: result.user.image,
-          profession: result.user.profession,
-          created_at: result.user.createdAt
-        },
-        mentor: formattedMentor,
-        token,
-        refreshToken
+        email: email.toLowerCase(),
+        password: hashedPassword,
+        name: name || null,
+        role: 'user'
+      },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        firstName: true,
+        lastName: true,
+        image: true,
+        profession: true,
+        role: true,
+        emailVerified: true,
+        createdAt: true
       }
     });
-  } catch (error) {
-    console.error('Create mentor error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
+
+    const mentor = await saveMentorProfile(tx, { userId: user.id, data: profileData, skills, submit: false });
+
+    return { user, mentor };
+  });
+
+  // Generate tokens
+  const { token, refreshToken } = await createSession(result.user.id, req);
+
+  // Mentors must verify their email before they can submit the profile
+  await sendEmailVerification(result.user);
+
+  const formattedMentor = formatMentor(result.mentor);
+
+  res.status(201).json({
+    success: true,
+    message: 'User account created and mentor profile saved as a draft',
+    data: {
+      user: {
+        id: result.user.id,
+        email: result.user.email,
+        name: result.user.name,
+        firstName: result.user.firstName,
+        lastName: result.user.lastName,
+        image: result.user.image,
+        profession: result.user.profession,
+        role: result.user.role,
+        emailVerified: result.user.emailVerified,
+        created_at: result.user.createdAt
+      },
+      mentor: formattedMentor,
+      missingFields,
+      token,
+      refreshToken
+    }
+  });
 };
 
 // Update mentor (protected - user can update their own, admin can update any)
 const updateMentor = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const formattedErrors = errors.array().map(err => ({
-        field: err.path || err.param,
-        message: err.msg,
-        value: err.value
-      }));
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed. Please check your input.',
-        errors: formattedErrors
-      });
-    }
+  const { id } = req.params;
+  const {
+    title,
+    bio,
+    image,
+    yearsOfExperience,
+    timezone,
+    hourlyRate,
+    currency,
+    languages,
+    isActive,
+    skills
+  } = req.body;
 
-    const { id } = req.params;
-    const {
-      title,
-      bio,
-      image,
-      yearsOfExperience,
-      timezone,
-      hourlyRate,
-      currency,
-      languages,
-      isApproved,
-      isActive
-    } = req.body;
-
-    // Check if mentor exists
-    const existingMentor = await prisma.mentor.findUnique({
-      where: { id: parseInt(id) }
-    });
+  // Check if mentor exists
+  const existingMentor = await prisma.mentor.findUnique({
+    where: { id: parseInt(id) }
+  });
 
-    if (!existingMentor) {
-      return res.status(404).json({
-        success: false,
-        message: 'Mentor not found'
-      });
-    }
+  if (!existingMentor) {
+    throw new NotFoundError('Mentor not found', 'MENTOR_NOT_FOUND');
+  }
 
-    // Check if user owns this mentor profile or is admin
-    // For now, allow user to update their own profile
-    // You can add admin check later
-    if (existingMentor.userId !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update this mentor profile'
-      });
+  // Check if user owns this mentor profile or is admin
+  const isOwner = existingMentor.userId === req.user.id;
+  if (!isOwner && req.user.role !== 'admin') {
+    throw new ForbiddenError('You do not have permission to update this mentor profile');
+  }
+
+  // Build update data
+  const updateData = {};
+  if (title !== undefined) updateData.title = title.trim();
+  if (bio !== undefined) updateData.bio = bio ? bio.trim() : null;
+  if (image !== undefined) {
+    if (image === null || image === '') {
+      updateData.image = null;
+    } else {
+      updateData.image = image.trim();
+    }
+    // Variants belong to uploaded images only
+    if (updateData.image !== existingMentor.image) {
+      updateData.imageVariants = Prisma.DbNull;
     }
+  }
+  if (yearsOfExperience !== undefined) updateData.yearsOfExperience = yearsOfExperience !== null ? parseInt(yearsOfExperience) : null;
+  if (timezone !== undefined) updateData.timezone = timezone ? timezone.trim() : null;
+  if (hourlyRate !== undefined) updateData.hourlyRate = hourlyRate !== null ? parseFloat(hourlyRate) : null;
+  if (currency !== undefined) updateData.currency = currency ? currency.trim().toUpperCase() : null;
+  if (languages !== undefined) updateData.languages = languages;
+  if (isActive !== undefined) updateData.isActive = isActive;
+  if (skills !== undefined) updateData.skills = replaceSkills(await resolveSkills(skills));
+  // isApproved is never taken from the body: approval decisions go through the
+  // admin approve/reject/suspend endpoints so that each one is recorded
 
-    // Build update data
-    const updateData = {};
-    if (title !== undefined) updateData.title = title.trim();
-    if (bio !== undefined) updateData.bio = bio ? bio.trim() : null;
-    if (image !== undefined) {
-      if (image === null || image === '') {
-        updateData.image = null;
-      } else {
-        updateData.image = image.trim();
-      }
+  // Only drafts may have empty required fields
+  if (existingMentor.approvalStatus !== 'draft') {
+    const missingFields = getMissingProfileFields({ ...existingMentor, ...updateData });
+    if (missingFields.length > 0) {
+      throw incompleteProfileError(missingFields, 'A submitted mentor profile must keep its required fields');
     }
-    if (yearsOfExperience !== undefined) updateData.yearsOfExperience = yearsOfExperience ? parseInt(yearsOfExperience) : null;
-    if (timezone !== undefined) updateData.timezone = timezone ? timezone.trim() : null;
-    if (hourlyRate !== undefined) updateData.hourlyRate = hourlyRate ? parseFloat(hourlyRate) : null;
-    if (currency !== undefined) updateData.currency = currency ? currency.trim() : null;
-    if (languages !== undefined) updateData.languages = languages;
-    // Only allow user to update isApproved if they're admin (add admin check later)
-    // if (isApproved !== undefined) updateData.isApproved = isApproved;
-    if (isActive !== undefined) updateData.isActive = isActive;
-
-    // Update mentor
-    const mentor = await prisma.mentor.update({
+  }
+
+  // A rejected mentor who edits their own profile is resubmitted for review
+  const resubmitted = isOwner && existingMentor.approvalStatus === 'rejected';
+  if (resubmitted) {
+    updateData.approvalStatus = 'pending';
+    updateData.isApproved = false;
+  }
+
+  // Update mentor
+  const mentor = await prisma.$transaction(async (tx) => {
+    const updated = await tx.mentor.update({
       where: { id: parseInt(id) },
       data: updateData,
-      include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true,
-            firstName: true,
-            lastName: true,
-            image: true,
-            profession: true
-          }
-        }
-      }
+      select: mentorSelect
     });
 
-    const formattedMentor = {
-      id: mentor.id,
-      userId: mentor.userId,
-      title: mentor.title,
-      bio: mentor.bio,
-      image: mentor.image,
-      yearsOfExperience: mentor.yearsOfExperience,
-      timezone: mentor.timezone,
-      hourlyRate: mentor.hourlyRate ? parseFloat(mentor.hourlyRate) : null,
-      currency: mentor.currency,
-      languages: mentor.languages,
-      isApproved: mentor.isApproved,
-      isActive: mentor.isActive,
-      createdAt: mentor.createdAt,
-      updatedAt: mentor.updatedAt,
-      user: mentor.user
-    };
-
-    // Return image URL as-is (already a full URL)
-    res.json({
-      success: true,
-      message: 'Mentor profile updated successfully',
-      data: {
-        mentor: formattedMentor
-      }
-    });
-  } catch (error) {
-    console.error('Update mentor error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    if (resubmitted) {
+      await tx.mentorApprovalHistory.create({
+        data: {
+          mentorId: updated.id,
+          status: 'pending',
+          reason: 'Profile updated and resubmitted for review'
+        }
+      });
+    }
+
+    return updated;
+  });
+
+  // A replaced upload is no longer referenced: remove the variants stored for this mentor
+  if (updateData.imageVariants === Prisma.DbNull) {
+    await deleteStoredImage(req, existingMentor.imageVariants);
   }
+
+  const formattedMentor = formatMentor(mentor);
+
+  // Return image URL as-is (already a full URL)
+  res.json({
+    success: true,
+    message: 'Mentor profile updated successfully',
+    data: {
+      mentor: formattedMentor
+    }
+  });
 };
 
 // Delete mentor (protected - user can delete their own, admin can delete any)
 const deleteMentor = async (req, res) => {
-  try {
-    const { id } = req.params;
+  const { id } = req.params;
 
-    // Check if mentor exists
-    const existingMentor = await prisma.mentor.findUnique({
+  // Check if mentor exists
+  const existingMentor = await prisma.mentor.findUnique({
+    where: { id: parseInt(id) }
+  });
+
+  if (!existingMentor) {
+    throw new NotFoundError('Mentor not found', 'MENTOR_NOT_FOUND');
+  }
+
+  // Check if user owns this mentor profile or is admin
+  if (existingMentor.userId !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('You do not have permission to delete this mentor profile');
+  }
+
+  // Delete mentor and demote the owner back to a regular user (admins keep their role)
+  await prisma.$transaction([
+    prisma.mentor.delete({
       where: { id: parseInt(id) }
-    });
+    }),
+    prisma.user.updateMany({
+      where: { id: existingMentor.userId, role: 'mentor' },
+      data: { role: 'user' }
+    })
+  ]);
 
-    if (!existingMentor) {
-      return res.status(404).json({
-        success: false,
-        message: 'Mentor not found'
-      });
+  res.json({
+    success: true,
+    message: 'Mentor profile deleted successfully'
+  });
+};
+
+// Get current user's mentor profile
+const getMyMentorProfile = async (req, res) => {
+  const mentor = await prisma.mentor.findUnique({
+    where: { userId: req.user.id },
+    select: mentorSelect
+  });
+
+  if (!mentor) {
+    throw new NotFoundError('You do not have a mentor profile yet', 'MENTOR_NOT_FOUND');
+  }
+
+  const formattedMentor = formatMentor(mentor);
+
+  // Return image URL as-is (already a full URL)
+  res.json({
+    success: true,
+    data: {
+      mentor: formattedMentor,
+      missingFields: getMissingProfileFields(mentor)
     }
+  });
+};
 
-    // Check if user owns this mentor profile or is admin
-    if (existingMentor.userId !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to delete this mentor profile'
-      });
+// Onboarding for a signed-in user (protected). The first call creates a draft profile and
+// later calls update it, so it can be filled in over several steps; `submit: true` sends
+// the completed profile for review. Submitted profiles are edited with PUT /:id instead.
+const saveMyMentorProfile = async (req, res) => {
+  const submit = req.body.submit === true;
+
+  // Drafts can be saved at any time, but only a verified email can send one for review
+  if (submit && !req.user.emailVerified) {
+    throw new ForbiddenError('Please verify your email address before submitting your mentor profile', 'EMAIL_NOT_VERIFIED');
+  }
+
+  const existingMentor = await prisma.mentor.findUnique({
+    where: { userId: req.user.id },
+    select: mentorSelect
+  });
+
+  if (existingMentor && existingMentor.approvalStatus !== 'draft') {
+    throw new ConflictError('Your mentor profile has already been submitted', 'MENTOR_PROFILE_EXISTS');
+  }
+
+  const data = buildMentorProfileData(req.body, existingMentor);
+  const missingFields = getMissingProfileFields({ ...existingMentor, ...data });
+
+  if (submit && missingFields.length > 0) {
+    throw incompleteProfileError(missingFields);
+  }
+
+  const skills = await resolveSkills(req.body.skills);
+
+  const mentor = await prisma.$transaction((tx) => saveMentorProfile(tx, {
+    userId: req.user.id,
+    mentorId: existingMentor ? existingMentor.id : null,
+    data,
+    skills,
+    submit
+  }));
+
+  // A replaced upload is no longer referenced: remove the variants stored for this draft
+  if (existingMentor && data.imageVariants === Prisma.DbNull) {
+    await deleteStoredImage(req, existingMentor.imageVariants);
+  }
+
+  res.status(existingMentor ? 200 : 201).json({
+    success: true,
+    message: submit ? 'Mentor profile submitted for review' : 'Mentor profile draft saved',
+    data: {
+      mentor: formatMentor(mentor),
+      missingFields
     }
+  });
+};
 
-    // Delete mentor (cascade will handle user relation)
-    await prisma.mentor.delete({
-      where: { id: parseInt(id) }
-    });
+// Delete mentor image
+const deleteMentorImage = async (req, res) => {
+  const mentor = await prisma.mentor.findUnique({
+    where: { userId: req.user.id }
+  });
 
-    res.json({
-      success: true,
-      message: 'Mentor profile deleted successfully'
-    });
-  } catch (error) {
-    console.error('Delete mentor error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (!mentor) {
+    throw new NotFoundError('Mentor profile not found', 'MENTOR_NOT_FOUND');
   }
+
+  if (!mentor.image) {
+    throw new BadRequestError('No image to delete', 'NO_IMAGE');
+  }
+
+  // Delete image from database
+  await prisma.mentor.update({
+    where: { userId: req.user.id },
+    data: { image: null, imageVariants: Prisma.DbNull }
+  });
+
+  // Remove the stored files if the image was uploaded here
+  await deleteStoredImage(req, mentor.imageVariants);
+
+  res.json({
+    success: true,
+    message: 'Mentor image deleted successfully'
+  });
 };
 
-// Get current user's mentor profile
-const getMyMentorProfile = async (req, res) => {
+// Upload a new mentor profile image (protected, multipart field "image")
+const uploadMentorImage = async (req, res) => {
+  let stored = null;
+
   try {
     const mentor = await prisma.mentor.findUnique({
       where: { userId: req.user.id },
-      select: {
-        id: true,
-        userId: true,
-        title: true,
-        bio: true,
-        image: true,
-        yearsOfExperience: true,
-        timezone: true,
-        hourlyRate: true,
-        currency: true,
-        languages: true,
-        isApproved: true,
-        isActive: true,
-        createdAt: true,
-        updatedAt: true,
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true,
-            firstName: true,
-            lastName: true,
-            image: true,
-            profession: true
-          }
-        }
-      }
+      select: { id: true, image: true, imageVariants: true }
     });
 
     if (!mentor) {
-      return res.status(404).json({
-        success: false,
-        message: 'You do not have a mentor profile yet'
-      });
+      throw new NotFoundError('Mentor profile not found', 'MENTOR_NOT_FOUND');
     }
 
-    const formattedMentor = {
-      id: mentor.id,
-      userId: mentor.userId,
-      title: mentor.title,
-      bio: mentor.bio,
-      image: mentor.image,
-      yearsOfExperience: mentor.yearsOfExperience,
-      timezone: mentor.timezone,
-      hourlyRate: mentor.hourlyRate ? parseFloat(mentor.hourlyRate) : null,
-      currency: mentor.currency,
-      languages: mentor.languages,
-      isApproved: mentor.isApproved,
-      isActive: mentor.isActive,
-      createdAt: mentor.createdAt,
-      updatedAt: mentor.updatedAt,
-      user: mentor.user
-    };
-
-    // Return image URL as-is (already a full URL)
+    stored = await storeImage(req, req.file);
+
+    const updatedMentor = await prisma.mentor.update({
+      where: { id: mentor.id },
+      data: { image: stored.image, imageVariants: stored.imageVariants },
+      select: mentorSelect
+    });
+
+    // The previous upload is no longer referenced
+    await deleteStoredImage(req, mentor.imageVariants);
+
     res.json({
       success: true,
+      message: 'Mentor image uploaded successfully',
       data: {
-        mentor: formattedMentor
+        mentor: formatMentor(updatedMentor)
       }
     });
   } catch (error) {
-    console.error('Get my mentor profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    // Do not leave the new files behind if the profile could not be updated
+    if (stored) await deleteStoredImage(req, stored.imageVariants);
+    throw error;
   }
 };
 
-// Delete mentor image
-const deleteMentorImage = async (req, res) => {
-  try {
-    const mentor = await prisma.mentor.findUnique({
-      where: { userId: req.user.id }
-    });
+// Approval statuses an admin may move a mentor into, keyed by the target status
+const allowedApprovalTransitions = {
+  approved: ['pending', 'rejected', 'suspended'],
+  rejected: ['pending'],
+  suspended: ['approved']
+};
 
-    if (!mentor) {
-      return res.status(404).json({
-        success: false,
-        message: 'Mentor profile not found'
-      });
-    }
+// Shared handler body for the admin approval endpoints
+const changeApprovalStatus = async (req, res, status, successMessage) => {
+  const { id } = req.params;
+  const { reason } = req.body;
 
-    if (!mentor.image) {
-      return res.status(400).json({
-        success: false,
-        message: 'No image to delete'
-      });
+  const existingMentor = await prisma.mentor.findUnique({
+    where: { id: parseInt(id) },
+    select: {
+      id: true,
+      approvalStatus: true,
+      user: { select: { emailVerified: true } }
     }
+  });
 
-    // Delete image from database
-    await prisma.mentor.update({
-      where: { userId: req.user.id },
-      data: { image: null }
+  if (!existingMentor) {
+    throw new NotFoundError('Mentor not found', 'MENTOR_NOT_FOUND');
+  }
+
+  if (status === 'approved' && !existingMentor.user.emailVerified) {
+    throw new ConflictError('The mentor has not verified their email address yet', 'MENTOR_EMAIL_NOT_VERIFIED');
+  }
+
+  if (!allowedApprovalTransitions[status].includes(existingMentor.approvalStatus)) {
+    throw new ConflictError(`Cannot change mentor status from ${existingMentor.approvalStatus} to ${status}`, 'INVALID_STATUS_TRANSITION');
+  }
+
+  // Update the mentor and record the decision together. The update only applies if the
+  // status is still the one checked above, so two admins cannot both change it.
+  const mentor = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.mentor.updateMany({
+      where: { id: existingMentor.id, approvalStatus: existingMentor.approvalStatus },
+      data: {
+        approvalStatus: status,
+        isApproved: status === 'approved'
+      }
     });
 
-    res.json({
-      success: true,
-      message: 'Mentor image deleted successfully'
+    if (count === 0) {
+      throw new ConflictError('This mentor was changed in the meantime, please reload it', 'MENTOR_CHANGED');
+    }
+
+    await tx.mentorApprovalHistory.create({
+      data: {
+        mentorId: existingMentor.id,
+        adminId: req.user.id,
+        status: status,
+        reason: reason ? reason.trim() : null
+      }
     });
-  } catch (error) {
-    console.error('Delete mentor image error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+
+    return tx.mentor.findUnique({
+      where: { id: existingMentor.id },
+      select: mentorSelect
     });
+  });
+
+  res.json({
+    success: true,
+    message: successMessage,
+    data: {
+      mentor: formatMentor(mentor)
+    }
+  });
+};
+
+// Approve mentor (admin only)
+const approveMentor = async (req, res) => {
+  await changeApprovalStatus(req, res, 'approved', 'Mentor approved successfully');
+};
+
+// Reject mentor with a reason (admin only)
+const rejectMentor = async (req, res) => {
+  await changeApprovalStatus(req, res, 'rejected', 'Mentor rejected successfully');
+};
+
+// Suspend an approved mentor (admin only)
+const suspendMentor = async (req, res) => {
+  await changeApprovalStatus(req, res, 'suspended', 'Mentor suspended successfully');
+};
+
+// Get approval history of a mentor (protected - owner or admin)
+const getMentorApprovalHistory = async (req, res) => {
+  const { id } = req.params;
+
+  const mentor = await prisma.mentor.findUnique({
+    where: { id: parseInt(id) },
+    select: { id: true, userId: true, approvalStatus: true }
+  });
+
+  if (!mentor) {
+    throw new NotFoundError('Mentor not found', 'MENTOR_NOT_FOUND');
   }
+
+  if (mentor.userId !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('You do not have permission to view this approval history');
+  }
+
+  const history = await prisma.mentorApprovalHistory.findMany({
+    where: { mentorId: mentor.id },
+    select: {
+      id: true,
+      status: true,
+      reason: true,
+      createdAt: true,
+      // Mentors see who reviewed them, but not the admin's email address
+      admin: {
+        select: {
+          id: true,
+          name: true,
+          email: req.user.role === 'admin'
+        }
+      }
+    },
+    orderBy: {
+      createdAt: 'desc'
+    }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      approvalStatus: mentor.approvalStatus,
+      history: history,
+      count: history.length
+    }
+  });
 };
 
 module.exports = {
   getAllMentors,
+  getMentorFacets,
   getMentorById,
   getMentorByUserId,
   createMentor,
   updateMentor,
   deleteMentor,
   getMyMentorProfile,
-  deleteMentorImage
+  saveMyMentorProfile,
+  deleteMentorImage,
+  uploadMentorImage,
+  approveMentor,
+  rejectMentor,
+  suspendMentor,
+  getMentorApprovalHistory
 };
@@ -0,0 +1,218 @@
+const { prisma } = require('../db');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors.utils');
+
+// Fields returned for a review (with its author's public info)
+const reviewSelect = {
+  id: true,
+  mentorId: true,
+  userId: true,
+  rating: true,
+  comment: true,
+  createdAt: true,
+  updatedAt: true,
+  user: {
+    select: {
+      id: true,
+      name: true,
+      firstName: true,
+      lastName: true,
+      image: true
+    }
+  }
+};
+
+// Recalculate the mentor's cached average rating and review count. The mentor row is
+// locked first, so concurrent review changes refresh one after another and the last one
+// aggregates over every committed review.
+const refreshMentorRating = async (tx, mentorId) => {
+  await tx.$queryRaw`SELECT id FROM mentors WHERE id = ${mentorId} FOR UPDATE`;
+
+  const stats = await tx.review.aggregate({
+    where: { mentorId },
+    _avg: { rating: true },
+    _count: { _all: true }
+  });
+
+  return tx.mentor.update({
+    where: { id: mentorId },
+    data: {
+      averageRating: stats._avg.rating ? Math.round(stats._avg.rating * 100) / 100 : 0,
+      reviewCount: stats._count._all
+    },
+    select: { averageRating: true, reviewCount: true }
+  });
+};
+
+const formatRating = (rating) => ({
+  averageRating: parseFloat(rating.averageRating),
+  reviewCount: rating.reviewCount
+});
+
+// Get reviews of a mentor (public)
+const getMentorReviews = async (req, res) => {
+  const mentorId = parseInt(req.params.id);
+
+  const mentor = await prisma.mentor.findUnique({
+    where: { id: mentorId },
+    select: { id: true, averageRating: true, reviewCount: true }
+  });
+
+  if (!mentor) {
+    throw new NotFoundError('Mentor not found', 'MENTOR_NOT_FOUND');
+  }
+
+  const reviews = await prisma.review.findMany({
+    where: { mentorId },
+    select: reviewSelect,
+    orderBy: {
+      updatedAt: 'desc'
+    }
+  });
+
+  res.json({
+    success: true,
+    message: `Found ${reviews.length} review(s)`,
+    data: {
+      reviews,
+      count: reviews.length,
+      ...formatRating(mentor)
+    }
+  });
+};
+
+// Review a mentor (protected - one review per user per mentor)
+const createReview = async (req, res) => {
+  try {
+    const mentorId = parseInt(req.params.id);
+    const { rating, comment } = req.body;
+
+    const mentor = await prisma.mentor.findUnique({
+      where: { id: mentorId },
+      select: { id: true, userId: true, isApproved: true }
+    });
+
+    if (!mentor || !mentor.isApproved) {
+      throw new NotFoundError('Mentor not found', 'MENTOR_NOT_FOUND');
+    }
+
+    if (mentor.userId === req.user.id) {
+      throw new BadRequestError('You cannot review your own mentor profile', 'CANNOT_REVIEW_SELF');
+    }
+
+    const existingReview = await prisma.review.findUnique({
+      where: { mentorId_userId: { mentorId, userId: req.user.id } },
+      select: { id: true }
+    });
+
+    if (existingReview) {
+      throw new ConflictError('You have already reviewed this mentor. Update your existing review instead.', 'REVIEW_EXISTS');
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const review = await tx.review.create({
+        data: {
+          mentorId,
+          userId: req.user.id,
+          rating: parseInt(rating),
+          comment: comment ? comment.trim() : null
+        },
+        select: reviewSelect
+      });
+      const mentorRating = await refreshMentorRating(tx, mentorId);
+
+      return { review, mentorRating };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: {
+        review: result.review,
+        ...formatRating(result.mentorRating)
+      }
+    });
+  } catch (error) {
+    // Unique (mentor, user) violation from a concurrent request
+    if (error.code === 'P2002') {
+      throw new ConflictError('You have already reviewed this mentor. Update your existing review instead.', 'REVIEW_EXISTS');
+    }
+    throw error;
+  }
+};
+
+// Update the current user's review of a mentor (protected)
+const updateMyReview = async (req, res) => {
+  const mentorId = parseInt(req.params.id);
+  const { rating, comment } = req.body;
+
+  const existingReview = await prisma.review.findUnique({
+    where: { mentorId_userId: { mentorId, userId: req.user.id } },
+    select: { id: true }
+  });
+
+  if (!existingReview) {
+    throw new NotFoundError('You have not reviewed this mentor yet', 'REVIEW_NOT_FOUND');
+  }
+
+  const updateData = {};
+  if (rating !== undefined) updateData.rating = parseInt(rating);
+  if (comment !== undefined) updateData.comment = comment ? comment.trim() : null;
+
+  if (Object.keys(updateData).length === 0) {
+    throw new BadRequestError('No fields to update', 'NO_FIELDS_TO_UPDATE');
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    const review = await tx.review.update({
+      where: { id: existingReview.id },
+      data: updateData,
+      select: reviewSelect
+    });
+    const mentorRating = await refreshMentorRating(tx, mentorId);
+
+    return { review, mentorRating };
+  });
+
+  res.json({
+    success: true,
+    message: 'Review updated successfully',
+    data: {
+      review: result.review,
+      ...formatRating(result.mentorRating)
+    }
+  });
+};
+
+// Delete the current user's review of a mentor (protected)
+const deleteMyReview = async (req, res) => {
+  const mentorId = parseInt(req.params.id);
+
+  const existingReview = await prisma.review.findUnique({
+    where: { mentorId_userId: { mentorId, userId: req.user.id } },
+    select: { id: true }
+  });
+
+  if (!existingReview) {
+    throw new NotFoundError('You have not reviewed this mentor yet', 'REVIEW_NOT_FOUND');
+  }
+
+  const mentorRating = await prisma.$transaction(async (tx) => {
+    await tx.review.delete({
+      where: { id: existingReview.id }
+    });
+    return refreshMentorRating(tx, mentorId);
+  });
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully',
+    data: formatRating(mentorRating)
+  });
+};
+
+module.exports = {
+  getMentorReviews,
+  createReview,
+  updateMyReview,
+  deleteMyReview
+};
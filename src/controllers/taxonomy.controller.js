@@ -0,0 +1,288 @@
+const { prisma } = require('../db');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors.utils');
+
+const categorySelect = {
+  id: true,
+  slug: true,
+  name: true,
+  description: true
+};
+
+const skillSelect = {
+  id: true,
+  slug: true,
+  name: true,
+  category: {
+    select: { id: true, slug: true, name: true }
+  }
+};
+
+// "Machine Learning" -> "machine-learning"; used when no slug is given
+const slugify = (value) => {
+  return value
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\+/g, ' plus ')
+    .replace(/#/g, ' sharp ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Slug from the body, or derived from the name
+const slugFor = ({ slug, name }) => {
+  const resolved = slug || slugify(name);
+  if (!resolved) {
+    throw new BadRequestError('Provide a slug; none can be derived from this name', 'SLUG_REQUIRED');
+  }
+  return resolved;
+};
+
+const findCategory = async (id) => {
+  const category = await prisma.category.findUnique({
+    where: { id: parseInt(id) },
+    select: categorySelect
+  });
+
+  if (!category) {
+    throw new NotFoundError('Category not found', 'CATEGORY_NOT_FOUND');
+  }
+
+  return category;
+};
+
+const findSkill = async (id) => {
+  const skill = await prisma.skill.findUnique({
+    where: { id: parseInt(id) },
+    select: { id: true, slug: true }
+  });
+
+  if (!skill) {
+    throw new NotFoundError('Skill not found', 'SKILL_NOT_FOUND');
+  }
+
+  return skill;
+};
+
+const assertSlugAvailable = async (model, slug, exceptId) => {
+  const existing = await prisma[model].findUnique({
+    where: { slug },
+    select: { id: true }
+  });
+
+  if (existing && existing.id !== exceptId) {
+    throw new ConflictError(`A ${model} with the slug "${slug}" already exists`, `${model.toUpperCase()}_SLUG_TAKEN`);
+  }
+};
+
+// Skills must belong to an existing category
+const assertCategoryExists = async (categoryId) => {
+  const category = await prisma.category.findUnique({
+    where: { id: categoryId },
+    select: { id: true }
+  });
+
+  if (!category) {
+    throw new NotFoundError('Category not found', 'CATEGORY_NOT_FOUND');
+  }
+};
+
+// List categories with their skills (public)
+const getCategories = async (req, res) => {
+  const categories = await prisma.category.findMany({
+    select: {
+      ...categorySelect,
+      skills: {
+        select: { id: true, slug: true, name: true },
+        orderBy: { name: 'asc' }
+      }
+    },
+    orderBy: { name: 'asc' }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      categories,
+      count: categories.length
+    }
+  });
+};
+
+// List skills, optionally of one category or matching a name (public)
+const getSkills = async (req, res) => {
+  const { category, search } = req.query;
+
+  const skills = await prisma.skill.findMany({
+    where: {
+      ...(category ? { category: { slug: category } } : {}),
+      ...(search ? { name: { contains: search, mode: 'insensitive' } } : {})
+    },
+    select: skillSelect,
+    orderBy: { name: 'asc' }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      skills,
+      count: skills.length
+    }
+  });
+};
+
+// Create a category (admin only)
+const createCategory = async (req, res) => {
+  const { name, description } = req.body;
+  const slug = slugFor(req.body);
+
+  await assertSlugAvailable('category', slug);
+
+  const category = await prisma.category.create({
+    data: {
+      slug,
+      name: name.trim(),
+      description: description ? description.trim() : null
+    },
+    select: categorySelect
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: { category }
+  });
+};
+
+// Rename or describe a category (admin only)
+const updateCategory = async (req, res) => {
+  const existing = await findCategory(req.params.id);
+  const { name, slug, description } = req.body;
+
+  if (slug !== undefined) {
+    await assertSlugAvailable('category', slug, existing.id);
+  }
+
+  const updateData = {};
+  if (name !== undefined) updateData.name = name.trim();
+  if (slug !== undefined) updateData.slug = slug;
+  if (description !== undefined) updateData.description = description ? description.trim() : null;
+
+  if (Object.keys(updateData).length === 0) {
+    throw new BadRequestError('No fields to update', 'NO_FIELDS_TO_UPDATE');
+  }
+
+  const category = await prisma.category.update({
+    where: { id: existing.id },
+    data: updateData,
+    select: categorySelect
+  });
+
+  res.json({
+    success: true,
+    message: 'Category updated successfully',
+    data: { category }
+  });
+};
+
+// Delete an empty category (admin only); its skills have to be moved or deleted first
+const deleteCategory = async (req, res) => {
+  const existing = await findCategory(req.params.id);
+
+  const skillCount = await prisma.skill.count({ where: { categoryId: existing.id } });
+  if (skillCount > 0) {
+    throw new ConflictError('Move or delete the skills of this category first', 'CATEGORY_NOT_EMPTY', { skillCount });
+  }
+
+  await prisma.category.delete({ where: { id: existing.id } });
+
+  res.json({
+    success: true,
+    message: 'Category deleted successfully'
+  });
+};
+
+// Create a skill in a category (admin only)
+const createSkill = async (req, res) => {
+  const { name, categoryId } = req.body;
+  const slug = slugFor(req.body);
+
+  await assertCategoryExists(categoryId);
+  await assertSlugAvailable('skill', slug);
+
+  const skill = await prisma.skill.create({
+    data: {
+      slug,
+      name: name.trim(),
+      categoryId
+    },
+    select: skillSelect
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Skill created successfully',
+    data: { skill }
+  });
+};
+
+// Rename a skill or move it to another category (admin only)
+const updateSkill = async (req, res) => {
+  const existing = await findSkill(req.params.id);
+  const { name, slug, categoryId } = req.body;
+
+  if (categoryId !== undefined) {
+    await assertCategoryExists(categoryId);
+  }
+  if (slug !== undefined) {
+    await assertSlugAvailable('skill', slug, existing.id);
+  }
+
+  const updateData = {};
+  if (name !== undefined) updateData.name = name.trim();
+  if (slug !== undefined) updateData.slug = slug;
+  if (categoryId !== undefined) updateData.categoryId = categoryId;
+
+  if (Object.keys(updateData).length === 0) {
+    throw new BadRequestError('No fields to update', 'NO_FIELDS_TO_UPDATE');
+  }
+
+  const skill = await prisma.skill.update({
+    where: { id: existing.id },
+    data: updateData,
+    select: skillSelect
+  });
+
+  res.json({
+    success: true,
+    message: 'Skill updated successfully',
+    data: { skill }
+  });
+};
+
+// Delete a skill (admin only); it is removed from every mentor profile
+const deleteSkill = async (req, res) => {
+  const existing = await findSkill(req.params.id);
+
+  const [mentorCount] = await prisma.$transaction([
+    prisma.mentorSkill.count({ where: { skillId: existing.id } }),
+    prisma.skill.delete({ where: { id: existing.id } })
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Skill deleted successfully',
+    data: { removedFromMentors: mentorCount }
+  });
+};
+
+module.exports = {
+  getCategories,
+  getSkills,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  createSkill,
+  updateSkill,
+  deleteSkill
+};
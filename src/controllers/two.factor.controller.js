@@ -0,0 +1,207 @@
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../db');
+const { BadRequestError, UnauthorizedError, ConflictError } = require('../utils/errors.utils');
+const {
+  generateTotpSecret,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  verifyTotp,
+  createRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/two.factor.utils');
+
+// Fields needed to check a user's second factor
+const twoFactorSelect = {
+  id: true,
+  email: true,
+  password: true,
+  twoFactorEnabled: true,
+  twoFactorSecret: true,
+  twoFactorLastUsedStep: true
+};
+
+// Accounts created through Google have no password; for them the code alone is checked
+const isPasswordValid = async (user, password) => {
+  if (!user.password) return true;
+  return typeof password === 'string' && bcrypt.compare(password, user.password);
+};
+
+// Get the current user's 2FA status (protected)
+const getTwoFactorStatus = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { twoFactorEnabled: true, twoFactorEnabledAt: true }
+  });
+
+  const recoveryCodesRemaining = user.twoFactorEnabled
+    ? await prisma.twoFactorRecoveryCode.count({ where: { userId: req.user.id, usedAt: null } })
+    : 0;
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining
+    }
+  });
+};
+
+// Start 2FA enrollment: create a secret and return it with an otpauth:// URI for
+// authenticator apps. 2FA is only enabled once a first code is confirmed.
+const setupTwoFactor = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  if (!(await isPasswordValid(user, req.body.password))) {
+    throw new UnauthorizedError('Password is incorrect', 'INVALID_PASSWORD');
+  }
+
+  const secret = generateTotpSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorSecret: encryptSecret(secret),
+      twoFactorLastUsedStep: null
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    }
+  });
+};
+
+// Confirm enrollment with a first code; returns the recovery codes (shown only once)
+const confirmTwoFactor = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  if (!user.twoFactorSecret) {
+    throw new BadRequestError('Start two-factor setup first', 'TWO_FACTOR_SETUP_REQUIRED');
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), req.body.code);
+
+  if (step === null) {
+    throw new BadRequestError('Invalid authentication code', 'INVALID_2FA_CODE');
+  }
+
+  const recoveryCodes = await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastUsedStep: step
+      }
+    });
+    return createRecoveryCodes(tx, user.id);
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: {
+      recoveryCodes
+    }
+  });
+};
+
+// Disable 2FA (protected - needs the password and a valid code)
+const disableTwoFactor = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  if (!user.twoFactorEnabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (!(await isPasswordValid(user, req.body.password))) {
+    throw new UnauthorizedError('Password is incorrect', 'INVALID_PASSWORD');
+  }
+
+  if (!(await verifySecondFactor(user, req.body.code))) {
+    throw new UnauthorizedError('Invalid authentication code', 'INVALID_2FA_CODE');
+  }
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastUsedStep: null
+      }
+    }),
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } })
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+};
+
+// Replace all recovery codes (protected - needs a valid authenticator code)
+const regenerateRecoveryCodes = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect
+  });
+
+  if (!user.twoFactorEnabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), req.body.code, user.twoFactorLastUsedStep);
+
+  if (step === null) {
+    throw new UnauthorizedError('Invalid authentication code', 'INVALID_2FA_CODE');
+  }
+
+  const recoveryCodes = await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: user.id },
+      data: { twoFactorLastUsedStep: step }
+    });
+    return createRecoveryCodes(tx, user.id);
+  });
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated. Your previous codes no longer work.',
+    data: {
+      recoveryCodes
+    }
+  });
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
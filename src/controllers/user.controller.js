@@ -1,7 +1,49 @@
 const bcrypt = require('bcryptjs');
-const { validationResult } = require('express-validator');
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../db');
-const { generateToken, generateRefreshToken } = require('../utils/jwt.utils');
+const {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../utils/errors.utils');
+const {
+  createSession,
+  revokeSession,
+  revokeAllSessions,
+  rotateRefreshToken,
+  listActiveSessions
+} = require('../utils/session.utils');
+const {
+  createUserToken,
+  consumeUserToken,
+  invalidateUserTokens,
+  sendEmailVerification,
+  sendPasswordReset
+} = require('../utils/user.token.utils');
+const { storeImage, deleteStoredImage } = require('../utils/upload.utils');
+const {
+  getLoginLockout,
+  delayAfterFailedLogins,
+  recordFailedLogin,
+  recordLockedLogin,
+  clearFailedLogins
+} = require('../utils/login.attempt.utils');
+const {
+  verifySecondFactor,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/two.factor.utils');
+
+// Resend throttling for verification emails
+const VERIFICATION_RESEND_INTERVAL_SECONDS = 60;
+const VERIFICATION_MAX_PER_HOUR = 5;
+
+// One-time codes handed to the frontend after Google sign-in
+const OAUTH_CODE_TTL_MINUTES = 1;
 
 // Helper function to check if user is a mentor
 const checkIsMentor = async (userId) => {
@@ -18,619 +60,972 @@ const checkIsMentor = async (userId) => {
 
 // Register a new user
 const register = async (req, res) => {
-  try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      // Format errors for better readability
-      const formattedErrors = errors.array().map(err => ({
-        field: err.path || err.param,
-        message: err.msg,
-        value: err.value
-      }));
-      
-      console.log('Validation errors:', formattedErrors);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed. Please check your input.',
-        errors: formattedErrors
-      });
-    }
+  const { email, password, name } = req.body;
 
-    const { email, password, name } = req.body;
+  // Check if user already exists
+  const existingUser = await prisma.user.findUnique({
+    where: { email: email.toLowerCase() },
+    select: { id: true }
+  });
 
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() },
-      select: { id: true }
-    });
+  if (existingUser) {
+    throw new ConflictError('User with this email already exists', 'EMAIL_TAKEN');
+  }
 
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'User with this email already exists'
-      });
+  // Hash password
+  const saltRounds = 12;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+  // Insert new user
+  const user = await prisma.user.create({
+    data: {
+      email: email.toLowerCase(),
+      password: hashedPassword,
+      name: name || null
+    },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      emailVerified: true,
+      createdAt: true
     }
+  });
 
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+  // Email a verification link
+  await sendEmailVerification(user);
 
-    // Insert new user
-    const user = await prisma.user.create({
-      data: {
-        email: email.toLowerCase(),
-        password: hashedPassword,
-        name: name || null
+  // Check if user is a mentor
+  const isMentor = await checkIsMentor(user.id);
+
+  // Generate tokens
+  const { token, refreshToken } = await createSession(user.id, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        created_at: user.createdAt,
+        isMentor: isMentor
       },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        createdAt: true
-      }
-    });
+      token,
+      refreshToken
+    }
+  });
+};
 
-    // Check if user is a mentor
-    const isMentor = await checkIsMentor(user.id);
+// Too many failed logins: the account is locked for a while
+const accountLockedError = (lockedUntil) => {
+  const retryAfterSeconds = Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1);
 
-    // Generate tokens
-    const token = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+  return new TooManyRequestsError(
+    `Too many failed login attempts. Please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+    'ACCOUNT_LOCKED',
+    retryAfterSeconds
+  );
+};
 
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          created_at: user.createdAt,
-          isMentor: isMentor
-        },
-        token,
-        refreshToken
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
+// Password accepted but a second factor is required: hand out a short-lived challenge
+const sendTwoFactorChallenge = (res, userId) => {
+  return res.json({
+    success: true,
+    message: 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken: createTwoFactorChallenge(userId)
+    }
+  });
 };
 
 // Login user
 const login = async (req, res) => {
-  try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const formattedErrors = errors.array().map(err => ({
-        field: err.path || err.param,
-        message: err.msg,
-        value: err.value
-      }));
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed. Please check your input.',
-        errors: formattedErrors
-      });
+  const { password } = req.body;
+  const email = req.body.email.toLowerCase();
+
+  // Locked accounts are rejected without looking at the password
+  const lockedUntil = await getLoginLockout(email);
+  if (lockedUntil) {
+    await recordLockedLogin(req, email);
+    throw accountLockedError(lockedUntil);
+  }
+
+  // Slow down repeated guesses
+  await delayAfterFailedLogins(email, req.ip);
+
+  // Find user by email
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: {
+      id: true,
+      email: true,
+      password: true,
+      name: true,
+      role: true,
+      emailVerified: true,
+      twoFactorEnabled: true
+    }
+  });
+
+  // Verify password (accounts created through Google have none)
+  const isPasswordValid = user && user.password
+    ? await bcrypt.compare(password, user.password)
+    : false;
+
+  if (!isPasswordValid) {
+    const lockedNow = await recordFailedLogin(req, {
+      email,
+      userId: user ? user.id : null,
+      reason: user ? 'invalid_password' : 'unknown_email'
+    });
+    if (lockedNow) {
+      throw accountLockedError(lockedNow);
     }
 
-    const { email, password } = req.body;
+    throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
+  }
 
-    // Find user by email
-    const user = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() },
-      select: {
-        id: true,
-        email: true,
-        password: true,
-        name: true
-      }
-    });
+  // With 2FA enabled the password only earns a challenge for the second step;
+  // failures are cleared once the code has been verified too
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallenge(res, user.id);
+  }
+
+  await clearFailedLogins(email);
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+  // Update last_active timestamp on login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastActive: new Date() }
+  });
+
+  // Check if user is a mentor
+  const isMentor = await checkIsMentor(user.id);
+
+  // Generate tokens
+  const { token, refreshToken } = await createSession(user.id, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        isMentor: isMentor
+      },
+      token,
+      refreshToken
     }
+  });
+};
+
+// Second login step for accounts with 2FA: challenge token from login plus an
+// authenticator code or a recovery code
+const loginTwoFactor = async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const userId = verifyTwoFactorChallenge(challengeToken);
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!userId) {
+    throw new UnauthorizedError('Invalid or expired login challenge. Please log in again.', 'INVALID_2FA_CHALLENGE');
+  }
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      emailVerified: true,
+      twoFactorEnabled: true,
+      twoFactorSecret: true,
+      twoFactorLastUsedStep: true
     }
+  });
 
-    // Update last_active timestamp on login
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastActive: new Date() }
-    });
+  if (!user || !user.twoFactorEnabled) {
+    throw new UnauthorizedError('Invalid or expired login challenge. Please log in again.', 'INVALID_2FA_CHALLENGE');
+  }
 
-    // Check if user is a mentor
-    const isMentor = await checkIsMentor(user.id);
+  // Code guesses count towards the same lockout as password guesses
+  const lockedUntil = await getLoginLockout(user.email);
+  if (lockedUntil) {
+    await recordLockedLogin(req, user.email);
+    throw accountLockedError(lockedUntil);
+  }
 
-    // Generate tokens
-    const token = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+  await delayAfterFailedLogins(user.email, req.ip);
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          isMentor: isMentor
-        },
-        token,
-        refreshToken
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  const method = await verifySecondFactor(user, code);
+
+  if (!method) {
+    const lockedNow = await recordFailedLogin(req, {
+      email: user.email,
+      userId: user.id,
+      reason: 'invalid_2fa_code'
     });
+    if (lockedNow) {
+      throw accountLockedError(lockedNow);
+    }
+
+    throw new UnauthorizedError('Invalid authentication code', 'INVALID_2FA_CODE');
   }
+
+  await clearFailedLogins(user.email);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastActive: new Date() }
+  });
+
+  const isMentor = await checkIsMentor(user.id);
+  const { token, refreshToken } = await createSession(user.id, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        isMentor: isMentor
+      },
+      token,
+      refreshToken,
+      usedRecoveryCode: method === 'recovery'
+    }
+  });
 };
 
 // Get current user profile (protected route)
 const getProfile = async (req, res) => {
-  try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        firstName: true,
-        lastName: true,
-        image: true,
-        birthdate: true,
-        profession: true,
-        createdAt: true,
-        updatedAt: true
-      }
-    });
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      firstName: true,
+      lastName: true,
+      image: true,
+      imageVariants: true,
+      birthdate: true,
+      profession: true,
+      role: true,
+      emailVerified: true,
+      createdAt: true,
+      updatedAt: true
     }
+  });
 
-    // Check if user is a mentor
-    const isMentor = await checkIsMentor(user.id);
-
-    // Format user data - image is already a full URL
-    const userData = {
-      ...user,
-      first_name: user.firstName,
-      last_name: user.lastName,
-      created_at: user.createdAt,
-      updated_at: user.updatedAt,
-      isMentor: isMentor
-    };
-
-    res.json({
-      success: true,
-      data: {
-        user: userData
-      }
-    });
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (!user) {
+    throw new NotFoundError('User not found', 'USER_NOT_FOUND');
   }
+
+  // Check if user is a mentor
+  const isMentor = await checkIsMentor(user.id);
+
+  // Format user data - image is already a full URL
+  const userData = {
+    ...user,
+    first_name: user.firstName,
+    last_name: user.lastName,
+    created_at: user.createdAt,
+    updated_at: user.updatedAt,
+    isMentor: isMentor
+  };
+
+  res.json({
+    success: true,
+    data: {
+      user: userData
+    }
+  });
 };
 
 // Update user profile (protected route)
 const updateProfile = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const formattedErrors = errors.array().map(err => ({
-        field: err.path || err.param,
-        message: err.msg,
-        value: err.value
-      }));
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed. Please check your input.',
-        errors: formattedErrors
-      });
+  const { firstName, lastName, birthdate, profession, name, image } = req.body;
+  
+  // Build update data object
+  const updateData = {};
+
+  // Handle image URL (accept as string URL)
+  let previousImage = null;
+  if (image !== undefined) {
+    if (image === null || image === '') {
+      // Allow setting image to null to delete it
+      updateData.image = null;
+    } else {
+      updateData.image = image.trim();
     }
 
-    const { firstName, lastName, birthdate, profession, name, image } = req.body;
-    
-    // Build update data object
-    const updateData = {};
-
-    // Handle image URL (accept as string URL)
-    if (image !== undefined) {
-      if (image === null || image === '') {
-        // Allow setting image to null to delete it
-        updateData.image = null;
-      } else {
-        updateData.image = image.trim();
-      }
+    previousImage = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { image: true, imageVariants: true }
+    });
+    // Variants belong to uploaded images only
+    if (previousImage.image !== updateData.image) {
+      updateData.imageVariants = Prisma.DbNull;
     }
+  }
 
-    // Handle other fields
-    if (firstName !== undefined) {
-      updateData.firstName = firstName.trim();
-    }
+  // Handle other fields
+  if (firstName !== undefined) {
+    updateData.firstName = firstName.trim();
+  }
+
+  if (lastName !== undefined) {
+    updateData.lastName = lastName.trim();
+  }
+
+  if (birthdate !== undefined && birthdate !== null && birthdate !== '') {
+    updateData.birthdate = new Date(birthdate);
+  }
+
+  if (profession !== undefined) {
+    updateData.profession = profession.trim();
+  }
+
+  // Keep name field for backward compatibility
+  if (name !== undefined) {
+    updateData.name = name.trim();
+  }
+
+  if (Object.keys(updateData).length === 0) {
+    throw new BadRequestError('No fields to update', 'NO_FIELDS_TO_UPDATE');
+  }
 
-    if (lastName !== undefined) {
-      updateData.lastName = lastName.trim();
+  // Update user with Prisma
+  const user = await prisma.user.update({
+    where: { id: req.user.id },
+    data: updateData,
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      firstName: true,
+      lastName: true,
+      image: true,
+      imageVariants: true,
+      birthdate: true,
+      profession: true,
+      role: true,
+      emailVerified: true,
+      createdAt: true,
+      updatedAt: true
     }
+  });
+
+  // A replaced upload is no longer referenced: remove the variants stored for this user
+  if (updateData.imageVariants === Prisma.DbNull) {
+    await deleteStoredImage(req, previousImage.imageVariants);
+  }
 
-    if (birthdate !== undefined && birthdate !== null && birthdate !== '') {
-      updateData.birthdate = new Date(birthdate);
+  // Check if user is a mentor
+  const isMentor = await checkIsMentor(user.id);
+
+  // Format user data for response
+  const userData = {
+    ...user,
+    first_name: user.firstName,
+    last_name: user.lastName,
+    created_at: user.createdAt,
+    updated_at: user.updatedAt,
+    isMentor: isMentor
+  };
+
+  // Return image URL as-is (already a full URL or null)
+  res.json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: {
+      user: userData
     }
+  });
+};
+
+// Change password (protected route)
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  // Get current user password
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { password: true }
+  });
+
+  if (!user) {
+    throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+  }
+
+  // Verify current password
+  const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
+
+  if (!isCurrentPasswordValid) {
+    throw new UnauthorizedError('Current password is incorrect', 'INVALID_CURRENT_PASSWORD');
+  }
+
+  // Check if new password is different from current password
+  const isSamePassword = await bcrypt.compare(newPassword, user.password);
+  if (isSamePassword) {
+    throw new BadRequestError('New password must be different from current password', 'PASSWORD_UNCHANGED');
+  }
+
+  // Hash new password
+  const saltRounds = 12;
+  const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+
+  // Update password
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { password: hashedNewPassword }
+  });
+
+  // Sign out every other session; the one that changed the password stays signed in
+  await revokeAllSessions(req.user.id, 'password_change', req.sessionId);
 
-    if (profession !== undefined) {
-      updateData.profession = profession.trim();
+  res.json({
+    success: true,
+    message: 'Password changed successfully'
+  });
+};
+
+// Refresh token (rotates the refresh token on every use)
+const refreshToken = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw new BadRequestError('Refresh token required', 'REFRESH_TOKEN_REQUIRED');
+  }
+
+  const result = await rotateRefreshToken(refreshToken, req);
+
+  if (result.error === 'reused') {
+    throw new UnauthorizedError('Refresh token reuse detected. Please log in again.', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (result.error) {
+    throw new ForbiddenError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      token: result.tokens.token,
+      refreshToken: result.tokens.refreshToken
     }
+  });
+};
+
+// Log out of the current session (protected)
+const logout = async (req, res) => {
+  // Tokens issued before sessions were tracked carry no session id
+  if (!req.sessionId) {
+    throw new BadRequestError('This token is not tied to a session. Use logout-all instead.', 'NO_SESSION');
+  }
+
+  await revokeSession(req.user.id, req.sessionId, 'logout');
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+};
 
-    // Keep name field for backward compatibility
-    if (name !== undefined) {
-      updateData.name = name.trim();
+// Log out of every session (protected)
+const logoutAll = async (req, res) => {
+  const result = await revokeAllSessions(req.user.id, 'logout_all');
+
+  res.json({
+    success: true,
+    message: 'Logged out of all sessions successfully',
+    data: {
+      revokedTokens: result.count
     }
+  });
+};
 
-    if (Object.keys(updateData).length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No fields to update'
-      });
+// List active sessions of the current user (protected)
+const getSessions = async (req, res) => {
+  const sessions = await listActiveSessions(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      })),
+      count: sessions.length
     }
+  });
+};
 
-    // Update user with Prisma
-    const user = await prisma.user.update({
-      where: { id: req.user.id },
-      data: updateData,
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        firstName: true,
-        lastName: true,
-        image: true,
-        birthdate: true,
-        profession: true,
-        createdAt: true,
-        updatedAt: true
-      }
-    });
+// Revoke one session of the current user (protected)
+const deleteSession = async (req, res) => {
+  const result = await revokeSession(req.user.id, req.params.sessionId, 'revoked_by_user');
+
+  if (result.count === 0) {
+    throw new NotFoundError('Session not found', 'SESSION_NOT_FOUND');
+  }
 
-    // Check if user is a mentor
-    const isMentor = await checkIsMentor(user.id);
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+};
 
-    // Format user data for response
-    const userData = {
-      ...user,
+// Get all active/logged-in users (protected route)
+const getActiveUsers = async (req, res) => {
+  // Default: users active in the last 15 minutes
+  const activeMinutes = parseInt(req.query.minutes) || 15;
+  
+  // Calculate the timestamp threshold
+  const threshold = new Date(Date.now() - activeMinutes * 60 * 1000);
+  
+  // Find active users with Prisma
+  const activeUsers = await prisma.user.findMany({
+    where: {
+      lastActive: {
+        not: null,
+        gte: threshold
+      }
+    },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      firstName: true,
+      lastName: true,
+      image: true,
+      profession: true,
+      role: true,
+      lastActive: true,
+      createdAt: true
+    },
+    orderBy: {
+      lastActive: 'desc'
+    }
+  });
+
+  // Get mentor status for all users
+  const userIds = activeUsers.map(u => u.id);
+  const mentors = await prisma.mentor.findMany({
+    where: { userId: { in: userIds } },
+    select: { userId: true }
+  });
+  const mentorUserIds = new Set(mentors.map(m => m.userId));
+
+  // Format users with full image URLs
+  const users = activeUsers.map(user => {
+    const formattedUser = {
+      id: user.id,
+      email: user.email,
+      name: user.name,
       first_name: user.firstName,
       last_name: user.lastName,
+      image: user.image,
+      profession: user.profession,
+      role: user.role,
+      last_active: user.lastActive,
       created_at: user.createdAt,
-      updated_at: user.updatedAt,
-      isMentor: isMentor
+      isMentor: mentorUserIds.has(user.id)
     };
+    
+    // Image is already a full URL, return as-is
+    return formattedUser;
+  });
+
+  res.json({
+    success: true,
+    message: `Found ${users.length} active user(s)`,
+    data: {
+      users: users,
+      count: users.length,
+      activeWithinMinutes: activeMinutes
+    }
+  });
+};
 
-    // Return image URL as-is (already a full URL or null)
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      data: {
-        user: userData
-      }
-    });
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
+// Fields returned after changing the profile image
+const profileImageSelect = {
+  id: true,
+  email: true,
+  name: true,
+  firstName: true,
+  lastName: true,
+  image: true,
+  imageVariants: true,
+  birthdate: true,
+  profession: true,
+  role: true,
+  emailVerified: true,
+  createdAt: true,
+  updatedAt: true
 };
 
-// Change password (protected route)
-const changePassword = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const formattedErrors = errors.array().map(err => ({
-        field: err.path || err.param,
-        message: err.msg
-      }));
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed. Please check your input.',
-        errors: formattedErrors
-      });
+// Format user data for profile image responses
+const formatProfileImageUser = async (user) => ({
+  ...user,
+  first_name: user.firstName,
+  last_name: user.lastName,
+  created_at: user.createdAt,
+  updated_at: user.updatedAt,
+  isMentor: await checkIsMentor(user.id)
+});
+
+// Delete user image (protected route)
+const deleteImage = async (req, res) => {
+  const currentUser = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { image: true, imageVariants: true }
+  });
+
+  // Update user to set image to null
+  const user = await prisma.user.update({
+    where: { id: req.user.id },
+    data: { image: null, imageVariants: Prisma.DbNull },
+    select: profileImageSelect
+  });
+
+  // Remove the stored files if the image was uploaded here
+  await deleteStoredImage(req, currentUser.imageVariants);
+
+  res.json({
+    success: true,
+    message: 'Image deleted successfully',
+    data: {
+      user: await formatProfileImageUser(user)
     }
+  });
+};
 
-    const { currentPassword, newPassword } = req.body;
+// Upload a new profile image (protected, multipart field "image")
+const uploadProfileImage = async (req, res) => {
+  let stored = null;
 
-    // Get current user password
-    const user = await prisma.user.findUnique({
+  try {
+    const currentUser = await prisma.user.findUnique({
       where: { id: req.user.id },
-      select: { password: true }
+      select: { image: true, imageVariants: true }
     });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Verify current password
-    const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    stored = await storeImage(req, req.file);
 
-    if (!isCurrentPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Current password is incorrect'
-      });
-    }
-
-    // Check if new password is different from current password
-    const isSamePassword = await bcrypt.compare(newPassword, user.password);
-    if (isSamePassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be different from current password'
-      });
-    }
-
-    // Hash new password
-    const saltRounds = 12;
-    const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
-
-    // Update password
-    await prisma.user.update({
+    const user = await prisma.user.update({
       where: { id: req.user.id },
-      data: { password: hashedNewPassword }
+      data: { image: stored.image, imageVariants: stored.imageVariants },
+      select: profileImageSelect
     });
 
+    // The previous upload is no longer referenced
+    await deleteStoredImage(req, currentUser.imageVariants);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Image uploaded successfully',
+      data: {
+        user: await formatProfileImageUser(user)
+      }
     });
   } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    // Do not leave the new files behind if the profile could not be updated
+    if (stored) await deleteStoredImage(req, stored.imageVariants);
+    throw error;
   }
 };
 
-// Refresh token
-const refreshToken = async (req, res) => {
-  try {
-    const { refreshToken } = req.body;
+// Change a user's role (admin only)
+const updateUserRole = async (req, res) => {
+  const userId = parseInt(req.params.id);
+  const { role } = req.body;
 
-    if (!refreshToken) {
-      return res.status(400).json({
-        success: false,
-        message: 'Refresh token required'
-      });
-    }
+  // Prevent admins from locking themselves out
+  if (userId === req.user.id && role !== 'admin') {
+    throw new BadRequestError('You cannot remove your own admin role', 'CANNOT_REMOVE_OWN_ADMIN_ROLE');
+  }
 
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(
-      refreshToken,
-      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
-    );
+  const existingUser = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true }
+  });
+
+  if (!existingUser) {
+    throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+  }
 
-    if (decoded.type !== 'refresh') {
-      return res.status(403).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
+  // The mentor role is tied to having a mentor profile
+  const isMentor = await checkIsMentor(userId);
+  if (role === 'mentor' && !isMentor) {
+    throw new BadRequestError('User does not have a mentor profile', 'MENTOR_PROFILE_REQUIRED');
+  }
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { role },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true
     }
+  });
+
+  res.json({
+    success: true,
+    message: 'User role updated successfully',
+    data: {
+      user: {
+        ...user,
+        isMentor: isMentor
+      }
+    }
+  });
+};
 
-    // Verify user still exists
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true }
-    });
+// Verify email address with the emailed token (public)
+const verifyEmail = async (req, res) => {
+  const userId = await consumeUserToken(req.body.token, 'email_verification');
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
+  if (!userId) {
+    throw new BadRequestError('Invalid or expired verification token', 'INVALID_VERIFICATION_TOKEN');
+  }
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    },
+    select: {
+      id: true,
+      email: true,
+      emailVerified: true
     }
+  });
 
-    // Generate new tokens
-    const newToken = generateToken(decoded.userId);
-    const newRefreshToken = generateRefreshToken(decoded.userId);
+  // Older links for the same address are no longer needed
+  await invalidateUserTokens(userId, 'email_verification');
 
-    res.json({
-      success: true,
-      data: {
-        token: newToken,
-        refreshToken: newRefreshToken
-      }
-    });
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(403).json({
-        success: false,
-        message: 'Invalid or expired refresh token'
-      });
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {
+      user
     }
-    console.error('Refresh token error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
+  });
+};
+
+// Send a new verification email (protected, throttled)
+const resendVerificationEmail = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, email: true, name: true, emailVerified: true }
+  });
+
+  if (user.emailVerified) {
+    throw new BadRequestError('Email is already verified', 'EMAIL_ALREADY_VERIFIED');
+  }
+
+  const recentTokens = await prisma.userToken.findMany({
+    where: {
+      userId: user.id,
+      type: 'email_verification',
+      createdAt: { gte: new Date(Date.now() - 60 * 60 * 1000) }
+    },
+    select: { createdAt: true },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const secondsSinceLast = recentTokens.length > 0
+    ? (Date.now() - recentTokens[0].createdAt.getTime()) / 1000
+    : Infinity;
+
+  if (recentTokens.length >= VERIFICATION_MAX_PER_HOUR || secondsSinceLast < VERIFICATION_RESEND_INTERVAL_SECONDS) {
+    const retryAfter = recentTokens.length >= VERIFICATION_MAX_PER_HOUR
+      ? Math.ceil((recentTokens[recentTokens.length - 1].createdAt.getTime() + 60 * 60 * 1000 - Date.now()) / 1000)
+      : Math.ceil(VERIFICATION_RESEND_INTERVAL_SECONDS - secondsSinceLast);
+
+    throw new TooManyRequestsError(
+      `Too many verification emails requested. Please try again in ${retryAfter} seconds.`,
+      'VERIFICATION_EMAIL_THROTTLED',
+      retryAfter
+    );
+  }
+
+  const sent = await sendEmailVerification(user);
+
+  if (!sent) {
+    throw new AppError('Could not send verification email. Please try again later.', {
+      status: 502,
+      code: 'EMAIL_DELIVERY_FAILED'
     });
   }
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
 };
 
-// Get all active/logged-in users (protected route)
-const getActiveUsers = async (req, res) => {
-  try {
-    // Default: users active in the last 15 minutes
-    const activeMinutes = parseInt(req.query.minutes) || 15;
-    
-    // Calculate the timestamp threshold
-    const threshold = new Date(Date.now() - activeMinutes * 60 * 1000);
-    
-    // Find active users with Prisma
-    const activeUsers = await prisma.user.findMany({
+// Request a password reset email (public). The response never reveals whether the email exists.
+const forgotPassword = async (req, res) => {
+  const email = req.body.email.toLowerCase();
+
+  // Token creation and delivery run in the background so response time does not depend on the account
+  (async () => {
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true, name: true }
+    });
+    if (!user) return;
+
+    // Quietly skip if a reset email was sent in the last minute
+    const recentToken = await prisma.userToken.findFirst({
       where: {
-        lastActive: {
-          not: null,
-          gte: threshold
-        }
+        userId: user.id,
+        type: 'password_reset',
+        createdAt: { gte: new Date(Date.now() - 60 * 1000) }
       },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        firstName: true,
-        lastName: true,
-        image: true,
-        profession: true,
-        lastActive: true,
-        createdAt: true
-      },
-      orderBy: {
-        lastActive: 'desc'
-      }
+      select: { id: true }
     });
+    if (recentToken) return;
 
-    // Get mentor status for all users
-    const userIds = activeUsers.map(u => u.id);
-    const mentors = await prisma.mentor.findMany({
-      where: { userId: { in: userIds } },
-      select: { userId: true }
-    });
-    const mentorUserIds = new Set(mentors.map(m => m.userId));
+    await sendPasswordReset(user);
+  })().catch(error => {
+    req.log.error('Forgot password error', { error });
+  });
 
-    // Format users with full image URLs
-    const users = activeUsers.map(user => {
-      const formattedUser = {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        first_name: user.firstName,
-        last_name: user.lastName,
-        image: user.image,
-        profession: user.profession,
-        last_active: user.lastActive,
-        created_at: user.createdAt,
-        isMentor: mentorUserIds.has(user.id)
-      };
-      
-      // Image is already a full URL, return as-is
-      return formattedUser;
-    });
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+};
 
-    res.json({
-      success: true,
-      message: `Found ${users.length} active user(s)`,
-      data: {
-        users: users,
-        count: users.length,
-        activeWithinMinutes: activeMinutes
-      }
-    });
-  } catch (error) {
-    console.error('Get active users error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+// Set a new password with a reset token (public)
+const resetPassword = async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  const userId = await consumeUserToken(token, 'password_reset');
+
+  if (!userId) {
+    throw new BadRequestError('Invalid or expired reset token', 'INVALID_RESET_TOKEN');
   }
+
+  // Hash new password
+  const saltRounds = 12;
+  const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { password: hashedNewPassword }
+  });
+
+  // Other reset links and every existing session stop working
+  await invalidateUserTokens(userId, 'password_reset');
+  await revokeAllSessions(userId, 'password_reset');
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully. Please log in with your new password.'
+  });
 };
 
-// Delete user image (protected route)
-const deleteImage = async (req, res) => {
+// Finish Google sign-in: send the browser back to the allow-listed frontend page with a
+// short-lived one-time code instead of tokens, which would leak through URLs and history
+const googleCallback = async (req, res) => {
+  const redirect = new URL(req.oauthRedirect);
+
   try {
-    // Update user to set image to null
-    const user = await prisma.user.update({
-      where: { id: req.user.id },
-      data: { image: null },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        firstName: true,
-        lastName: true,
-        image: true,
-        birthdate: true,
-        profession: true,
-        createdAt: true,
-        updatedAt: true
-      }
-    });
+    const code = await createUserToken(req.user.id, 'oauth_code', OAUTH_CODE_TTL_MINUTES);
+    redirect.searchParams.set('code', code);
+  } catch (error) {
+    req.log.error('Google callback error', { error });
+    redirect.searchParams.set('error', 'google_auth_failed');
+  }
 
-    // Check if user is a mentor
-    const isMentor = await checkIsMentor(user.id);
+  res.redirect(redirect.toString());
+};
 
-    // Format user data for response
-    const userData = {
-      ...user,
-      first_name: user.firstName,
-      last_name: user.lastName,
-      created_at: user.createdAt,
-      updated_at: user.updatedAt,
-      isMentor: isMentor
-    };
+// Exchange the one-time code from the Google callback for our access/refresh tokens
+const exchangeGoogleCode = async (req, res) => {
+  const userId = await consumeUserToken(req.body.code, 'oauth_code');
 
-    res.json({
-      success: true,
-      message: 'Image deleted successfully',
-      data: {
-        user: userData
-      }
-    });
-  } catch (error) {
-    console.error('Delete image error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+  if (!userId) {
+    throw new BadRequestError('Invalid or expired authorization code', 'INVALID_OAUTH_CODE');
   }
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { lastActive: new Date() },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      image: true,
+      role: true,
+      emailVerified: true,
+      twoFactorEnabled: true
+    }
+  });
+
+  // Signing in with Google replaces the password step, not the second factor
+  const { twoFactorEnabled, ...profile } = user;
+  if (twoFactorEnabled) {
+    return sendTwoFactorChallenge(res, user.id);
+  }
+
+  const isMentor = await checkIsMentor(user.id);
+  const { token, refreshToken } = await createSession(user.id, req);
+
+  res.json({
+    success: true,
+    message: 'Google login successful',
+    data: {
+      user: {
+        ...profile,
+        isMentor: isMentor
+      },
+      token,
+      refreshToken
+    }
+  });
 };
 
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   getProfile,
   updateProfile,
   changePassword,
   refreshToken,
   getActiveUsers,
-  deleteImage
+  deleteImage,
+  uploadProfileImage,
+  updateUserRole,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  googleCallback,
+  exchangeGoogleCode
 };
@@ -1,4 +1,7 @@
+const fs = require('fs');
+const path = require('path');
 const { PrismaClient } = require('@prisma/client');
+const { prismaMetricsMiddleware } = require('./utils/metrics.utils');
 require('dotenv').config();
 
 // Create Prisma Client instance
@@ -6,103 +9,93 @@ const prisma = new PrismaClient({
   log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
 });
 
-// Initialize database
+// Query timings for /metrics
+prisma.$use(prismaMetricsMiddleware);
+
+// Checked-in migrations (prisma/migrations/<timestamp>_<name>/migration.sql)
+const migrationsDir = path.join(__dirname, '../prisma/migrations');
+
+const BASELINE_MIGRATION = '20261018000000_baseline';
+
+const getLocalMigrations = () => {
+  return fs.readdirSync(migrationsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(migrationsDir, entry.name, 'migration.sql')))
+    .map(entry => entry.name)
+    .sort();
+};
+
+// Compare the checked-in migrations with the ones recorded in the database.
+// Resolves to { pending, failed, unknown } lists of migration names.
+const getMigrationStatus = async () => {
+  const [{ exists }] = await prisma.$queryRaw`
+    SELECT to_regclass('_prisma_migrations') IS NOT NULL AS exists
+  `;
+  const local = getLocalMigrations();
+
+  if (!exists) {
+    return { initialized: false, pending: local, failed: [], unknown: [] };
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT migration_name, finished_at, rolled_back_at FROM _prisma_migrations
+  `;
+  const applied = new Set(rows
+    .filter(row => row.finished_at && !row.rolled_back_at)
+    .map(row => row.migration_name));
+  const failed = rows
+    .filter(row => !row.finished_at && !row.rolled_back_at)
+    .map(row => row.migration_name);
+
+  return {
+    initialized: true,
+    pending: local.filter(name => !applied.has(name)),
+    failed,
+    unknown: [...applied].filter(name => !local.includes(name))
+  };
+};
+
+// Connect and make sure every migration has been applied. The server refuses to
+// start on a schema that is behind the code; migrations are applied with
+// `npm run db:migrate`, never at startup.
 const initializeDatabase = async () => {
   try {
     console.log('🔄 Connecting to PostgreSQL database...');
-    
+
     // Test connection
     await prisma.$connect();
     console.log('✅ Database connection established');
-    
-    // Add google_id column if it doesn't exist (for existing databases)
-    try {
-      await prisma.$executeRaw`ALTER TABLE users ADD COLUMN IF NOT EXISTS google_id VARCHAR(255)`;
-      await prisma.$executeRaw`CREATE UNIQUE INDEX IF NOT EXISTS users_google_id_key ON users(google_id) WHERE google_id IS NOT NULL`;
-    } catch (error) {
-      // Column might already exist, ignore error
-      if (!error.message.includes('already exists') && !error.message.includes('duplicate')) {
-        console.warn('Warning adding google_id column:', error.message);
-      }
+
+    const { initialized, pending, failed, unknown } = await getMigrationStatus();
+
+    if (!initialized) {
+      const hasUsersTable = (await prisma.$queryRaw`SELECT to_regclass('users') IS NOT NULL AS exists`)[0].exists;
+      throw new Error(hasUsersTable
+        ? `Database has no migration history. Baseline it with \`npm run db:baseline\` (marks ${BASELINE_MIGRATION} as applied), then run \`npm run db:migrate\``
+        : 'Database schema is missing. Run `npm run db:migrate`');
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`Migration(s) failed: ${failed.join(', ')}. Fix the database, then mark them with \`npx prisma migrate resolve\``);
     }
-    
-    // Make password nullable if not already (for Google OAuth users)
-    try {
-      await prisma.$executeRaw`ALTER TABLE users ALTER COLUMN password DROP NOT NULL`;
-    } catch (error) {
-      // Column might already be nullable, ignore error
-      if (!error.message.includes('does not exist')) {
-        console.warn('Warning updating password column:', error.message);
-      }
+
+    if (pending.length > 0) {
+      throw new Error(`Database schema is behind: ${pending.length} pending migration(s) (${pending.join(', ')}). Run \`npm run db:migrate\``);
     }
-    
-    // Create mentors table if it doesn't exist
-    try {
-      await prisma.$executeRaw`
-        CREATE TABLE IF NOT EXISTS mentors (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-          title VARCHAR(255) NOT NULL,
-          bio TEXT,
-          image VARCHAR(500),
-          years_of_experience INTEGER,
-          timezone VARCHAR(100),
-          hourly_rate DECIMAL(10, 2),
-          currency VARCHAR(10),
-          languages JSONB,
-          is_approved BOOLEAN DEFAULT false,
-          is_active BOOLEAN DEFAULT true,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `;
-      
-      // Create index on user_id if it doesn't exist
-      await prisma.$executeRaw`
-        CREATE UNIQUE INDEX IF NOT EXISTS mentors_user_id_key ON mentors(user_id)
-      `;
-      
-      // Create updated_at trigger function if it doesn't exist
-      await prisma.$executeRaw`
-        CREATE OR REPLACE FUNCTION update_updated_at_column()
-        RETURNS TRIGGER AS $$
-        BEGIN
-          NEW.updated_at = CURRENT_TIMESTAMP;
-          RETURN NEW;
-        END;
-        $$ language 'plpgsql';
-      `;
-      
-      // Create trigger for updated_at if it doesn't exist
-      await prisma.$executeRaw`
-        DROP TRIGGER IF EXISTS update_mentors_updated_at ON mentors;
-        CREATE TRIGGER update_mentors_updated_at
-        BEFORE UPDATE ON mentors
-        FOR EACH ROW
-        EXECUTE FUNCTION update_updated_at_column();
-      `;
-      
-      console.log('✅ Mentors table created/verified');
-    } catch (error) {
-      // Table might already exist, check if it's a different error
-      if (!error.message.includes('already exists') && !error.message.includes('duplicate')) {
-        console.warn('Warning creating mentors table:', error.message);
-      }
+
+    if (unknown.length > 0) {
+      // Usually a newer release has already migrated this database
+      console.warn(`⚠️  Database has migration(s) this code does not know: ${unknown.join(', ')}`);
     }
-    
-    console.log('✅ Database tables initialized successfully');
+
+    console.log('✅ Database schema is up to date');
   } catch (error) {
     console.error('❌ Error initializing database:', error);
     throw error;
   }
 };
 
-// Graceful shutdown
-process.on('beforeExit', async () => {
-  await prisma.$disconnect();
-});
-
 module.exports = {
   prisma,
-  initializeDatabase
+  initializeDatabase,
+  getMigrationStatus
 };
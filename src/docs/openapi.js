@@ -0,0 +1,1003 @@
+// OpenAPI 3 description of the API, served at /api/docs (UI) and /api/docs/openapi.json.
+// Paths, parameters and request bodies are derived from the routers and their validation
+// chains (see utils/openapi.utils.js); this file holds what the code cannot tell:
+// summaries, response shapes and fields that are read without validation.
+// Every route needs an entry in `operations` - test/openapi.test.js fails otherwise.
+const { buildPaths } = require('../utils/openapi.utils');
+const { authenticateToken, optionalAuthentication, requireVerifiedEmail } = require('../middleware/auth.middleware');
+const healthRoutes = require('../routes/health.routes');
+const userRoutes = require('../routes/user.routes');
+const mentorRoutes = require('../routes/mentor.routes');
+const bookingRoutes = require('../routes/booking.routes');
+const taxonomyRoutes = require('../routes/taxonomy.routes');
+const { version } = require('../../package.json');
+
+// Routers as mounted in server.js
+const apiMounts = [
+  { prefix: '', router: healthRoutes },
+  { prefix: '/api/auth', router: userRoutes },
+  { prefix: '/api/mentors', router: mentorRoutes },
+  { prefix: '/api/bookings', router: bookingRoutes },
+  { prefix: '/api/taxonomy', router: taxonomyRoutes }
+];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Successful responses use the standard envelope: { success, message, data }
+const ok = (description, data) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: true },
+          message: { type: 'string' },
+          ...(data ? { data } : {})
+        }
+      }
+    }
+  }
+});
+
+const object = (properties) => ({ type: 'object', properties });
+const arrayOf = (items) => ({ type: 'array', items });
+const list = (key, items) => object({ [key]: arrayOf(items), count: { type: 'integer' } });
+
+const idParam = (description) => ({ schema: { type: 'integer', minimum: 1 }, description });
+const mentorIdParam = { id: idParam('Mentor ID') };
+const categoryIdParam = { id: idParam('Category ID') };
+const skillIdParam = { id: idParam('Skill ID') };
+const bookingIdParam = { id: idParam('Booking ID') };
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('ErrorResponse') } }
+});
+
+// Required profile fields that are still empty; a profile can be submitted once this is empty
+const missingFields = {
+  type: 'array',
+  items: { type: 'string', enum: ['title', 'bio', 'timezone', 'hourlyRate', 'currency', 'languages'] }
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN, when configured' }
+  },
+  schemas: {
+    ErrorResponse: object({
+      success: { type: 'boolean', example: false },
+      message: { type: 'string' },
+      code: { type: 'string', description: 'Stable machine-readable error code', example: 'VALIDATION_FAILED' },
+      requestId: { type: 'string', description: 'Also returned in the X-Request-Id header' },
+      errors: arrayOf(object({ field: { type: 'string' }, message: { type: 'string' } })),
+      details: { type: 'object', additionalProperties: true }
+    }),
+    ImageVariants: {
+      type: 'object',
+      nullable: true,
+      description: 'Resized copies of an uploaded image by size name, each with JPEG and WebP URLs',
+      additionalProperties: object({ jpeg: { type: 'string' }, webp: { type: 'string' } })
+    },
+    AuthUser: object({
+      id: { type: 'integer' },
+      email: { type: 'string', format: 'email' },
+      name: { type: 'string', nullable: true },
+      role: { type: 'string', enum: ['user', 'mentor', 'admin'] },
+      emailVerified: { type: 'boolean' },
+      isMentor: { type: 'boolean' }
+    }),
+    AuthResult: object({
+      user: ref('AuthUser'),
+      token: { type: 'string', description: 'Access token (JWT)' },
+      refreshToken: { type: 'string' }
+    }),
+    TwoFactorChallenge: object({
+      twoFactorRequired: { type: 'boolean', example: true },
+      challengeToken: { type: 'string', description: 'Send to POST /api/auth/login/2fa with a code' }
+    }),
+    User: object({
+      id: { type: 'integer' },
+      email: { type: 'string', format: 'email' },
+      name: { type: 'string', nullable: true },
+      firstName: { type: 'string', nullable: true },
+      lastName: { type: 'string', nullable: true },
+      image: { type: 'string', nullable: true },
+      imageVariants: ref('ImageVariants'),
+      birthdate: { type: 'string', format: 'date-time', nullable: true },
+      profession: { type: 'string', nullable: true },
+      role: { type: 'string', enum: ['user', 'mentor', 'admin'] },
+      emailVerified: { type: 'boolean' },
+      isMentor: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }),
+    Session: object({
+      id: { type: 'string' },
+      userAgent: { type: 'string', nullable: true },
+      ipAddress: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      current: { type: 'boolean' }
+    }),
+    Language: object({
+      code: { type: 'string', example: 'en' },
+      language: { type: 'string', example: 'English' },
+      level: { type: 'string', example: 'Advanced' }
+    }),
+    Mentor: object({
+      id: { type: 'integer' },
+      userId: { type: 'integer' },
+      title: { type: 'string', nullable: true, description: 'Only drafts may lack a title' },
+      bio: { type: 'string', nullable: true },
+      image: { type: 'string', nullable: true },
+      imageVariants: ref('ImageVariants'),
+      yearsOfExperience: { type: 'integer', nullable: true },
+      timezone: { type: 'string', nullable: true },
+      hourlyRate: { type: 'number', nullable: true },
+      currency: { type: 'string', nullable: true, description: 'ISO 4217 code', example: 'EUR' },
+      convertedRate: {
+        ...object({ hourlyRate: { type: 'number' }, currency: { type: 'string', example: 'USD' } }),
+        nullable: true,
+        description: 'Hourly rate in the requested display currency; only on public reads, null without an exchange rate'
+      },
+      languages: arrayOf(ref('Language')),
+      isApproved: { type: 'boolean' },
+      approvalStatus: { type: 'string', enum: ['draft', 'pending', 'approved', 'rejected', 'suspended'] },
+      averageRating: { type: 'number' },
+      reviewCount: { type: 'integer' },
+      isActive: { type: 'boolean' },
+      skills: arrayOf(ref('MentorSkill')),
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      user: object({
+        id: { type: 'integer' },
+        email: { type: 'string' },
+        name: { type: 'string', nullable: true },
+        firstName: { type: 'string', nullable: true },
+        lastName: { type: 'string', nullable: true },
+        image: { type: 'string', nullable: true },
+        profession: { type: 'string', nullable: true }
+      })
+    }),
+    CategoryRef: object({
+      id: { type: 'integer' },
+      slug: { type: 'string', example: 'engineering' },
+      name: { type: 'string', example: 'Engineering' }
+    }),
+    Category: object({
+      id: { type: 'integer' },
+      slug: { type: 'string', example: 'engineering' },
+      name: { type: 'string', example: 'Engineering' },
+      description: { type: 'string', nullable: true }
+    }),
+    Skill: object({
+      id: { type: 'integer' },
+      slug: { type: 'string', example: 'react' },
+      name: { type: 'string', example: 'React' },
+      category: ref('CategoryRef')
+    }),
+    MentorSkill: {
+      allOf: [ref('Skill'), object({ level: { type: 'string', enum: ['beginner', 'intermediate', 'advanced', 'expert'] } })]
+    },
+    SkillFacet: {
+      allOf: [ref('Skill'), object({ count: { type: 'integer', description: 'Mentors with this skill among the filtered ones' } })]
+    },
+    MentorFacets: object({
+      languages: arrayOf(object({ code: { type: 'string', example: 'en' }, language: { type: 'string', example: 'English' }, count: { type: 'integer' } })),
+      currencies: arrayOf(object({ code: { type: 'string', example: 'USD' }, count: { type: 'integer' } })),
+      timezones: arrayOf(object({ timezone: { type: 'string', example: 'Europe/Berlin' }, count: { type: 'integer' } })),
+      experience: object({
+        buckets: arrayOf(object({
+          min: { type: 'integer' },
+          max: { type: 'integer', nullable: true, description: 'null for the open-ended last bucket' },
+          count: { type: 'integer' }
+        })),
+        unknown: { type: 'integer', description: 'Mentors without years of experience' }
+      }),
+      rates: object({
+        currency: { type: 'string', example: 'USD' },
+        min: { type: 'number', nullable: true },
+        max: { type: 'number', nullable: true },
+        buckets: arrayOf(object({ min: { type: 'number' }, max: { type: 'number' }, count: { type: 'integer' } }))
+      }),
+      skills: arrayOf(ref('SkillFacet'))
+    }),
+    Pagination: object({
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      page: { type: 'integer', nullable: true, description: 'null when paging with a cursor' },
+      totalPages: { type: 'integer' },
+      hasNextPage: { type: 'boolean' },
+      nextCursor: { type: 'string', nullable: true }
+    }),
+    ApprovalHistoryEntry: object({
+      id: { type: 'integer' },
+      status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'suspended'] },
+      reason: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      admin: { ...object({ id: { type: 'integer' }, name: { type: 'string' }, email: { type: 'string', description: 'Only returned to admins' } }), nullable: true }
+    }),
+    AvailabilityWindow: object({
+      id: { type: 'integer' },
+      dayOfWeek: { type: 'integer', minimum: 0, maximum: 6, description: '0 = Sunday' },
+      startTime: { type: 'string', example: '09:00' },
+      endTime: { type: 'string', example: '17:00' }
+    }),
+    AvailabilityException: object({
+      id: { type: 'integer' },
+      startDate: { type: 'string', format: 'date' },
+      endDate: { type: 'string', format: 'date' },
+      reason: { type: 'string', nullable: true }
+    }),
+    Slot: object({
+      start: { type: 'string', format: 'date-time' },
+      end: { type: 'string', format: 'date-time' }
+    }),
+    Review: object({
+      id: { type: 'integer' },
+      mentorId: { type: 'integer' },
+      userId: { type: 'integer' },
+      rating: { type: 'integer', minimum: 1, maximum: 5 },
+      comment: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      user: object({
+        id: { type: 'integer' },
+        name: { type: 'string', nullable: true },
+        firstName: { type: 'string', nullable: true },
+        lastName: { type: 'string', nullable: true },
+        image: { type: 'string', nullable: true }
+      })
+    }),
+    MentorRating: object({
+      averageRating: { type: 'number' },
+      reviewCount: { type: 'integer' }
+    }),
+    Booking: object({
+      id: { type: 'integer' },
+      mentorId: { type: 'integer' },
+      menteeId: { type: 'integer' },
+      startTime: { type: 'string', format: 'date-time' },
+      endTime: { type: 'string', format: 'date-time' },
+      durationMinutes: { type: 'integer' },
+      status: { type: 'string', enum: ['pending', 'accepted', 'declined', 'cancelled'] },
+      message: { type: 'string', nullable: true },
+      price: { type: 'number', nullable: true },
+      currency: { type: 'string', nullable: true },
+      statusReason: { type: 'string', nullable: true },
+      cancelledById: { type: 'integer', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      mentor: { type: 'object' },
+      mentee: { type: 'object' }
+    })
+  }
+};
+
+const imageUpload = {
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: {
+        type: 'object',
+        required: ['image'],
+        properties: { image: { type: 'string', format: 'binary', description: 'JPEG, PNG, GIF or WebP, up to 5MB' } }
+      }
+    }
+  }
+};
+
+const languagesItems = { languages: { items: ref('Language') } };
+
+// Mentor profile fields whose items the validation chains cannot describe
+const mentorProfileItems = {
+  ...languagesItems,
+  skills: {
+    items: object({
+      slug: { type: 'string', example: 'react' },
+      level: { type: 'string', enum: ['beginner', 'intermediate', 'advanced', 'expert'], default: 'intermediate' }
+    }),
+    description: 'Replaces the mentor\'s skills; slugs come from GET /api/taxonomy/skills'
+  }
+};
+
+const availabilityWindows = {
+  windows: {
+    items: object({
+      dayOfWeek: { type: 'integer', minimum: 0, maximum: 6 },
+      startTime: { type: 'string', example: '09:00' },
+      endTime: { type: 'string', example: '17:00' }
+    })
+  }
+};
+
+const bookingStatusChange = (operationId, summary, description) => ({
+  operationId,
+  tags: ['Bookings'],
+  summary,
+  description,
+  pathParams: bookingIdParam,
+  responses: { 200: ok('Updated booking', object({ booking: ref('Booking') })), 404: errorResponse('Booking not found') }
+});
+
+// Metadata per route, keyed by "METHOD /path". `roles` documents role checks and adds 403;
+// `rateLimited` adds 429.
+const operations = {
+  // Health
+  'GET /health': {
+    operationId: 'getHealth',
+    tags: ['Health'],
+    summary: 'Liveness check',
+    responses: { 200: ok('The process is up', object({ status: { type: 'string' }, uptime: { type: 'integer' } })) }
+  },
+  'GET /health/live': {
+    operationId: 'getLiveness',
+    tags: ['Health'],
+    summary: 'Liveness check (alias of /health)',
+    responses: { 200: ok('The process is up', object({ status: { type: 'string' }, uptime: { type: 'integer' } })) }
+  },
+  'GET /health/ready': {
+    operationId: 'getReadiness',
+    tags: ['Health'],
+    summary: 'Readiness check: database reachable and migrations applied',
+    responses: {
+      200: ok('Ready for traffic', object({ status: { type: 'string' }, checks: { type: 'object' } })),
+      503: errorResponse('Not ready (details.checks) or shutting down')
+    }
+  },
+  'GET /metrics': {
+    operationId: 'getMetrics',
+    tags: ['Health'],
+    summary: 'Prometheus metrics',
+    security: [{ metricsToken: [] }],
+    responses: {
+      200: { description: 'Metrics in Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+      401: errorResponse('METRICS_TOKEN is set and the request did not send it')
+    }
+  },
+
+  // Authentication
+  'POST /api/auth/register': {
+    operationId: 'register',
+    tags: ['Auth'],
+    summary: 'Register a new account',
+    description: 'Sends a verification email.',
+    rateLimited: true,
+    responses: { 201: ok('Account created', ref('AuthResult')), 409: errorResponse('EMAIL_TAKEN') }
+  },
+  'POST /api/auth/login': {
+    operationId: 'login',
+    tags: ['Auth'],
+    summary: 'Log in with email and password',
+    description: 'Accounts with two-factor authentication get a challenge token instead of tokens.',
+    rateLimited: true,
+    responses: {
+      200: ok('Logged in, or a 2FA challenge', { oneOf: [ref('AuthResult'), ref('TwoFactorChallenge')] }),
+      401: errorResponse('INVALID_CREDENTIALS'),
+      429: errorResponse('RATE_LIMITED or ACCOUNT_LOCKED (see Retry-After)')
+    }
+  },
+  'POST /api/auth/login/2fa': {
+    operationId: 'loginTwoFactor',
+    tags: ['Auth'],
+    summary: 'Complete a login with an authenticator or recovery code',
+    rateLimited: true,
+    responses: {
+      200: ok('Logged in', { allOf: [ref('AuthResult'), object({ usedRecoveryCode: { type: 'boolean' } })] }),
+      401: errorResponse('INVALID_2FA_CHALLENGE or INVALID_2FA_CODE')
+    }
+  },
+  'POST /api/auth/refresh-token': {
+    operationId: 'refreshToken',
+    tags: ['Auth'],
+    summary: 'Exchange a refresh token for a new token pair',
+    description: 'Refresh tokens are single use; reusing one revokes the whole session.',
+    rateLimited: true,
+    requestBody: { properties: { refreshToken: { type: 'string' } }, required: ['refreshToken'] },
+    responses: {
+      200: ok('New tokens', object({ token: { type: 'string' }, refreshToken: { type: 'string' } })),
+      401: errorResponse('Refresh token reused (REFRESH_TOKEN_REUSED); the session is revoked'),
+      403: errorResponse('Invalid or expired refresh token (INVALID_REFRESH_TOKEN)')
+    }
+  },
+  'POST /api/auth/verify-email': {
+    operationId: 'verifyEmail',
+    tags: ['Auth'],
+    summary: 'Verify an email address with the token from the verification email',
+    responses: { 200: ok('Email verified', object({ user: ref('User') })) }
+  },
+  'POST /api/auth/forgot-password': {
+    operationId: 'forgotPassword',
+    tags: ['Auth'],
+    summary: 'Send a password reset email',
+    description: 'Always succeeds, whether or not the address has an account.',
+    responses: { 200: ok('Reset email sent if the account exists') }
+  },
+  'POST /api/auth/reset-password': {
+    operationId: 'resetPassword',
+    tags: ['Auth'],
+    summary: 'Set a new password with the token from the reset email',
+    description: 'Logs out every session.',
+    responses: { 200: ok('Password reset') }
+  },
+  'GET /api/auth/google': {
+    operationId: 'startGoogleAuth',
+    tags: ['Auth'],
+    summary: 'Start Google sign-in (browser redirect)',
+    parameters: [{ name: 'redirect', in: 'query', schema: { type: 'string' }, description: 'Allowed frontend URL to return to' }],
+    responses: { 302: { description: 'Redirect to Google' }, 503: errorResponse('GOOGLE_OAUTH_NOT_CONFIGURED') }
+  },
+  'GET /api/auth/google/callback': {
+    operationId: 'googleCallback',
+    tags: ['Auth'],
+    summary: 'Google OAuth callback (browser redirect)',
+    description: 'Redirects to the frontend with a one-time code for POST /api/auth/google/exchange.',
+    responses: { 302: { description: 'Redirect to the frontend' }, 503: errorResponse('GOOGLE_OAUTH_NOT_CONFIGURED') }
+  },
+  'POST /api/auth/google/exchange': {
+    operationId: 'exchangeGoogleCode',
+    tags: ['Auth'],
+    summary: 'Exchange the one-time Google sign-in code for tokens',
+    responses: { 200: ok('Logged in', ref('AuthResult')), 503: errorResponse('GOOGLE_OAUTH_NOT_CONFIGURED') }
+  },
+  'GET /api/auth/google/error': {
+    operationId: 'googleAuthError',
+    tags: ['Auth'],
+    summary: 'Google sign-in failure landing route',
+    responses: { 401: errorResponse('GOOGLE_AUTH_FAILED') }
+  },
+
+  // Profile
+  'GET /api/auth/profile': {
+    operationId: 'getProfile',
+    tags: ['Profile'],
+    summary: 'Current user profile',
+    responses: { 200: ok('Profile', object({ user: ref('User') })) }
+  },
+  'PUT /api/auth/profile': {
+    operationId: 'updateProfile',
+    tags: ['Profile'],
+    summary: 'Update the current user profile',
+    requestBody: { properties: { image: { type: 'string', nullable: true } } },
+    responses: { 200: ok('Updated profile', object({ user: ref('User') })) }
+  },
+  'POST /api/auth/profile/image': {
+    operationId: 'uploadProfileImage',
+    tags: ['Profile'],
+    summary: 'Upload a profile image',
+    requestBody: imageUpload,
+    responses: { 200: ok('Updated profile', object({ user: ref('User') })) }
+  },
+  'DELETE /api/auth/profile/image': {
+    operationId: 'deleteProfileImage',
+    tags: ['Profile'],
+    summary: 'Remove the profile image',
+    responses: { 200: ok('Updated profile', object({ user: ref('User') })) }
+  },
+  'POST /api/auth/change-password': {
+    operationId: 'changePassword',
+    tags: ['Profile'],
+    summary: 'Change the password',
+    description: 'Signs out every other session of the user; the current one stays signed in.',
+    responses: { 200: ok('Password changed') }
+  },
+  'POST /api/auth/resend-verification': {
+    operationId: 'resendVerificationEmail',
+    tags: ['Profile'],
+    summary: 'Send a new verification email',
+    responses: { 200: ok('Email sent'), 429: errorResponse('VERIFICATION_EMAIL_THROTTLED') }
+  },
+  'GET /api/auth/active-users': {
+    operationId: 'getActiveUsers',
+    tags: ['Profile'],
+    summary: 'Users active recently',
+    parameters: [{ name: 'minutes', in: 'query', schema: { type: 'integer', default: 15 }, description: 'Activity window' }],
+    responses: {
+      200: ok('Active users', object({ users: arrayOf(ref('User')), count: { type: 'integer' }, activeWithinMinutes: { type: 'integer' } }))
+    }
+  },
+
+  // Sessions
+  'POST /api/auth/logout': {
+    operationId: 'logout',
+    tags: ['Sessions'],
+    summary: 'Log out of the current session',
+    responses: { 200: ok('Logged out') }
+  },
+  'POST /api/auth/logout-all': {
+    operationId: 'logoutAll',
+    tags: ['Sessions'],
+    summary: 'Log out of every session',
+    responses: { 200: ok('Logged out everywhere', object({ revokedTokens: { type: 'integer' } })) }
+  },
+  'GET /api/auth/sessions': {
+    operationId: 'getSessions',
+    tags: ['Sessions'],
+    summary: 'Active sessions of the current user',
+    responses: { 200: ok('Sessions', list('sessions', ref('Session'))) }
+  },
+  'DELETE /api/auth/sessions/{sessionId}': {
+    operationId: 'deleteSession',
+    tags: ['Sessions'],
+    summary: 'Revoke one session',
+    responses: { 200: ok('Session revoked'), 404: errorResponse('SESSION_NOT_FOUND') }
+  },
+
+  // Two-factor authentication
+  'GET /api/auth/2fa': {
+    operationId: 'getTwoFactorStatus',
+    tags: ['Two-factor'],
+    summary: 'Two-factor authentication status',
+    responses: {
+      200: ok('Status', object({
+        enabled: { type: 'boolean' },
+        enabledAt: { type: 'string', format: 'date-time', nullable: true },
+        recoveryCodesRemaining: { type: 'integer' }
+      }))
+    }
+  },
+  'POST /api/auth/2fa/setup': {
+    operationId: 'setupTwoFactor',
+    tags: ['Two-factor'],
+    summary: 'Start enabling two-factor authentication',
+    requestBody: { properties: { password: { type: 'string', description: 'Required for accounts with a password' } } },
+    responses: {
+      200: ok('Secret to add to an authenticator app', object({ secret: { type: 'string' }, otpauthUri: { type: 'string' } })),
+      409: errorResponse('TWO_FACTOR_ALREADY_ENABLED')
+    }
+  },
+  'POST /api/auth/2fa/confirm': {
+    operationId: 'confirmTwoFactor',
+    tags: ['Two-factor'],
+    summary: 'Confirm setup with a code and enable two-factor authentication',
+    responses: { 200: ok('Enabled; recovery codes are shown once', object({ recoveryCodes: arrayOf({ type: 'string' }) })) }
+  },
+  'POST /api/auth/2fa/disable': {
+    operationId: 'disableTwoFactor',
+    tags: ['Two-factor'],
+    summary: 'Disable two-factor authentication',
+    responses: { 200: ok('Disabled') }
+  },
+  'POST /api/auth/2fa/recovery-codes': {
+    operationId: 'regenerateRecoveryCodes',
+    tags: ['Two-factor'],
+    summary: 'Replace the recovery codes',
+    responses: { 200: ok('New recovery codes', object({ recoveryCodes: arrayOf({ type: 'string' }) })) }
+  },
+
+  // Admin
+  'PATCH /api/auth/users/{id}/role': {
+    operationId: 'updateUserRole',
+    tags: ['Admin'],
+    summary: 'Change the role of a user',
+    roles: ['admin'],
+    responses: { 200: ok('Updated user', object({ user: ref('User') })), 404: errorResponse('USER_NOT_FOUND') }
+  },
+
+  // Mentors
+  'GET /api/mentors': {
+    operationId: 'listMentors',
+    tags: ['Mentors'],
+    summary: 'List and search mentors',
+    description: 'Lists approved mentors; admins also see pending, rejected and suspended ones. ' +
+      'Page with `page` or, for stable infinite scrolling, with the `nextCursor` of the previous page. ' +
+      '`skills` matches mentors with any of the skills, or all of them with `skillMatch=all`; `category` matches mentors ' +
+      'with a skill in any of the categories. `facets.skills` counts mentors per skill under every filter but `skills`. ' +
+      '`minRate`, `maxRate` and `sort=rate` use rates converted to `displayCurrency` (default USD); mentors whose ' +
+      'currency has no exchange rate are left out of rate filters and sorted last.',
+    parameters: [{ name: 'language', in: 'query', schema: { type: 'string' }, description: 'Spoken language code or name' }],
+    responses: {
+      200: ok('Mentors', object({
+        mentors: arrayOf(ref('Mentor')),
+        count: { type: 'integer' },
+        pagination: ref('Pagination'),
+        facets: object({ skills: arrayOf(ref('SkillFacet')) })
+      })),
+      400: errorResponse('Validation failed or UNSUPPORTED_CURRENCY')
+    }
+  },
+  'GET /api/mentors/facets': {
+    operationId: 'getMentorFacets',
+    tags: ['Mentors'],
+    summary: 'Filter options for the mentor directory with counts',
+    description: 'Counts the mentors GET /api/mentors would list. Takes the same filters as GET /api/mentors and counts the matching mentors per language, currency, ' +
+      'timezone, experience range, hourly rate bucket and skill. Each facet ignores its own filter (`language`, ' +
+      '`minRate`/`maxRate`, `skills`) so the other options stay visible. Rates are split into `rateBuckets` equal-width ' +
+      'buckets between the lowest and highest matching rate, converted to `displayCurrency`.',
+    parameters: [{ name: 'language', in: 'query', schema: { type: 'string' }, description: 'Spoken language code or name' }],
+    responses: {
+      200: ok('Facets', object({ total: { type: 'integer' }, facets: ref('MentorFacets') })),
+      400: errorResponse('Validation failed or UNSUPPORTED_CURRENCY')
+    }
+  },
+  'POST /api/mentors': {
+    operationId: 'createMentor',
+    tags: ['Mentors'],
+    summary: 'Register as a mentor (creates the user account and the mentor profile)',
+    description: 'The profile is saved as a draft. Once the new account has verified its email, it is finished and ' +
+      'submitted for review with POST /api/mentors/profile/me; `submit: true` is refused here with EMAIL_NOT_VERIFIED.',
+    rateLimited: true,
+    requestBody: { properties: { ...mentorProfileItems, submit: { default: false } } },
+    responses: {
+      201: ok('Account and profile created', object({
+        user: ref('User'),
+        mentor: ref('Mentor'),
+        missingFields,
+        token: { type: 'string' },
+        refreshToken: { type: 'string' }
+      })),
+      403: errorResponse('EMAIL_NOT_VERIFIED (with `submit: true`)'),
+      409: errorResponse('EMAIL_TAKEN')
+    }
+  },
+  'GET /api/mentors/{id}': {
+    operationId: 'getMentor',
+    tags: ['Mentors'],
+    summary: 'Mentor profile',
+    description: 'Profiles that are not approved are only found by their owner and admins.',
+    pathParams: mentorIdParam,
+    responses: {
+      200: ok('Mentor', object({ mentor: ref('Mentor') })),
+      400: errorResponse('Validation failed or UNSUPPORTED_CURRENCY'),
+      404: errorResponse('MENTOR_NOT_FOUND')
+    }
+  },
+  'PUT /api/mentors/{id}': {
+    operationId: 'updateMentor',
+    tags: ['Mentors'],
+    summary: 'Update a mentor profile (owner or admin)',
+    description: 'Changes by the owner to an approved profile send it back for review.',
+    pathParams: mentorIdParam,
+    requestBody: { properties: mentorProfileItems },
+    responses: { 200: ok('Updated mentor', object({ mentor: ref('Mentor') })), 404: errorResponse('MENTOR_NOT_FOUND') }
+  },
+  'DELETE /api/mentors/{id}': {
+    operationId: 'deleteMentor',
+    tags: ['Mentors'],
+    summary: 'Delete a mentor profile (owner or admin)',
+    pathParams: mentorIdParam,
+    responses: { 200: ok('Deleted'), 404: errorResponse('MENTOR_NOT_FOUND') }
+  },
+  'GET /api/mentors/user/{userId}': {
+    operationId: 'getMentorByUserId',
+    tags: ['Mentors'],
+    summary: 'Mentor profile of a user',
+    description: 'Profiles that are not approved are only found by their owner and admins.',
+    pathParams: { userId: idParam('User ID') },
+    responses: {
+      200: ok('Mentor', object({ mentor: ref('Mentor') })),
+      400: errorResponse('Validation failed or UNSUPPORTED_CURRENCY'),
+      404: errorResponse('MENTOR_NOT_FOUND')
+    }
+  },
+  'GET /api/mentors/profile/me': {
+    operationId: 'getMyMentorProfile',
+    tags: ['Mentors'],
+    summary: 'Mentor profile of the current user, including drafts',
+    responses: { 200: ok('Mentor', object({ mentor: ref('Mentor'), missingFields })), 404: errorResponse('MENTOR_NOT_FOUND') }
+  },
+  'POST /api/mentors/profile/me': {
+    operationId: 'saveMyMentorProfile',
+    tags: ['Mentors'],
+    summary: 'Become a mentor: save a draft profile for the current user or submit it for review',
+    description: 'The first call creates a draft and later calls update it, so onboarding can span several steps. ' +
+      'With `submit: true` the profile (which must then be complete) goes to admin review and the user becomes a mentor; ' +
+      'this needs a verified email. ' +
+      'Submitted profiles are edited with PUT /api/mentors/{id}.',
+    requestBody: { properties: mentorProfileItems },
+    responses: {
+      200: ok('Draft updated or submitted', object({ mentor: ref('Mentor'), missingFields })),
+      201: ok('Draft created or submitted', object({ mentor: ref('Mentor'), missingFields })),
+      400: errorResponse('Validation failed or MENTOR_PROFILE_INCOMPLETE (details.missingFields)'),
+      403: errorResponse('EMAIL_NOT_VERIFIED (with `submit: true`)'),
+      409: errorResponse('MENTOR_PROFILE_EXISTS')
+    }
+  },
+  'POST /api/mentors/profile/image': {
+    operationId: 'uploadMentorImage',
+    tags: ['Mentors'],
+    summary: 'Upload the mentor profile image',
+    requestBody: imageUpload,
+    responses: { 200: ok('Updated mentor', object({ mentor: ref('Mentor') })) }
+  },
+  'DELETE /api/mentors/profile/image': {
+    operationId: 'deleteMentorImage',
+    tags: ['Mentors'],
+    summary: 'Remove the mentor profile image',
+    responses: { 200: ok('Updated mentor', object({ mentor: ref('Mentor') })) }
+  },
+  'GET /api/mentors/{id}/approval-history': {
+    operationId: 'getMentorApprovalHistory',
+    tags: ['Mentors'],
+    summary: 'Approval decisions for a mentor (owner or admin)',
+    pathParams: mentorIdParam,
+    responses: {
+      200: ok('History', object({
+        approvalStatus: { type: 'string' },
+        history: arrayOf(ref('ApprovalHistoryEntry')),
+        count: { type: 'integer' }
+      }))
+    }
+  },
+  'PATCH /api/mentors/{id}/approve': {
+    operationId: 'approveMentor',
+    tags: ['Admin'],
+    summary: 'Approve a mentor',
+    roles: ['admin'],
+    pathParams: mentorIdParam,
+    responses: { 200: ok('Updated mentor', object({ mentor: ref('Mentor') })), 404: errorResponse('MENTOR_NOT_FOUND') }
+  },
+  'PATCH /api/mentors/{id}/reject': {
+    operationId: 'rejectMentor',
+    tags: ['Admin'],
+    summary: 'Reject a mentor',
+    roles: ['admin'],
+    pathParams: mentorIdParam,
+    responses: { 200: ok('Updated mentor', object({ mentor: ref('Mentor') })), 404: errorResponse('MENTOR_NOT_FOUND') }
+  },
+  'PATCH /api/mentors/{id}/suspend': {
+    operationId: 'suspendMentor',
+    tags: ['Admin'],
+    summary: 'Suspend a mentor',
+    roles: ['admin'],
+    pathParams: mentorIdParam,
+    responses: { 200: ok('Updated mentor', object({ mentor: ref('Mentor') })), 404: errorResponse('MENTOR_NOT_FOUND') }
+  },
+
+  // Availability
+  'GET /api/mentors/{id}/availability': {
+    operationId: 'getMentorAvailability',
+    tags: ['Availability'],
+    summary: 'Bookable slots of a mentor',
+    description: 'Weekly windows minus exceptions and existing bookings, in the requested timezone.',
+    pathParams: mentorIdParam,
+    responses: {
+      200: ok('Slots', object({
+        mentorId: { type: 'integer' },
+        mentorTimezone: { type: 'string' },
+        timezone: { type: 'string' },
+        from: { type: 'string', format: 'date-time' },
+        to: { type: 'string', format: 'date-time' },
+        durationMinutes: { type: 'integer' },
+        slots: arrayOf(ref('Slot')),
+        count: { type: 'integer' }
+      })),
+      404: errorResponse('MENTOR_NOT_FOUND')
+    }
+  },
+  'GET /api/mentors/profile/availability': {
+    operationId: 'getMyAvailability',
+    tags: ['Availability'],
+    summary: 'Weekly windows and upcoming exceptions of the current mentor',
+    responses: {
+      200: ok('Availability', object({
+        timezone: { type: 'string' },
+        windows: arrayOf(ref('AvailabilityWindow')),
+        exceptions: arrayOf(ref('AvailabilityException'))
+      })),
+      404: errorResponse('MENTOR_NOT_FOUND')
+    }
+  },
+  'PUT /api/mentors/profile/availability': {
+    operationId: 'setMyAvailability',
+    tags: ['Availability'],
+    summary: 'Replace the weekly windows of the current mentor',
+    requestBody: { properties: availabilityWindows },
+    responses: { 200: ok('Saved windows', object({ timezone: { type: 'string' }, windows: arrayOf(ref('AvailabilityWindow')) })) }
+  },
+  'POST /api/mentors/profile/availability/exceptions': {
+    operationId: 'addAvailabilityException',
+    tags: ['Availability'],
+    summary: 'Block out days (holidays, time off)',
+    responses: { 201: ok('Exception added', object({ exception: ref('AvailabilityException') })) }
+  },
+  'DELETE /api/mentors/profile/availability/exceptions/{exceptionId}': {
+    operationId: 'deleteAvailabilityException',
+    tags: ['Availability'],
+    summary: 'Remove an exception',
+    pathParams: { exceptionId: idParam('Exception ID') },
+    responses: { 200: ok('Exception removed'), 404: errorResponse('Exception not found') }
+  },
+
+  // Reviews
+  'GET /api/mentors/{id}/reviews': {
+    operationId: 'getMentorReviews',
+    tags: ['Reviews'],
+    summary: 'Reviews of a mentor',
+    pathParams: mentorIdParam,
+    responses: {
+      200: ok('Reviews', { allOf: [list('reviews', ref('Review')), ref('MentorRating')] }),
+      404: errorResponse('MENTOR_NOT_FOUND')
+    }
+  },
+  'POST /api/mentors/{id}/reviews': {
+    operationId: 'createReview',
+    tags: ['Reviews'],
+    summary: 'Review a mentor (once per mentor)',
+    pathParams: mentorIdParam,
+    responses: {
+      201: ok('Review created', { allOf: [object({ review: ref('Review') }), ref('MentorRating')] }),
+      409: errorResponse('REVIEW_EXISTS')
+    }
+  },
+  'PUT /api/mentors/{id}/reviews/me': {
+    operationId: 'updateMyReview',
+    tags: ['Reviews'],
+    summary: 'Update your review of a mentor',
+    pathParams: mentorIdParam,
+    responses: { 200: ok('Review updated', { allOf: [object({ review: ref('Review') }), ref('MentorRating')] }) }
+  },
+  'DELETE /api/mentors/{id}/reviews/me': {
+    operationId: 'deleteMyReview',
+    tags: ['Reviews'],
+    summary: 'Delete your review of a mentor',
+    pathParams: mentorIdParam,
+    responses: { 200: ok('Review deleted', ref('MentorRating')) }
+  },
+
+  // Taxonomy
+  'GET /api/taxonomy/categories': {
+    operationId: 'listCategories',
+    tags: ['Taxonomy'],
+    summary: 'Skill categories with their skills',
+    responses: {
+      200: ok('Categories', list('categories', {
+        allOf: [ref('Category'), object({ skills: arrayOf(object({ id: { type: 'integer' }, slug: { type: 'string' }, name: { type: 'string' } })) })]
+      }))
+    }
+  },
+  'GET /api/taxonomy/skills': {
+    operationId: 'listSkills',
+    tags: ['Taxonomy'],
+    summary: 'Skills, optionally of one category or matching a name',
+    responses: { 200: ok('Skills', list('skills', ref('Skill'))) }
+  },
+  'POST /api/taxonomy/categories': {
+    operationId: 'createCategory',
+    tags: ['Taxonomy', 'Admin'],
+    summary: 'Create a category (the slug defaults to one derived from the name)',
+    roles: ['admin'],
+    responses: { 201: ok('Created category', object({ category: ref('Category') })), 409: errorResponse('CATEGORY_SLUG_TAKEN') }
+  },
+  'PATCH /api/taxonomy/categories/{id}': {
+    operationId: 'updateCategory',
+    tags: ['Taxonomy', 'Admin'],
+    summary: 'Rename or describe a category',
+    roles: ['admin'],
+    pathParams: categoryIdParam,
+    responses: {
+      200: ok('Updated category', object({ category: ref('Category') })),
+      404: errorResponse('CATEGORY_NOT_FOUND'),
+      409: errorResponse('CATEGORY_SLUG_TAKEN')
+    }
+  },
+  'DELETE /api/taxonomy/categories/{id}': {
+    operationId: 'deleteCategory',
+    tags: ['Taxonomy', 'Admin'],
+    summary: 'Delete a category without skills',
+    roles: ['admin'],
+    pathParams: categoryIdParam,
+    responses: { 200: ok('Deleted'), 404: errorResponse('CATEGORY_NOT_FOUND'), 409: errorResponse('CATEGORY_NOT_EMPTY') }
+  },
+  'POST /api/taxonomy/skills': {
+    operationId: 'createSkill',
+    tags: ['Taxonomy', 'Admin'],
+    summary: 'Create a skill in a category (the slug defaults to one derived from the name)',
+    roles: ['admin'],
+    responses: {
+      201: ok('Created skill', object({ skill: ref('Skill') })),
+      404: errorResponse('CATEGORY_NOT_FOUND'),
+      409: errorResponse('SKILL_SLUG_TAKEN')
+    }
+  },
+  'PATCH /api/taxonomy/skills/{id}': {
+    operationId: 'updateSkill',
+    tags: ['Taxonomy', 'Admin'],
+    summary: 'Rename a skill or move it to another category',
+    roles: ['admin'],
+    pathParams: skillIdParam,
+    responses: {
+      200: ok('Updated skill', object({ skill: ref('Skill') })),
+      404: errorResponse('SKILL_NOT_FOUND or CATEGORY_NOT_FOUND'),
+      409: errorResponse('SKILL_SLUG_TAKEN')
+    }
+  },
+  'DELETE /api/taxonomy/skills/{id}': {
+    operationId: 'deleteSkill',
+    tags: ['Taxonomy', 'Admin'],
+    summary: 'Delete a skill and remove it from every mentor profile',
+    roles: ['admin'],
+    pathParams: skillIdParam,
+    responses: {
+      200: ok('Deleted', object({ removedFromMentors: { type: 'integer' } })),
+      404: errorResponse('SKILL_NOT_FOUND')
+    }
+  },
+
+  // Bookings
+  'POST /api/bookings': {
+    operationId: 'createBooking',
+    tags: ['Bookings'],
+    summary: 'Request a session with a mentor',
+    responses: {
+      201: ok('Booking requested', object({ booking: ref('Booking') })),
+      409: errorResponse('SLOT_UNAVAILABLE')
+    }
+  },
+  'GET /api/bookings': {
+    operationId: 'listBookings',
+    tags: ['Bookings'],
+    summary: 'Bookings of the current user, as mentee or mentor',
+    responses: { 200: ok('Bookings', list('bookings', ref('Booking'))) }
+  },
+  'GET /api/bookings/{id}': {
+    operationId: 'getBooking',
+    tags: ['Bookings'],
+    summary: 'A booking you take part in',
+    pathParams: bookingIdParam,
+    responses: { 200: ok('Booking', object({ booking: ref('Booking') })), 404: errorResponse('BOOKING_NOT_FOUND') }
+  },
+  'PATCH /api/bookings/{id}/accept': bookingStatusChange('acceptBooking', 'Accept a booking request (mentor)'),
+  'PATCH /api/bookings/{id}/decline': bookingStatusChange('declineBooking', 'Decline a booking request (mentor)'),
+  'PATCH /api/bookings/{id}/cancel': bookingStatusChange('cancelBooking', 'Cancel a booking (either participant)'),
+  'PATCH /api/bookings/{id}/reschedule': bookingStatusChange(
+    'rescheduleBooking',
+    'Move a booking to a new time',
+    'The booking goes back to pending until the other participant accepts it.'
+  )
+};
+
+// Standard responses that follow from a route's middleware
+const decorate = (route, operation, fields) => {
+  const authenticated = route.handlers.includes(authenticateToken) || route.handlers.includes(optionalAuthentication);
+  const validated = ['body', 'query', 'params'].some(location => Object.keys(fields[location]).length > 0);
+  const responses = { 500: errorResponse('Unexpected error'), 503: errorResponse('DATABASE_UNAVAILABLE') };
+
+  if (validated) responses[400] = errorResponse('VALIDATION_FAILED (errors lists the invalid fields)');
+  if (authenticated) responses[401] = errorResponse('ACCESS_TOKEN_REQUIRED, INVALID_TOKEN, TOKEN_EXPIRED or SESSION_REVOKED');
+  if (operation.roles || route.handlers.includes(requireVerifiedEmail)) {
+    responses[403] = errorResponse(operation.roles ? `Requires role: ${operation.roles.join(', ')}` : 'EMAIL_NOT_VERIFIED');
+  }
+  if (operation.rateLimited) responses[429] = errorResponse('RATE_LIMITED (see Retry-After)');
+
+  return {
+    security: operation.security || (route.handlers.includes(optionalAuthentication)
+      ? [{}, { bearerAuth: [] }]
+      : authenticated ? [{ bearerAuth: [] }] : undefined),
+    responses
+  };
+};
+
+const buildOpenApiSpec = () => ({
+  openapi: '3.0.3',
+  info: {
+    title: 'GoBeyond API',
+    version,
+    description: 'Mentoring platform API. Every response uses the envelope `{ success, message, data }`; errors add a stable `code` and the `requestId`.'
+  },
+  tags: [
+    { name: 'Auth' },
+    { name: 'Profile' },
+    { name: 'Sessions' },
+    { name: 'Two-factor' },
+    { name: 'Mentors' },
+    { name: 'Availability' },
+    { name: 'Reviews' },
+    { name: 'Taxonomy' },
+    { name: 'Bookings' },
+    { name: 'Admin' },
+    { name: 'Health' }
+  ],
+  paths: buildPaths(apiMounts, operations, decorate),
+  components
+});
+
+module.exports = {
+  apiMounts,
+  operations,
+  buildOpenApiSpec
+};
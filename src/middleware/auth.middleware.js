@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../db');
+const { isSessionActive } = require('../utils/session.utils');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors.utils');
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -7,13 +9,15 @@ const authenticateToken = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
     if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Access token required' 
-      });
+      return next(new UnauthorizedError('Access token required', 'ACCESS_TOKEN_REQUIRED'));
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Only access tokens are accepted (refresh and 2FA challenge tokens carry a type)
+    if (decoded.type || !decoded.userId) {
+      return next(new ForbiddenError('Invalid token', 'INVALID_TOKEN'));
+    }
     
     // Verify user still exists in database
     const user = await prisma.user.findUnique({
@@ -21,18 +25,24 @@ const authenticateToken = async (req, res, next) => {
       select: {
         id: true,
         email: true,
-        name: true
+        name: true,
+        role: true,
+        emailVerified: true
       }
     });
 
     if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
+      return next(new UnauthorizedError('User not found', 'USER_NOT_FOUND'));
+    }
+
+    // Tokens of a logged-out or revoked session stop working immediately
+    // (tokens issued before sessions were tracked have no sid and simply expire)
+    if (decoded.sid && !(await isSessionActive(user.id, decoded.sid))) {
+      return next(new UnauthorizedError('Session has been revoked. Please log in again.', 'SESSION_REVOKED'));
     }
 
     req.user = user;
+    req.sessionId = decoded.sid || null;
     
     // Update last_active timestamp to track logged-in users
     // This runs asynchronously so it doesn't block the request
@@ -41,30 +51,58 @@ const authenticateToken = async (req, res, next) => {
       data: { lastActive: new Date() }
     }).catch(err => {
       // Log error but don't fail the request
-      console.error('Error updating last_active:', err);
+      req.log.error('Error updating last_active', { error: err });
     });
     
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Invalid token' 
-      });
+      return next(new ForbiddenError('Invalid token', 'INVALID_TOKEN'));
     }
     if (error.name === 'TokenExpiredError') {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Token expired' 
-      });
+      return next(new ForbiddenError('Token expired', 'TOKEN_EXPIRED'));
     }
-    return res.status(500).json({ 
-      success: false, 
-      message: 'Authentication error' 
-    });
+    next(error);
+  }
+};
+
+// Authenticate the request if it carries an access token, otherwise continue as a guest
+// (for public routes that show more to signed-in users)
+const optionalAuthentication = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+};
+
+// Restrict a route to users with one of the given roles (use after authenticateToken)
+const authorizeRoles = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Access token required', 'ACCESS_TOKEN_REQUIRED'));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(new ForbiddenError());
+    }
+
+    next();
+  };
+};
+
+// Restrict a route to users who have verified their email (use after authenticateToken)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return next(new ForbiddenError('Please verify your email address before performing this action', 'EMAIL_NOT_VERIFIED'));
   }
+
+  next();
 };
 
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  optionalAuthentication,
+  authorizeRoles,
+  requireVerifiedEmail
 };
@@ -0,0 +1,86 @@
+const { body, query } = require('express-validator');
+const { isValidTimeZone } = require('../utils/availability.utils');
+const { idParam } = require('./validate.middleware');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const END_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const setAvailabilityValidation = [
+  body('windows')
+    .isArray({ max: 100 })
+    .withMessage('Windows must be an array of at most 100 items')
+    .custom((windows) => {
+      for (const window of windows) {
+        if (!Number.isInteger(Number(window.dayOfWeek)) || window.dayOfWeek < 0 || window.dayOfWeek > 6) {
+          throw new Error('Each window must have a dayOfWeek between 0 (Sunday) and 6 (Saturday)');
+        }
+        if (!TIME_PATTERN.test(window.startTime) || !END_TIME_PATTERN.test(window.endTime)) {
+          throw new Error('Each window must have startTime and endTime in HH:MM format');
+        }
+        if (window.endTime <= window.startTime) {
+          throw new Error('Each window must end after it starts');
+        }
+      }
+
+      // Windows on the same day must not overlap
+      const sorted = [...windows].sort((a, b) =>
+        a.dayOfWeek - b.dayOfWeek || a.startTime.localeCompare(b.startTime)
+      );
+      for (let i = 1; i < sorted.length; i++) {
+        const previous = sorted[i - 1];
+        if (Number(sorted[i].dayOfWeek) === Number(previous.dayOfWeek) && sorted[i].startTime < previous.endTime) {
+          throw new Error('Windows on the same day must not overlap');
+        }
+      }
+      return true;
+    })
+];
+
+const availabilityExceptionValidation = [
+  body('startDate')
+    .isISO8601({ strict: true })
+    .withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  body('endDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('End date must be a valid date (YYYY-MM-DD)')
+    .custom((value, { req }) => {
+      if (value < req.body.startDate) {
+        throw new Error('End date must not be before start date');
+      }
+      return true;
+    }),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters')
+];
+
+const getAvailabilityValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date or date-time'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date or date-time'),
+  query('tz')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('tz must be a valid IANA timezone (e.g. "Europe/Berlin")'),
+  query('duration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes')
+];
+
+const availabilityExceptionIdValidation = [idParam('exceptionId', 'Exception ID')];
+
+module.exports = {
+  setAvailabilityValidation,
+  availabilityExceptionValidation,
+  getAvailabilityValidation,
+  availabilityExceptionIdValidation
+};
@@ -0,0 +1,68 @@
+const { body, query } = require('express-validator');
+const { idParam } = require('./validate.middleware');
+
+const createBookingValidation = [
+  body('mentorId')
+    .isInt({ min: 1 })
+    .withMessage('Mentor ID must be a positive integer'),
+  body('startTime')
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date-time'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Message must not exceed 2000 characters')
+];
+
+const rescheduleBookingValidation = [
+  body('startTime')
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date-time'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Reason must not exceed 2000 characters')
+];
+
+const bookingReasonValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Reason must not exceed 2000 characters')
+];
+
+const listBookingsValidation = [
+  query('as')
+    .optional()
+    .isIn(['mentee', 'mentor'])
+    .withMessage('as must be either "mentee" or "mentor"'),
+  query('when')
+    .optional()
+    .isIn(['upcoming', 'past'])
+    .withMessage('when must be either "upcoming" or "past"'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'declined', 'cancelled'])
+    .withMessage('status must be one of: pending, accepted, declined, cancelled')
+];
+
+const bookingIdValidation = [idParam('id', 'Booking ID')];
+
+module.exports = {
+  createBookingValidation,
+  rescheduleBookingValidation,
+  bookingReasonValidation,
+  listBookingsValidation,
+  bookingIdValidation
+};
@@ -0,0 +1,68 @@
+const multer = require('multer');
+const { AppError, BadRequestError, NotFoundError, fromPrismaError } = require('../utils/errors.utils');
+const { logger } = require('../utils/logger.utils');
+
+// Turn anything thrown by a handler into an AppError; unknown errors become a generic 500
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof multer.MulterError) {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? new BadRequestError('File too large. Maximum size is 5MB.', 'FILE_TOO_LARGE')
+      : new BadRequestError(err.message || 'File upload error', 'UPLOAD_ERROR');
+  }
+
+  const prismaError = fromPrismaError(err);
+  if (prismaError) return prismaError;
+
+  // Body parser errors (malformed JSON, payload too large, ...) carry a 4xx status
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', 'INVALID_JSON');
+  }
+  if (Number.isInteger(err.status) && err.status >= 400 && err.status < 500) {
+    return new AppError(err.expose === false ? 'Bad request' : err.message, {
+      status: err.status,
+      code: err.status === 413 ? 'PAYLOAD_TOO_LARGE' : 'BAD_REQUEST'
+    });
+  }
+
+  return new AppError('Internal server error');
+};
+
+// 404 for unknown routes
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Route not found', 'ROUTE_NOT_FOUND'));
+};
+
+// Every error response has the same shape:
+// { success: false, message, code, requestId, errors? (validation), details? }
+const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    (req.log || logger).error('Unhandled error', { error: err });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (error.headers) {
+    res.set(error.headers);
+  }
+
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    requestId: req.id,
+    errors: error.errors,
+    details: error.details,
+    error: process.env.NODE_ENV === 'development' && error.status >= 500 ? err.stack : undefined
+  });
+};
+
+module.exports = {
+  notFoundHandler,
+  errorHandler
+};
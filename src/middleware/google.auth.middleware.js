@@ -16,6 +16,7 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
         const { id, displayName, emails, photos } = profile;
         const email = emails && emails[0] ? emails[0].value : null;
         const image = photos && photos[0] ? photos[0].value : null;
+        const emailVerified = !!(emails && emails[0] && emails[0].verified);
         
         if (!email) {
           return done(new Error('No email found in Google profile'), null);
@@ -46,12 +47,21 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
         });
 
         if (user) {
-          // Link Google account to existing user
+          // Only link when Google vouches for the address, otherwise anyone could
+          // take over an account by creating a Google account with its email
+          if (!emailVerified) {
+            return done(null, false, { message: 'Google email address is not verified' });
+          }
+
+          // Link Google account to existing user. An uploaded profile image (one with
+          // variants) is kept; otherwise the Google picture replaces the stored URL.
           user = await prisma.user.update({
             where: { id: user.id },
             data: {
               googleId: id,
-              image: image || user.image,
+              image: user.imageVariants ? user.image : image || user.image,
+              emailVerified: true,
+              emailVerifiedAt: user.emailVerifiedAt || new Date(),
               lastActive: new Date()
             }
           });
@@ -67,6 +77,8 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
             firstName: firstName,
             lastName: lastName,
             image: image,
+            emailVerified: emailVerified,
+            emailVerifiedAt: emailVerified ? new Date() : null,
             lastActive: new Date()
           }
         });
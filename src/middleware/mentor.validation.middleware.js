@@ -1,25 +1,18 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const { idParam } = require('./validate.middleware');
+const { isValidTimeZone } = require('../utils/availability.utils');
+const { isCurrencyCode } = require('../utils/currency.utils');
+const { isStoredImageUrl } = require('../utils/upload.utils');
+const { strongPassword } = require('./validation.middleware');
+const { SLUG_PATTERN } = require('./taxonomy.validation.middleware');
 
-const createMentorValidation = [
-  // User registration fields
-  body('email')
-    .isEmail()
-    .withMessage('Please provide a valid email address')
-    .normalizeEmail(),
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
-  body('name')
-    .optional()
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Name must be between 2 and 100 characters'),
-  // Mentor fields
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const MAX_SKILLS = 30;
+
+// Mentor profile fields; all optional so drafts can be saved step by step
+const mentorProfileValidation = [
   body('title')
-    .notEmpty()
-    .withMessage('Title is required')
+    .optional()
     .trim()
     .isLength({ min: 3, max: 255 })
     .withMessage('Title must be between 3 and 255 characters'),
@@ -36,7 +29,9 @@ const createMentorValidation = [
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Timezone must not exceed 100 characters'),
+    .withMessage('Timezone must not exceed 100 characters')
+    .custom((timezone) => timezone === '' || isValidTimeZone(timezone))
+    .withMessage('Timezone must be a valid IANA timezone (e.g. "Europe/Berlin")'),
   body('hourlyRate')
     .optional()
     .isFloat({ min: 0 })
@@ -44,13 +39,17 @@ const createMentorValidation = [
   body('currency')
     .optional()
     .trim()
-    .isLength({ min: 3, max: 10 })
-    .withMessage('Currency must be between 3 and 10 characters'),
+    .toUpperCase()
+    .custom(isCurrencyCode)
+    .withMessage('Currency must be an ISO 4217 code (e.g. "USD", "EUR")'),
   body('image')
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Image must not exceed 500 characters'),
+    .withMessage('Image must not exceed 500 characters')
+    .not()
+    .custom(isStoredImageUrl)
+    .withMessage('Uploaded images can only be set through the image upload endpoint'),
   body('languages')
     .optional()
     .isArray()
@@ -72,82 +71,177 @@ const createMentorValidation = [
       return true;
     })
     .withMessage('Languages must be an array of objects with "code", "language", and "level" fields'),
-  body('isApproved')
-    .optional()
-    .isBoolean()
-    .withMessage('isApproved must be a boolean'),
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  // Replaces the mentor's skills; slugs come from GET /api/taxonomy/skills
+  body('skills')
+    .optional()
+    .isArray({ max: MAX_SKILLS })
+    .withMessage(`Skills must be an array of at most ${MAX_SKILLS} entries`)
+    .custom((skills) => {
+      const seen = new Set();
+      for (const skill of skills) {
+        if (!skill || typeof skill.slug !== 'string' || !SLUG_PATTERN.test(skill.slug)) {
+          throw new Error('Each skill must have the slug of a skill (e.g. "react")');
+        }
+        if (skill.level !== undefined && !SKILL_LEVELS.includes(skill.level)) {
+          throw new Error(`Skill level must be one of: ${SKILL_LEVELS.join(', ')}`);
+        }
+        if (seen.has(skill.slug)) {
+          throw new Error(`Skill "${skill.slug}" is listed more than once`);
+        }
+        seen.add(skill.slug);
+      }
+      return true;
+    })
 ];
 
-const updateMentorValidation = [
-  body('title')
+const submitValidation = body('submit')
+  .optional()
+  .isBoolean()
+  .withMessage('submit must be a boolean')
+  .toBoolean();
+
+const createMentorValidation = [
+  // User registration fields
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  strongPassword('password'),
+  body('name')
     .optional()
     .trim()
-    .isLength({ min: 3, max: 255 })
-    .withMessage('Title must be between 3 and 255 characters'),
-  body('bio')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  ...mentorProfileValidation,
+  submitValidation
+];
+
+// POST /api/mentors/profile/me - save the current user's draft, optionally submitting it
+const saveMyMentorProfileValidation = [
+  ...mentorProfileValidation,
+  submitValidation
+];
+
+const updateMentorValidation = mentorProfileValidation;
+
+// Currency to show and filter rates in; public mentor responses include the converted rate
+const displayCurrencyValidation = [
+  query('displayCurrency')
     .optional()
     .trim()
-    .isLength({ max: 2000 })
-    .withMessage('Bio must not exceed 2000 characters'),
-  body('yearsOfExperience')
-    .optional()
-    .isInt({ min: 0, max: 100 })
-    .withMessage('Years of experience must be between 0 and 100'),
-  body('timezone')
+    .toUpperCase()
+    .custom(isCurrencyCode)
+    .withMessage('Display currency must be an ISO 4217 code (e.g. "USD", "EUR")')
+];
+
+// Directory filters shared by the listing and its facets
+const mentorFilterValidation = [
+  ...displayCurrencyValidation,
+  query(['isApproved', 'isActive'])
     .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Timezone must not exceed 100 characters'),
-  body('hourlyRate')
+    .isBoolean()
+    .withMessage('Must be "true" or "false"'),
+  query(['minRate', 'maxRate'])
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Hourly rate must be a positive number'),
-  body('currency')
+    .withMessage('Rate must be a positive number (in the display currency)'),
+  query('search')
     .optional()
     .trim()
-    .isLength({ min: 3, max: 10 })
-    .withMessage('Currency must be between 3 and 10 characters'),
-  body('image')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search must be between 1 and 200 characters'),
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum rating must be between 0 and 5'),
+  query(['skills', 'category'])
     .optional()
     .trim()
-    .isLength({ max: 500 })
-    .withMessage('Image must not exceed 500 characters'),
-  body('languages')
+    .toLowerCase()
+    .custom((value) => value.split(',').every(slug => SLUG_PATTERN.test(slug.trim())))
+    .withMessage('Must be a comma-separated list of slugs (e.g. "react,node")'),
+  query('skillMatch')
     .optional()
-    .isArray()
-    .withMessage('Languages must be an array')
-    .custom((languages) => {
-      if (!Array.isArray(languages)) return false;
-      
-      for (const lang of languages) {
-        if (!lang.code || typeof lang.code !== 'string') {
-          throw new Error('Each language must have a code (e.g., "en", "de")');
-        }
-        if (!lang.language || typeof lang.language !== 'string') {
-          throw new Error('Each language must have a language name (e.g., "English", "German")');
-        }
-        if (!lang.level || typeof lang.level !== 'string') {
-          throw new Error('Each language must have a level (e.g., "Beginner", "Intermediate", "Advanced")');
-        }
-      }
-      return true;
-    })
-    .withMessage('Languages must be an array of objects with "code", "language", and "level" fields'),
-  body('isApproved')
+    .isIn(['any', 'all'])
+    .withMessage('skillMatch must be either "any" or "all"')
+];
+
+const listMentorsValidation = [
+  query('page')
     .optional()
-    .isBoolean()
-    .withMessage('isApproved must be a boolean'),
-  body('isActive')
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
     .optional()
-    .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('cursor')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Cursor must be a mentor ID'),
+  query('sort')
+    .optional()
+    .isIn(['newest', 'rate', 'experience', 'rating', 'relevance'])
+    .withMessage('Sort must be one of: newest, rate, experience, rating, relevance'),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be either "asc" or "desc"'),
+  ...mentorFilterValidation
+];
+
+const mentorFacetsValidation = [
+  query('rateBuckets')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('rateBuckets must be between 1 and 50'),
+  ...mentorFilterValidation
+];
+
+const approveMentorValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Reason must not exceed 2000 characters')
+];
+
+const rejectMentorValidation = [
+  body('reason')
+    .notEmpty()
+    .withMessage('A reason is required when rejecting a mentor')
+    .trim()
+    .isLength({ min: 3, max: 2000 })
+    .withMessage('Reason must be between 3 and 2000 characters')
 ];
 
+const suspendMentorValidation = [
+  body('reason')
+    .notEmpty()
+    .withMessage('A reason is required when suspending a mentor')
+    .trim()
+    .isLength({ min: 3, max: 2000 })
+    .withMessage('Reason must be between 3 and 2000 characters')
+];
+
+const mentorIdValidation = [idParam('id', 'Mentor ID')];
+
+const mentorUserIdValidation = [idParam('userId', 'User ID')];
+
 module.exports = {
+  mentorIdValidation,
+  mentorUserIdValidation,
   createMentorValidation,
-  updateMentorValidation
+  saveMyMentorProfileValidation,
+  updateMentorValidation,
+  listMentorsValidation,
+  mentorFacetsValidation,
+  displayCurrencyValidation,
+  approveMentorValidation,
+  rejectMentorValidation,
+  suspendMentorValidation
 };
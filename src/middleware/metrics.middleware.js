@@ -0,0 +1,23 @@
+const { observeRequest } = require('../utils/metrics.utils');
+const { getRoute } = require('./request.logger.middleware');
+
+// Count and time every request once it is done. Requests that matched no route share
+// one label so scanners probing random paths cannot blow up the number of series.
+const recordMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('close', () => {
+    observeRequest({
+      method: req.method,
+      route: getRoute(req) || 'unmatched',
+      status: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  recordMetrics
+};
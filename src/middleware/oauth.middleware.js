@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const passport = require('./google.auth.middleware');
+const { BadRequestError } = require('../utils/errors.utils');
+
+const STATE_COOKIE = 'oauth_state';
+const STATE_TTL_SECONDS = 10 * 60;
+const STATE_COOKIE_PATH = '/api/auth/google';
+
+// Frontend pages we may send the browser back to after Google sign-in.
+// OAUTH_REDIRECT_ALLOWLIST is a comma-separated list of absolute URLs; the first one is the default.
+const getAllowedRedirects = () => {
+  const configured = (process.env.OAUTH_REDIRECT_ALLOWLIST || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  if (configured.length > 0) return configured;
+  return [new URL('/auth/google/callback', process.env.FRONTEND_URL || 'http://localhost:3000').toString()];
+};
+
+// Only exact matches (origin and path) are accepted, so the redirect cannot be pointed elsewhere
+const resolveRedirect = (requested) => {
+  const allowed = getAllowedRedirects();
+  if (!requested) return allowed[0];
+
+  let url;
+  try {
+    url = new URL(requested);
+  } catch (error) {
+    return null;
+  }
+
+  const normalized = `${url.origin}${url.pathname}`;
+  return allowed.find(candidate => {
+    const allowedUrl = new URL(candidate);
+    return `${allowedUrl.origin}${allowedUrl.pathname}` === normalized;
+  }) || null;
+};
+
+const appendParams = (target, params) => {
+  const url = new URL(target);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    if (part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+};
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: STATE_COOKIE_PATH
+});
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Start Google sign-in: pick the allow-listed redirect target, bind a random state to
+// this browser with a signed cookie, and send the user to Google with that state
+const startGoogleAuth = (req, res, next) => {
+  const redirect = resolveRedirect(req.query.redirect);
+
+  if (!redirect) {
+    return next(new BadRequestError('Redirect URL is not allowed', 'REDIRECT_NOT_ALLOWED'));
+  }
+
+  const state = crypto.randomBytes(16).toString('hex');
+  const signedState = jwt.sign(
+    { state, redirect },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_TTL_SECONDS }
+  );
+
+  res.cookie(STATE_COOKIE, signedState, { ...cookieOptions(), maxAge: STATE_TTL_SECONDS * 1000 });
+
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    session: false,
+    state
+  })(req, res, next);
+};
+
+// Check that the callback belongs to a sign-in started in this browser, then let
+// passport finish it. Failures go back to the frontend with an error code.
+const handleGoogleCallback = (req, res, next) => {
+  const signedState = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, cookieOptions());
+
+  let stored;
+  try {
+    stored = signedState ? jwt.verify(signedState, process.env.JWT_SECRET) : null;
+  } catch (error) {
+    stored = null;
+  }
+
+  if (!stored || !req.query.state || !safeEqual(stored.state, req.query.state)) {
+    return res.redirect('/api/auth/google/error');
+  }
+
+  // The target was allow-listed when the flow started; check again in case the list changed
+  const redirect = resolveRedirect(stored.redirect);
+  if (!redirect) {
+    return res.redirect('/api/auth/google/error');
+  }
+
+  passport.authenticate('google', { session: false }, (error, user) => {
+    if (error) {
+      req.log.error('Google authentication error', { error });
+    }
+    if (error || !user) {
+      return res.redirect(appendParams(redirect, { error: 'google_auth_failed' }));
+    }
+
+    req.user = user;
+    req.oauthRedirect = redirect;
+    next();
+  })(req, res, next);
+};
+
+module.exports = {
+  startGoogleAuth,
+  handleGoogleCallback
+};
@@ -0,0 +1,84 @@
+const { getRateLimitStore } = require('../utils/rate.limit.utils');
+const { TooManyRequestsError } = require('../utils/errors.utils');
+
+const MINUTE = 60 * 1000;
+
+// Build a fixed-window limiter. `key` picks what is limited (the client IP by default);
+// requests without a key are not counted.
+const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message }) => {
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    let count;
+    let resetAt;
+    try {
+      ({ count, resetAt } = await getRateLimitStore().increment(`${name}:${id}`, windowMs));
+    } catch (error) {
+      // An unavailable store must not take authentication down with it
+      req.log.error('Rate limit error', { error });
+      return next();
+    }
+
+    const retryAfterSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - count, 0)));
+    res.set('RateLimit-Reset', String(retryAfterSeconds));
+
+    if (count > max) {
+      return next(new TooManyRequestsError(message, 'RATE_LIMITED', retryAfterSeconds));
+    }
+
+    next();
+  };
+};
+
+const emailKey = (req) => {
+  return typeof req.body.email === 'string' && req.body.email ? req.body.email.toLowerCase() : null;
+};
+
+const loginIpRateLimit = rateLimit({
+  name: 'login:ip',
+  windowMs: 15 * MINUTE,
+  max: 30,
+  message: 'Too many login attempts from this address. Please try again later.'
+});
+
+// Per account, keyed by the (normalized) email; runs after loginValidation
+const loginAccountRateLimit = rateLimit({
+  name: 'login:account',
+  windowMs: 15 * MINUTE,
+  max: 15,
+  key: emailKey,
+  message: 'Too many login attempts for this account. Please try again later.'
+});
+
+const registerRateLimit = rateLimit({
+  name: 'register:ip',
+  windowMs: 60 * MINUTE,
+  max: 10,
+  message: 'Too many accounts created from this address. Please try again later.'
+});
+
+const refreshTokenRateLimit = rateLimit({
+  name: 'refresh-token:ip',
+  windowMs: 15 * MINUTE,
+  max: 100
+});
+
+const createMentorRateLimit = rateLimit({
+  name: 'create-mentor:ip',
+  windowMs: 60 * MINUTE,
+  max: 10,
+  message: 'Too many mentor sign-ups from this address. Please try again later.'
+});
+
+module.exports = {
+  rateLimit,
+  loginIpRateLimit,
+  loginAccountRateLimit,
+  registerRateLimit,
+  refreshTokenRateLimit,
+  createMentorRateLimit
+};
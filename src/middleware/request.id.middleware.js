@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accept an upstream request id (e.g. from a load balancer) if it looks sane
+const isValidRequestId = (id) => typeof id === 'string' && /^[\w.:-]{1,128}$/.test(id);
+
+// Tag every request with an id that is echoed in the X-Request-Id header and error responses
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = isValidRequestId(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  assignRequestId
+};
@@ -0,0 +1,57 @@
+const { logger } = require('../utils/logger.utils');
+
+// Remember where a router is mounted: Express resets req.baseUrl once an error leaves
+// the router, and the access log needs it to name the route
+const recordRouteBase = (req, res, next) => {
+  req.routeBase = req.baseUrl;
+  next();
+};
+
+// Route pattern of the matched handler (e.g. /api/mentors/:id), so ids do not split up log queries
+const getRoute = (req) => {
+  if (!req.route) return undefined;
+  const base = req.routeBase !== undefined ? req.routeBase : req.baseUrl;
+  if (req.route.path === '/') return base || '/';
+  return `${base}${req.route.path}`;
+};
+
+// Access log: one entry per request once the response is done, with a per-request
+// child logger on req.log for handlers. Runs after assignRequestId.
+const logRequests = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  req.log = logger.child({ requestId: req.id });
+
+  res.on('close', () => {
+    const status = res.statusCode;
+    const fields = {
+      method: req.method,
+      route: getRoute(req),
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000,
+      userId: req.user ? req.user.id : undefined,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    };
+
+    if (!res.writableFinished) {
+      fields.aborted = true;
+    }
+
+    // Request bodies only at debug level (sensitive fields are redacted)
+    if (req.log.isLevelEnabled('debug') && req.body && Object.keys(req.body).length > 0) {
+      fields.body = req.body;
+    }
+
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    req.log[level]('request completed', fields);
+  });
+
+  next();
+};
+
+module.exports = {
+  recordRouteBase,
+  getRoute,
+  logRequests
+};
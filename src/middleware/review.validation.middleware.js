@@ -0,0 +1,29 @@
+const { body } = require('express-validator');
+
+const createReviewValidation = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be an integer between 1 and 5'),
+  body('comment')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must not exceed 2000 characters')
+];
+
+const updateReviewValidation = [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be an integer between 1 and 5'),
+  body('comment')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must not exceed 2000 characters')
+];
+
+module.exports = {
+  createReviewValidation,
+  updateReviewValidation
+};
@@ -0,0 +1,85 @@
+const { body, query } = require('express-validator');
+const { idParam } = require('./validate.middleware');
+
+// Lowercase words joined by single dashes, e.g. "machine-learning"
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const slug = (location, field) => {
+  return location(field)
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Slug must be between 1 and 100 characters')
+    .matches(SLUG_PATTERN)
+    .withMessage('Slug may only contain lowercase letters, digits and single dashes');
+};
+
+const name = (required) => {
+  const chain = body('name');
+  return (required ? chain : chain.optional())
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters');
+};
+
+const description = body('description')
+  .optional({ values: 'null' })
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage('Description must not exceed 1000 characters');
+
+const categoryId = (required) => {
+  const chain = body('categoryId');
+  return (required ? chain : chain.optional())
+    .isInt({ min: 1 })
+    .withMessage('Category ID must be a positive integer')
+    .toInt();
+};
+
+const categoryIdValidation = [idParam('id', 'Category ID')];
+
+const skillIdValidation = [idParam('id', 'Skill ID')];
+
+const createCategoryValidation = [
+  name(true),
+  slug(body, 'slug'),
+  description
+];
+
+const updateCategoryValidation = [
+  name(false),
+  slug(body, 'slug'),
+  description
+];
+
+const createSkillValidation = [
+  name(true),
+  slug(body, 'slug'),
+  categoryId(true)
+];
+
+const updateSkillValidation = [
+  name(false),
+  slug(body, 'slug'),
+  categoryId(false)
+];
+
+const listSkillsValidation = [
+  slug(query, 'category'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search must be between 1 and 100 characters')
+];
+
+module.exports = {
+  SLUG_PATTERN,
+  categoryIdValidation,
+  skillIdValidation,
+  createCategoryValidation,
+  updateCategoryValidation,
+  createSkillValidation,
+  updateSkillValidation,
+  listSkillsValidation
+};
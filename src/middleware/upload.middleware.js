@@ -1,26 +1,11 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../../uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename: timestamp-random-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${name}-${uniqueSuffix}${ext}`);
-  }
-});
+const { getPublicFileUrl, getSignedFileUrl } = require('../utils/storage.utils');
+const { processImage } = require('../utils/image.utils');
+const { BadRequestError } = require('../utils/errors.utils');
+
+// Files are kept in memory until their content is checked, then handed to the storage driver
+const storage = multer.memoryStorage();
 
 // File filter - only allow images
 const fileFilter = (req, file, cb) => {
@@ -31,7 +16,7 @@ const fileFilter = (req, file, cb) => {
   if (mimetype && extname) {
     return cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed (jpeg, jpg, png, gif, webp)'));
+    cb(new BadRequestError('Only image files are allowed (jpeg, jpg, png, gif, webp)', 'UNSUPPORTED_FILE_TYPE'));
   }
 };
 
@@ -44,10 +29,67 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Detect the image type from the file's magic bytes (extension and mimetype come from the client)
+const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { ext: '.jpg', mimetype: 'image/jpeg' };
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { ext: '.png', mimetype: 'image/png' };
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+    return { ext: '.gif', mimetype: 'image/gif' };
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { ext: '.webp', mimetype: 'image/webp' };
+  }
+  return null;
+};
+
+// Check the uploaded file's content and record its real type
+const verifyImageFile = (req, res, next) => {
+  if (!req.file) {
+    return next(new BadRequestError('Please upload an image file in the "image" field', 'FILE_REQUIRED'));
+  }
+
+  const imageType = detectImageType(req.file.buffer);
+
+  if (!imageType) {
+    return next(new BadRequestError('File content is not a supported image (jpeg, png, gif, webp)', 'UNSUPPORTED_FILE_TYPE'));
+  }
+
+  req.file.ext = imageType.ext;
+  req.file.mimetype = imageType.mimetype;
+  next();
+};
+
+// Re-encode the verified image into its stored variants; the original bytes are never stored
+const processUploadedImage = async (req, res, next) => {
+  try {
+    req.file.variants = await processImage(req.file.buffer);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Serve uploads that are not on the local disk from the storage driver (signed or public URL)
+const serveStoredUpload = async (req, res, next) => {
+  try {
+    const key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+    const url = (await getSignedFileUrl(key)) || getPublicFileUrl(key);
+
+    if (!url) return next();
+    res.redirect(302, url);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Middleware for single image upload
-const uploadImage = upload.single('image');
+const uploadImage = [upload.single('image'), verifyImageFile, processUploadedImage];
 
 module.exports = {
   uploadImage,
-  uploadsDir
+  serveStoredUpload
 };
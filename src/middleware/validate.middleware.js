@@ -0,0 +1,25 @@
+const { param, validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors.utils');
+
+// Run after an express-validator chain: rejects the request with the collected errors
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+
+  next(new ValidationError(errors.array().map(err => ({
+    field: err.path || err.param,
+    message: err.msg
+  }))));
+};
+
+// Numeric route parameter such as /:id, so malformed ids get a 400 instead of reaching a query
+const idParam = (name, label) => {
+  return param(name)
+    .isInt({ min: 1 })
+    .withMessage(`${label} must be a positive integer`);
+};
+
+module.exports = {
+  validateRequest,
+  idParam
+};
@@ -1,15 +1,32 @@
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
+const { isStoredImageUrl } = require('../utils/upload.utils');
+
+// Password strength rules shared by registration, password change and reset
+const strongPassword = (field, label = 'Password') => {
+  return body(field)
+    .isLength({ min: 8 })
+    .withMessage(`${label} must be at least 8 characters long`)
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(`${label} must contain at least one uppercase letter, one lowercase letter, and one number`);
+};
+
+// Confirmation must repeat the new password
+const passwordConfirmation = (field, passwordField) => {
+  return body(field)
+    .custom((value, { req }) => {
+      if (value !== req.body[passwordField]) {
+        throw new Error('Password confirmation does not match new password');
+      }
+      return true;
+    });
+};
 
 const registerValidation = [
   body('email')
     .isEmail()
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  strongPassword('password'),
   body('name')
     .optional()
     .trim()
@@ -68,29 +85,94 @@ const updateProfileValidation = [
       }
     })
     .withMessage('Image must be a valid URL or empty to remove image')
+    .not()
+    .custom(isStoredImageUrl)
+    .withMessage('Uploaded images can only be set through the image upload endpoint')
 ];
 
 const changePasswordValidation = [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number'),
-  body('confirmPassword')
-    .custom((value, { req }) => {
-      if (value !== req.body.newPassword) {
-        throw new Error('Password confirmation does not match new password');
-      }
-      return true;
-    })
+  strongPassword('newPassword', 'New password'),
+  passwordConfirmation('confirmPassword', 'newPassword')
+];
+
+const updateUserRoleValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  body('role')
+    .isIn(['user', 'mentor', 'admin'])
+    .withMessage('Role must be one of: user, mentor, admin')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const googleCodeExchangeValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+const disableTwoFactorValidation = [
+  ...twoFactorCodeValidation,
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+];
+
+const loginTwoFactorValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCodeValidation
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  strongPassword('newPassword', 'New password'),
+  passwordConfirmation('confirmPassword', 'newPassword')
 ];
 
 module.exports = {
+  strongPassword,
   registerValidation,
   loginValidation,
   updateProfileValidation,
-  changePasswordValidation
+  changePasswordValidation,
+  updateUserRoleValidation,
+  verifyEmailValidation,
+  googleCodeExchangeValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
+  loginTwoFactorValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation
 };
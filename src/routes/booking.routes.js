@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createBooking,
+  getMyBookings,
+  getBookingById,
+  acceptBooking,
+  declineBooking,
+  cancelBooking,
+  rescheduleBooking
+} = require('../controllers/booking.controller');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth.middleware');
+const {
+  createBookingValidation,
+  rescheduleBookingValidation,
+  bookingReasonValidation,
+  listBookingsValidation,
+  bookingIdValidation
+} = require('../middleware/booking.validation.middleware');
+const { validateRequest } = require('../middleware/validate.middleware');
+
+// Protected routes
+router.post('/', authenticateToken, requireVerifiedEmail, createBookingValidation, validateRequest, createBooking);
+router.get('/', authenticateToken, listBookingsValidation, validateRequest, getMyBookings);
+router.get('/:id', authenticateToken, bookingIdValidation, validateRequest, getBookingById);
+router.patch('/:id/accept', authenticateToken, bookingIdValidation, bookingReasonValidation, validateRequest, acceptBooking);
+router.patch('/:id/decline', authenticateToken, bookingIdValidation, bookingReasonValidation, validateRequest, declineBooking);
+router.patch('/:id/cancel', authenticateToken, bookingIdValidation, bookingReasonValidation, validateRequest, cancelBooking);
+router.patch('/:id/reschedule', authenticateToken, bookingIdValidation, rescheduleBookingValidation, validateRequest, rescheduleBooking);
+
+module.exports = router;
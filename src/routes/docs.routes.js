@@ -0,0 +1,18 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const router = express.Router();
+const { buildOpenApiSpec } = require('../docs/openapi');
+
+// Built once: the routes do not change while the server runs
+const spec = buildOpenApiSpec();
+
+// Machine-readable spec for client code generation
+router.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+// Interactive documentation
+router.use('/', swaggerUi.serve);
+router.get('/', swaggerUi.setup(spec, { customSiteTitle: 'GoBeyond API' }));
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { liveness, readiness, metrics } = require('../controllers/health.controller');
+
+// Operational endpoints (mounted at the root, not under /api)
+router.get('/health', liveness);
+router.get('/health/live', liveness);
+router.get('/health/ready', readiness);
+router.get('/metrics', metrics);
+
+module.exports = router;
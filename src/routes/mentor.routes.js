@@ -2,30 +2,94 @@ const express = require('express');
 const router = express.Router();
 const {
   getAllMentors,
+  getMentorFacets,
   getMentorById,
   getMentorByUserId,
   createMentor,
   updateMentor,
   deleteMentor,
   getMyMentorProfile,
-  deleteMentorImage
+  saveMyMentorProfile,
+  deleteMentorImage,
+  uploadMentorImage,
+  approveMentor,
+  rejectMentor,
+  suspendMentor,
+  getMentorApprovalHistory
 } = require('../controllers/mentor.controller');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+  getMentorAvailability,
+  getMyAvailability,
+  setMyAvailability,
+  addAvailabilityException,
+  deleteAvailabilityException
+} = require('../controllers/availability.controller');
+const {
+  getMentorReviews,
+  createReview,
+  updateMyReview,
+  deleteMyReview
+} = require('../controllers/review.controller');
+const { authenticateToken, optionalAuthentication, authorizeRoles } = require('../middleware/auth.middleware');
+const { uploadImage } = require('../middleware/upload.middleware');
+const { createMentorRateLimit } = require('../middleware/rate.limit.middleware');
 const {
   createMentorValidation,
-  updateMentorValidation
+  saveMyMentorProfileValidation,
+  updateMentorValidation,
+  listMentorsValidation,
+  mentorFacetsValidation,
+  displayCurrencyValidation,
+  mentorIdValidation,
+  mentorUserIdValidation,
+  approveMentorValidation,
+  rejectMentorValidation,
+  suspendMentorValidation
 } = require('../middleware/mentor.validation.middleware');
+const {
+  setAvailabilityValidation,
+  availabilityExceptionValidation,
+  getAvailabilityValidation,
+  availabilityExceptionIdValidation
+} = require('../middleware/availability.validation.middleware');
+const {
+  createReviewValidation,
+  updateReviewValidation
+} = require('../middleware/review.validation.middleware');
+const { validateRequest } = require('../middleware/validate.middleware');
 
 // Public routes
-router.get('/', getAllMentors);
-router.get('/:id', getMentorById);
-router.get('/user/:userId', getMentorByUserId);
+router.get('/', optionalAuthentication, listMentorsValidation, validateRequest, getAllMentors);
+router.get('/facets', optionalAuthentication, mentorFacetsValidation, validateRequest, getMentorFacets); // Before /:id
+router.get('/:id', optionalAuthentication, mentorIdValidation, displayCurrencyValidation, validateRequest, getMentorById);
+router.get('/user/:userId', optionalAuthentication, mentorUserIdValidation, displayCurrencyValidation, validateRequest, getMentorByUserId);
+
+// Availability of the current mentor (before /:id/availability so "profile" is not taken as an id)
+router.get('/profile/availability', authenticateToken, getMyAvailability);
+router.put('/profile/availability', authenticateToken, setAvailabilityValidation, validateRequest, setMyAvailability);
+router.post('/profile/availability/exceptions', authenticateToken, availabilityExceptionValidation, validateRequest, addAvailabilityException);
+router.delete('/profile/availability/exceptions/:exceptionId', authenticateToken, availabilityExceptionIdValidation, validateRequest, deleteAvailabilityException);
+router.get('/:id/availability', mentorIdValidation, getAvailabilityValidation, validateRequest, getMentorAvailability);
+
+// Reviews
+router.get('/:id/reviews', mentorIdValidation, validateRequest, getMentorReviews);
+router.post('/:id/reviews', authenticateToken, mentorIdValidation, createReviewValidation, validateRequest, createReview);
+router.put('/:id/reviews/me', authenticateToken, mentorIdValidation, updateReviewValidation, validateRequest, updateMyReview);
+router.delete('/:id/reviews/me', authenticateToken, mentorIdValidation, validateRequest, deleteMyReview);
 
 // Protected routes
 router.get('/profile/me', authenticateToken, getMyMentorProfile);
-router.post('/', createMentorValidation, createMentor); // Public - creates user and mentor
-router.put('/:id', authenticateToken, updateMentorValidation, updateMentor);
-router.delete('/:id', authenticateToken, deleteMentor);
+router.post('/profile/me', authenticateToken, saveMyMentorProfileValidation, validateRequest, saveMyMentorProfile); // Onboarding: save or submit a draft
+router.post('/', createMentorRateLimit, createMentorValidation, validateRequest, createMentor); // Public - creates user and mentor
+router.put('/:id', authenticateToken, mentorIdValidation, updateMentorValidation, validateRequest, updateMentor);
+router.delete('/:id', authenticateToken, mentorIdValidation, validateRequest, deleteMentor);
+router.post('/profile/image', authenticateToken, uploadImage, uploadMentorImage);
 router.delete('/profile/image', authenticateToken, deleteMentorImage);
+router.get('/:id/approval-history', authenticateToken, mentorIdValidation, validateRequest, getMentorApprovalHistory);
+
+// Admin routes
+router.patch('/:id/approve', authenticateToken, authorizeRoles('admin'), mentorIdValidation, approveMentorValidation, validateRequest, approveMentor);
+router.patch('/:id/reject', authenticateToken, authorizeRoles('admin'), mentorIdValidation, rejectMentorValidation, validateRequest, rejectMentor);
+router.patch('/:id/suspend', authenticateToken, authorizeRoles('admin'), mentorIdValidation, suspendMentorValidation, validateRequest, suspendMentor);
 
 module.exports = router;
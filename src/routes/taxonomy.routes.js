@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  getSkills,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  createSkill,
+  updateSkill,
+  deleteSkill
+} = require('../controllers/taxonomy.controller');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth.middleware');
+const {
+  categoryIdValidation,
+  skillIdValidation,
+  createCategoryValidation,
+  updateCategoryValidation,
+  createSkillValidation,
+  updateSkillValidation,
+  listSkillsValidation
+} = require('../middleware/taxonomy.validation.middleware');
+const { validateRequest } = require('../middleware/validate.middleware');
+
+// Public routes
+router.get('/categories', getCategories);
+router.get('/skills', listSkillsValidation, validateRequest, getSkills);
+
+// Admin routes
+router.post('/categories', authenticateToken, authorizeRoles('admin'), createCategoryValidation, validateRequest, createCategory);
+router.patch('/categories/:id', authenticateToken, authorizeRoles('admin'), categoryIdValidation, updateCategoryValidation, validateRequest, updateCategory);
+router.delete('/categories/:id', authenticateToken, authorizeRoles('admin'), categoryIdValidation, validateRequest, deleteCategory);
+router.post('/skills', authenticateToken, authorizeRoles('admin'), createSkillValidation, validateRequest, createSkill);
+router.patch('/skills/:id', authenticateToken, authorizeRoles('admin'), skillIdValidation, updateSkillValidation, validateRequest, updateSkill);
+router.delete('/skills/:id', authenticateToken, authorizeRoles('admin'), skillIdValidation, validateRequest, deleteSkill);
+
+module.exports = router;
@@ -1,64 +1,112 @@
 const express = require('express');
 const router = express.Router();
-const passport = require('../middleware/google.auth.middleware');
+const { startGoogleAuth, handleGoogleCallback } = require('../middleware/oauth.middleware');
 const {
   register,
   login,
+  loginTwoFactor,
   getProfile,
   updateProfile,
   changePassword,
   refreshToken,
   getActiveUsers,
   deleteImage,
-  googleCallback
+  uploadProfileImage,
+  updateUserRole,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  googleCallback,
+  exchangeGoogleCode
 } = require('../controllers/user.controller');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/two.factor.controller');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth.middleware');
+const { uploadImage } = require('../middleware/upload.middleware');
+const {
+  loginIpRateLimit,
+  loginAccountRateLimit,
+  registerRateLimit,
+  refreshTokenRateLimit
+} = require('../middleware/rate.limit.middleware');
 const {
   registerValidation,
   loginValidation,
   updateProfileValidation,
-  changePasswordValidation
+  changePasswordValidation,
+  updateUserRoleValidation,
+  verifyEmailValidation,
+  googleCodeExchangeValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
+  loginTwoFactorValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation
 } = require('../middleware/validation.middleware');
+const { validateRequest } = require('../middleware/validate.middleware');
+const { ServiceUnavailableError, UnauthorizedError } = require('../utils/errors.utils');
 
 // Public routes
-router.post('/register', registerValidation, register);
-router.post('/login', loginValidation, login);
-router.post('/refresh-token', refreshToken);
+router.post('/register', registerRateLimit, registerValidation, validateRequest, register);
+router.post('/login', loginIpRateLimit, loginValidation, validateRequest, loginAccountRateLimit, login);
+router.post('/login/2fa', loginIpRateLimit, loginTwoFactorValidation, validateRequest, loginTwoFactor);
+router.post('/refresh-token', refreshTokenRateLimit, refreshToken);
+router.post('/verify-email', verifyEmailValidation, validateRequest, verifyEmail);
+router.post('/forgot-password', forgotPasswordValidation, validateRequest, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, validateRequest, resetPassword);
 
 // Google OAuth routes (only if credentials are configured)
 if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
-  router.get('/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
-  router.get('/google/callback', 
-    passport.authenticate('google', { session: false, failureRedirect: '/api/auth/google/error' }),
-    googleCallback
-  );
+  router.get('/google', startGoogleAuth);
+  router.get('/google/callback', handleGoogleCallback, googleCallback);
+  router.post('/google/exchange', googleCodeExchangeValidation, validateRequest, exchangeGoogleCode);
 } else {
   // Return error if Google OAuth is not configured
-  router.get('/google', (req, res) => {
-    res.status(503).json({
-      success: false,
-      message: 'Google OAuth is not configured. Please add GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET to your .env file.'
-    });
-  });
-  router.get('/google/callback', (req, res) => {
-    res.status(503).json({
-      success: false,
-      message: 'Google OAuth is not configured.'
-    });
-  });
+  const googleNotConfigured = () => {
+    throw new ServiceUnavailableError(
+      'Google OAuth is not configured. Please add GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET to your .env file.',
+      'GOOGLE_OAUTH_NOT_CONFIGURED'
+    );
+  };
+  router.get('/google', googleNotConfigured);
+  router.get('/google/callback', googleNotConfigured);
+  router.post('/google/exchange', googleNotConfigured);
 }
-router.get('/google/error', (req, res) => {
-  res.status(401).json({
-    success: false,
-    message: 'Google authentication failed'
-  });
+router.get('/google/error', () => {
+  throw new UnauthorizedError('Google authentication failed', 'GOOGLE_AUTH_FAILED');
 });
 
 // Protected routes
 router.get('/profile', authenticateToken, getProfile);
-router.put('/profile', authenticateToken, updateProfileValidation, updateProfile);
+router.put('/profile', authenticateToken, updateProfileValidation, validateRequest, updateProfile);
+router.post('/profile/image', authenticateToken, uploadImage, uploadProfileImage);
 router.delete('/profile/image', authenticateToken, deleteImage);
-router.post('/change-password', authenticateToken, changePasswordValidation, changePassword);
+router.post('/change-password', authenticateToken, changePasswordValidation, validateRequest, changePassword);
 router.get('/active-users', authenticateToken, getActiveUsers);
+router.post('/resend-verification', authenticateToken, resendVerificationEmail);
+router.post('/logout', authenticateToken, logout);
+router.post('/logout-all', authenticateToken, logoutAll);
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions/:sessionId', authenticateToken, deleteSession);
+
+// Two-factor authentication
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+router.post('/2fa/confirm', authenticateToken, twoFactorCodeValidation, validateRequest, confirmTwoFactor);
+router.post('/2fa/disable', authenticateToken, disableTwoFactorValidation, validateRequest, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorCodeValidation, validateRequest, regenerateRecoveryCodes);
+
+// Admin routes
+router.patch('/users/:id/role', authenticateToken, authorizeRoles('admin'), updateUserRoleValidation, validateRequest, updateUserRole);
 
 module.exports = router;
@@ -1,101 +1,93 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 require('dotenv').config();
 
 const { initializeDatabase } = require('./db');
+const { uploadsDir } = require('./utils/storage.utils');
+const { getEmailTransport } = require('./utils/email.utils');
+const { serveStoredUpload } = require('./middleware/upload.middleware');
+const { assignRequestId, REQUEST_ID_HEADER } = require('./middleware/request.id.middleware');
+const { notFoundHandler, errorHandler } = require('./middleware/error.middleware');
+const { logRequests, recordRouteBase } = require('./middleware/request.logger.middleware');
+const { recordMetrics } = require('./middleware/metrics.middleware');
+const { registerShutdownHandlers } = require('./utils/shutdown.utils');
+const healthRoutes = require('./routes/health.routes');
+const docsRoutes = require('./routes/docs.routes');
 const userRoutes = require('./routes/user.routes');
 const mentorRoutes = require('./routes/mentor.routes');
+const bookingRoutes = require('./routes/booking.routes');
+const taxonomyRoutes = require('./routes/taxonomy.routes');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client address (used by rate limiting),
+// e.g. TRUST_PROXY=1 for one proxy hop
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  const hops = parseInt(trustProxy);
+  app.set('trust proxy', trustProxy === 'true' ? true : Number.isNaN(hops) ? trustProxy : hops);
+}
+
 // CORS Configuration - Allow all origins in development
 const corsOptions = {
   origin: true, // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-  exposedHeaders: ['Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', REQUEST_ID_HEADER],
+  exposedHeaders: ['Authorization', REQUEST_ID_HEADER, 'Retry-After']
 };
 
+// Every request gets an id (returned in X-Request-Id and in error responses)
+app.use(assignRequestId);
+
+// Structured access log (JSON, sensitive fields redacted; see utils/logger.utils.js)
+app.use(logRequests);
+
+// Request counts and latency per route for /metrics
+app.use(recordMetrics);
+
 // Middleware - Apply CORS to all routes
 app.use(cors(corsOptions));
 
-// Request logging middleware (for debugging)
-app.use((req, res, next) => {
-  if (process.env.NODE_ENV === 'development') {
-    console.log(`${req.method} ${req.path} - Origin: ${req.headers.origin || 'No origin'}`);
-    if (req.body && Object.keys(req.body).length > 0) {
-      console.log('Request body:', JSON.stringify(req.body, null, 2));
-    }
-  }
-  next();
-});
-
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files (uploaded images)
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Serve uploaded images: files on the local disk first (including uploads made before
+// a remote storage driver was configured), then whatever the storage driver holds
+app.use('/uploads', express.static(uploadsDir), serveStoredUpload);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Server is running',
-    timestamp: new Date().toISOString()
-  });
-});
+// Liveness, readiness and Prometheus metrics
+app.use(recordRouteBase, healthRoutes);
+
+// API documentation (OpenAPI UI and JSON)
+app.use('/api/docs', docsRoutes);
 
 // API routes
-app.use('/api/auth', userRoutes);
-app.use('/api/mentors', mentorRoutes);
+app.use('/api/auth', recordRouteBase, userRoutes);
+app.use('/api/mentors', recordRouteBase, mentorRoutes);
+app.use('/api/bookings', recordRouteBase, bookingRoutes);
+app.use('/api/taxonomy', recordRouteBase, taxonomyRoutes);
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
-  });
-});
+app.use(notFoundHandler);
 
 // Error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  
-  // Handle multer errors
-  if (err instanceof require('multer').MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File too large. Maximum size is 5MB.'
-      });
-    }
-    return res.status(400).json({
-      success: false,
-      message: err.message || 'File upload error'
-    });
-  }
-  
-  // Handle other errors
-  res.status(err.status || 500).json({
-    success: false,
-    message: err.message || 'Internal server error',
-    error: process.env.NODE_ENV === 'development' ? err.stack : undefined
-  });
-});
+app.use(errorHandler);
 
 // Start server
 const startServer = async () => {
   try {
     console.log('\n🔄 Initializing server...');
-    
+
+    // Fail fast when email delivery is not configured (required in production)
+    getEmailTransport();
+
     // Initialize database
     await initializeDatabase();
 
     // Start listening
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log('\n' + '='.repeat(60));
       console.log('✅ SERVER STARTED SUCCESSFULLY!');
       console.log('='.repeat(60));
@@ -103,30 +95,69 @@ const startServer = async () => {
       console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`\n📍 Available Endpoints:`);
       console.log(`   • Health Check:     GET  http://localhost:${PORT}/health`);
+      console.log(`   • Readiness:        GET  http://localhost:${PORT}/health/ready`);
+      console.log(`   • Metrics:          GET  http://localhost:${PORT}/metrics`);
+      console.log(`   • API Docs:         GET  http://localhost:${PORT}/api/docs`);
       console.log(`   • Register:         POST http://localhost:${PORT}/api/auth/register`);
       console.log(`   • Login:            POST http://localhost:${PORT}/api/auth/login`);
+      console.log(`   • Login (2FA step): POST http://localhost:${PORT}/api/auth/login/2fa`);
+      console.log(`   • 2FA Setup:        POST http://localhost:${PORT}/api/auth/2fa/setup`);
       console.log(`   • Google Auth:       GET  http://localhost:${PORT}/api/auth/google`);
+      console.log(`   • Google Exchange: POST http://localhost:${PORT}/api/auth/google/exchange`);
       console.log(`   • Get Profile:      GET  http://localhost:${PORT}/api/auth/profile`);
       console.log(`   • Update Profile:  PUT  http://localhost:${PORT}/api/auth/profile`);
+      console.log(`   • Upload Image:    POST http://localhost:${PORT}/api/auth/profile/image`);
       console.log(`   • Change Password: POST http://localhost:${PORT}/api/auth/change-password`);
       console.log(`   • Active Users:     GET  http://localhost:${PORT}/api/auth/active-users`);
       console.log(`   • Refresh Token:   POST http://localhost:${PORT}/api/auth/refresh-token`);
+      console.log(`   • Verify Email:    POST http://localhost:${PORT}/api/auth/verify-email`);
+      console.log(`   • Resend Verify:   POST http://localhost:${PORT}/api/auth/resend-verification`);
+      console.log(`   • Forgot Password: POST http://localhost:${PORT}/api/auth/forgot-password`);
+      console.log(`   • Reset Password:  POST http://localhost:${PORT}/api/auth/reset-password`);
+      console.log(`   • Logout:          POST http://localhost:${PORT}/api/auth/logout`);
+      console.log(`   • Logout All:      POST http://localhost:${PORT}/api/auth/logout-all`);
+      console.log(`   • Sessions:        GET  http://localhost:${PORT}/api/auth/sessions`);
       console.log(`\n📍 Mentor Endpoints:`);
       console.log(`   • Get All Mentors:  GET  http://localhost:${PORT}/api/mentors`);
       console.log(`   • Get Mentor:       GET  http://localhost:${PORT}/api/mentors/:id`);
       console.log(`   • My Mentor Profile: GET http://localhost:${PORT}/api/mentors/profile/me`);
+      console.log(`   • Upload Mentor Image: POST http://localhost:${PORT}/api/mentors/profile/image`);
       console.log(`   • Create Mentor:   POST http://localhost:${PORT}/api/mentors`);
       console.log(`   • Update Mentor:   PUT  http://localhost:${PORT}/api/mentors/:id`);
       console.log(`   • Delete Mentor:  DELETE http://localhost:${PORT}/api/mentors/:id`);
+      console.log(`   • Availability:    GET  http://localhost:${PORT}/api/mentors/:id/availability?from=&to=&tz=`);
+      console.log(`   • My Availability: PUT  http://localhost:${PORT}/api/mentors/profile/availability`);
+      console.log(`   • Mentor Reviews:  GET  http://localhost:${PORT}/api/mentors/:id/reviews`);
+      console.log(`   • Review Mentor:   POST http://localhost:${PORT}/api/mentors/:id/reviews`);
+      console.log(`\n📍 Taxonomy Endpoints:`);
+      console.log(`   • Categories:       GET  http://localhost:${PORT}/api/taxonomy/categories`);
+      console.log(`   • Skills:           GET  http://localhost:${PORT}/api/taxonomy/skills?category=`);
+      console.log(`\n📍 Booking Endpoints:`);
+      console.log(`   • Book Session:    POST http://localhost:${PORT}/api/bookings`);
+      console.log(`   • My Bookings:     GET  http://localhost:${PORT}/api/bookings`);
+      console.log(`   • Get Booking:     GET  http://localhost:${PORT}/api/bookings/:id`);
+      console.log(`   • Update Booking: PATCH http://localhost:${PORT}/api/bookings/:id/{accept|decline|cancel|reschedule}`);
+      console.log(`\n📍 Admin Endpoints:`);
+      console.log(`   • Change Role:    PATCH http://localhost:${PORT}/api/auth/users/:id/role`);
+      console.log(`   • Approve Mentor: PATCH http://localhost:${PORT}/api/mentors/:id/approve`);
+      console.log(`   • Reject Mentor:  PATCH http://localhost:${PORT}/api/mentors/:id/reject`);
+      console.log(`   • Suspend Mentor: PATCH http://localhost:${PORT}/api/mentors/:id/suspend`);
+      console.log(`   • Taxonomy:       POST/PATCH/DELETE http://localhost:${PORT}/api/taxonomy/{categories|skills}`);
       console.log('\n' + '='.repeat(60));
       console.log('✨ Server is ready to accept requests!\n');
     });
+
+    // SIGTERM/SIGINT: stop accepting connections, drain in-flight requests, then disconnect
+    registerShutdownHandlers(server);
   } catch (error) {
     console.error('\n❌ Failed to start server:', error);
     process.exit(1);
   }
 };
 
-startServer();
+// Start only when run directly; tests load the app without listening
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
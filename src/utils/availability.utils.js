@@ -0,0 +1,112 @@
+const { DateTime, IANAZone } = require('luxon');
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Check that a string is a valid IANA timezone name (e.g. "Europe/Berlin")
+const isValidTimeZone = (timezone) => {
+  return typeof timezone === 'string' && IANAZone.isValidZone(timezone);
+};
+
+// Fall back to UTC for mentors with a missing or unrecognised timezone
+const resolveTimeZone = (timezone) => {
+  return isValidTimeZone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+// Build the instant for an "HH:MM" wall-clock time on a given local day ("24:00" = end of day)
+const atLocalTime = (day, time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  if (hour === 24) {
+    return day.plus({ days: 1 }).startOf('day');
+  }
+  return DateTime.fromObject(
+    { year: day.year, month: day.month, day: day.day, hour, minute },
+    { zone: day.zone }
+  );
+};
+
+// Format a @db.Date value as YYYY-MM-DD (Prisma returns it as UTC midnight)
+const toDateKey = (date) => {
+  return date instanceof Date ? date.toISOString().slice(0, 10) : String(date).slice(0, 10);
+};
+
+const isBlockedDay = (day, exceptions) => {
+  const key = day.toISODate();
+  return exceptions.some(exception =>
+    toDateKey(exception.startDate) <= key && key <= toDateKey(exception.endDate)
+  );
+};
+
+// Absolute start/end of every weekly window that applies to one local day
+const getDayWindows = (day, windows, exceptions) => {
+  if (isBlockedDay(day, exceptions)) return [];
+
+  // Luxon weekdays are 1 (Monday) to 7 (Sunday); we store 0 (Sunday) to 6 (Saturday)
+  const dayOfWeek = day.weekday % 7;
+
+  return windows
+    .filter(window => window.dayOfWeek === dayOfWeek)
+    .map(window => ({
+      start: atLocalTime(day, window.startTime),
+      end: atLocalTime(day, window.endTime)
+    }))
+    .filter(window => window.end > window.start);
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && endA > startB;
+
+// Expand weekly windows and exceptions into bookable slots between two instants.
+// Windows are interpreted in the mentor's timezone, so DST changes move the UTC time of a slot.
+const expandAvailability = ({ windows, exceptions = [], busy = [], timezone, from, to, durationMinutes }) => {
+  const zone = resolveTimeZone(timezone);
+  const rangeStart = DateTime.fromJSDate(from);
+  const rangeEnd = DateTime.fromJSDate(to);
+  const now = DateTime.now();
+  const slots = [];
+
+  let day = rangeStart.setZone(zone).startOf('day');
+  const lastDay = rangeEnd.setZone(zone).startOf('day');
+
+  while (day <= lastDay) {
+    for (const window of getDayWindows(day, windows, exceptions)) {
+      let slotStart = window.start;
+      let slotEnd = slotStart.plus({ minutes: durationMinutes });
+
+      while (slotEnd <= window.end) {
+        const isInRange = slotStart >= rangeStart && slotEnd <= rangeEnd && slotStart > now;
+        const isBooked = busy.some(booking =>
+          overlaps(slotStart.toJSDate(), slotEnd.toJSDate(), booking.startTime, booking.endTime)
+        );
+
+        if (isInRange && !isBooked) {
+          slots.push({ start: slotStart, end: slotEnd });
+        }
+
+        slotStart = slotEnd;
+        slotEnd = slotStart.plus({ minutes: durationMinutes });
+      }
+    }
+    day = day.plus({ days: 1 });
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+// Check that a session lies entirely inside one of the mentor's availability windows
+const fitsAvailability = ({ windows, exceptions = [], timezone, start, end }) => {
+  const zone = resolveTimeZone(timezone);
+  const sessionStart = DateTime.fromJSDate(start);
+  const sessionEnd = DateTime.fromJSDate(end);
+  const day = sessionStart.setZone(zone).startOf('day');
+
+  return getDayWindows(day, windows, exceptions).some(window =>
+    window.start <= sessionStart && sessionEnd <= window.end
+  );
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  expandAvailability,
+  fitsAvailability
+};
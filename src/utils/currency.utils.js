@@ -0,0 +1,147 @@
+// Currencies and exchange rates. The rate provider is chosen with EXCHANGE_RATE_PROVIDER:
+//   static - built-in reference rates (default; no network or files needed)
+//   file   - a JSON file at EXCHANGE_RATES_FILE: { "base": "USD", "rates": { "EUR": 0.92, ... } }
+// Any object with getRates() can be plugged in with setExchangeRateProvider (e.g. one backed by a rates API).
+// getRates() resolves to { base, rates } where rates[code] is the amount of `code` for one unit of `base`.
+
+const fs = require('fs');
+const path = require('path');
+
+// Amounts are shown in this currency unless the client asks for another one
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+const currencyCodes = new Set(Intl.supportedValuesOf('currency'));
+
+// ISO 4217 code such as "USD" or "EUR"
+const isCurrencyCode = (value) => typeof value === 'string' && currencyCodes.has(value);
+
+// Approximate reference rates for development and offline use; point EXCHANGE_RATES_FILE at current ones in production
+const STATIC_RATES = {
+  base: 'USD',
+  rates: {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    CHF: 0.88,
+    SEK: 10.5,
+    NOK: 10.7,
+    DKK: 6.9,
+    PLN: 4.0,
+    CZK: 23.0,
+    TRY: 32.5,
+    CAD: 1.36,
+    MXN: 17.1,
+    BRL: 5.0,
+    AUD: 1.52,
+    NZD: 1.65,
+    JPY: 150,
+    CNY: 7.2,
+    HKD: 7.8,
+    SGD: 1.34,
+    KRW: 1330,
+    INR: 83.2,
+    PKR: 279,
+    BDT: 110,
+    AED: 3.67,
+    ZAR: 18.6
+  }
+};
+
+// Check the shape of a rate table and make sure the base converts to itself
+const normalizeRates = ({ base, rates }, source) => {
+  if (!isCurrencyCode(base) || !rates || typeof rates !== 'object') {
+    throw new Error(`Invalid exchange rates from ${source}: expected { base, rates }`);
+  }
+
+  const normalized = { [base]: 1 };
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (!isCurrencyCode(code) || typeof rate !== 'number' || !(rate > 0)) {
+      throw new Error(`Invalid exchange rate for "${code}" from ${source}`);
+    }
+    normalized[code] = rate;
+  });
+
+  return { base, rates: normalized };
+};
+
+const createStaticProvider = () => {
+  const table = normalizeRates(STATIC_RATES, 'the static provider');
+
+  return {
+    name: 'static',
+    getRates: async () => table
+  };
+};
+
+// Reads the file again when it changes, so rates can be updated without a restart
+const createFileProvider = () => {
+  if (!process.env.EXCHANGE_RATES_FILE) {
+    throw new Error('EXCHANGE_RATES_FILE is required for the file exchange rate provider');
+  }
+
+  const filePath = path.resolve(process.env.EXCHANGE_RATES_FILE);
+  let cached = null;
+
+  return {
+    name: 'file',
+    getRates: async () => {
+      const { mtimeMs } = await fs.promises.stat(filePath);
+      if (!cached || cached.mtimeMs !== mtimeMs) {
+        const content = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        cached = { mtimeMs, table: normalizeRates(content, filePath) };
+      }
+      return cached.table;
+    }
+  };
+};
+
+const providers = {
+  static: createStaticProvider,
+  file: createFileProvider
+};
+
+let provider = null;
+
+const getExchangeRateProvider = () => {
+  if (!provider) {
+    const type = process.env.EXCHANGE_RATE_PROVIDER || 'static';
+    if (!providers[type]) {
+      throw new Error(`Unknown EXCHANGE_RATE_PROVIDER "${type}"`);
+    }
+    provider = providers[type]();
+  }
+  return provider;
+};
+
+// Replace the provider (e.g. with fixed rates in tests)
+const setExchangeRateProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+const getExchangeRates = () => getExchangeRateProvider().getRates();
+
+// Multiplier from one currency to another, or null when either has no rate
+const conversionFactor = (from, to, { rates }) => {
+  if (!from || !rates[from] || !rates[to]) return null;
+  return rates[to] / rates[from];
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Convert an amount between currencies, rounded to cents; null when it cannot be converted
+const convertAmount = (amount, from, to, exchangeRates) => {
+  const factor = conversionFactor(from, to, exchangeRates);
+  if (amount === null || amount === undefined || factor === null) return null;
+  return roundAmount(Number(amount) * factor);
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  isCurrencyCode,
+  createStaticProvider,
+  getExchangeRateProvider,
+  setExchangeRateProvider,
+  getExchangeRates,
+  conversionFactor,
+  convertAmount
+};
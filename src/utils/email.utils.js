@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transports, chosen with EMAIL_TRANSPORT:
+//   smtp    - SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS (works with local stand-ins like MailHog)
+//   console - prints the recipient and subject of each message (default outside production when SMTP_HOST is not set)
+//   file    - writes each message as an .eml file into EMAIL_FILE_DIR (default: ./emails)
+// Production requires EMAIL_TRANSPORT or SMTP_HOST, so emails are never silently dropped.
+const createTransport = () => {
+  if (process.env.NODE_ENV === 'production' && !process.env.EMAIL_TRANSPORT && !process.env.SMTP_HOST) {
+    throw new Error('EMAIL_TRANSPORT or SMTP_HOST is required in production');
+  }
+
+  const transport = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  if (transport === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is required for the smtp email transport');
+    }
+
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  if (transport === 'file') {
+    const emailDir = path.resolve(process.env.EMAIL_FILE_DIR || 'emails');
+    fs.mkdirSync(emailDir, { recursive: true });
+
+    const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      sendMail: async (message) => {
+        const info = await streamTransport.sendMail(message);
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(emailDir, fileName), info.message);
+        return info;
+      }
+    };
+  }
+
+  // Bodies carry verification and reset tokens, so only the envelope is printed;
+  // use the file transport to read the messages themselves
+  if (transport === 'console') {
+    const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      sendMail: async (message) => {
+        const info = await jsonTransport.sendMail(message);
+        const { to, subject } = JSON.parse(info.message);
+        console.log(`📧 Email to ${to.map(recipient => recipient.address).join(', ')}: ${subject}`);
+        return info;
+      }
+    };
+  }
+
+  throw new Error(`Unknown EMAIL_TRANSPORT "${transport}"`);
+};
+
+let transporter = null;
+
+// Created on first use; the server also calls it at startup so a misconfigured transport fails early
+const getEmailTransport = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Replace the transport (e.g. with a recording stub in tests)
+const setEmailTransport = (transport) => {
+  transporter = transport;
+};
+
+const sendEmail = async ({ to, subject, text, html }) => {
+  return getEmailTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'GoBeyond <no-reply@gobeyond.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Links in emails point at the frontend, which calls the API with the token
+const buildFrontendUrl = (pathname, params) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const sendVerificationEmail = (user, token) => {
+  const link = buildFrontendUrl('/verify-email', { token });
+  const greeting = user.name ? `Hi ${user.name},` : 'Hi,';
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your GoBeyond email address',
+    text: `${greeting}\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours. If you did not sign up for GoBeyond, you can ignore this email.`,
+    html: `<p>${escapeHtml(greeting)}</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${escapeHtml(link)}">Verify my email</a></p><p>The link expires in 24 hours. If you did not sign up for GoBeyond, you can ignore this email.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token, ttlMinutes) => {
+  const link = buildFrontendUrl('/reset-password', { token });
+  const greeting = user.name ? `Hi ${user.name},` : 'Hi,';
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your GoBeyond password',
+    text: `${greeting}\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in ${ttlMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+    html: `<p>${escapeHtml(greeting)}</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${escapeHtml(link)}">Reset my password</a></p><p>The link expires in ${ttlMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  sendEmail,
+  getEmailTransport,
+  setEmailTransport,
+  buildFrontendUrl,
+  escapeHtml,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,121 @@
+const { Prisma } = require('@prisma/client');
+
+// Errors thrown by handlers carry an HTTP status and a stable, machine-readable code.
+// The error middleware turns them into the standard error response.
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, headers } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, code = 'BAD_REQUEST', details) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+// `errors` is the list of { field, message } from request validation
+class ValidationError extends AppError {
+  constructor(errors, message = 'Validation failed. Please check your input.') {
+    super(message, { status: 400, code: 'VALIDATION_FAILED' });
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED', details) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', code = 'FORBIDDEN', details) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', code = 'NOT_FOUND', details) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT', details) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+// Sets Retry-After; retryAfter is in seconds
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests. Please try again later.', code = 'TOO_MANY_REQUESTS', retryAfter) {
+    super(message, {
+      status: 429,
+      code,
+      details: retryAfter ? { retryAfter } : undefined,
+      headers: retryAfter ? { 'Retry-After': String(retryAfter) } : undefined
+    });
+  }
+}
+
+class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable', code = 'SERVICE_UNAVAILABLE', details) {
+    super(message, { status: 503, code, details });
+  }
+}
+
+// Prisma error codes: https://www.prisma.io/docs/reference/api-reference/error-reference
+const fromPrismaError = (error) => {
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    const meta = error.meta || {};
+
+    switch (error.code) {
+      case 'P2002': {
+        const fields = Array.isArray(meta.target) ? meta.target : meta.target ? [meta.target] : undefined;
+        return new ConflictError(
+          fields ? `A record with this ${fields.join(', ')} already exists` : 'A record with these values already exists',
+          'UNIQUE_CONSTRAINT_VIOLATION',
+          fields ? { fields } : undefined
+        );
+      }
+      case 'P2025':
+        return new NotFoundError('Record not found', 'RECORD_NOT_FOUND');
+      case 'P2003':
+        return new ConflictError('Related record is missing or still referenced', 'FOREIGN_KEY_CONSTRAINT_VIOLATION');
+      case 'P2000':
+        return new BadRequestError('A value is too long for its field', 'VALUE_TOO_LONG');
+      case 'P2024':
+      case 'P1001':
+      case 'P1002':
+      case 'P1008':
+      case 'P1017':
+        return new ServiceUnavailableError('Database is unavailable. Please try again later.', 'DATABASE_UNAVAILABLE');
+      default:
+        return null;
+    }
+  }
+
+  if (error instanceof Prisma.PrismaClientInitializationError) {
+    return new ServiceUnavailableError('Database is unavailable. Please try again later.', 'DATABASE_UNAVAILABLE');
+  }
+
+  return null;
+};
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  fromPrismaError
+};
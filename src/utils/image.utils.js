@@ -0,0 +1,64 @@
+const sharp = require('sharp');
+const { BadRequestError } = require('./errors.utils');
+
+// Square avatar sizes (in pixels) produced for every upload
+const IMAGE_SIZES = {
+  thumbnail: 96,
+  medium: 256,
+  large: 512
+};
+
+// Variant stored in the plain `image` column for clients that only read one URL
+const DEFAULT_IMAGE_SIZE = 'medium';
+
+// Refuse images that would decode to more than this many pixels (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const outputFormats = {
+  jpeg: {
+    ext: '.jpg',
+    contentType: 'image/jpeg',
+    // JPEG has no transparency, so transparent areas become white
+    encode: (image) => image.flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true })
+  },
+  webp: {
+    ext: '.webp',
+    contentType: 'image/webp',
+    encode: (image) => image.webp({ quality: 80 })
+  }
+};
+
+// Re-encode an uploaded image into every size and format. The orientation from EXIF is
+// applied to the pixels, and no metadata (EXIF, GPS, ICC, XMP) is copied to the output.
+// Throws an error with status 400 when the file cannot be decoded.
+const processImage = async (buffer) => {
+  const source = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+
+  try {
+    await source.metadata();
+
+    return await Promise.all(
+      Object.entries(IMAGE_SIZES).flatMap(([size, dimension]) =>
+        Object.entries(outputFormats).map(async ([format, output]) => ({
+          size,
+          format,
+          ext: output.ext,
+          contentType: output.contentType,
+          buffer: await output.encode(
+            source.clone().resize(dimension, dimension, { fit: 'cover', position: 'attention' })
+          ).toBuffer()
+        }))
+      )
+    );
+  } catch (error) {
+    const processingError = new BadRequestError('Image could not be processed. Please upload a valid image file.', 'INVALID_IMAGE');
+    processingError.cause = error;
+    throw processingError;
+  }
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  DEFAULT_IMAGE_SIZE,
+  processImage
+};
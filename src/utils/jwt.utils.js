@@ -1,22 +1,30 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const generateToken = (userId) => {
+// Access tokens carry the session (refresh token family) they belong to
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
   );
 };
 
-const generateRefreshToken = (userId) => {
+// Refresh tokens get a unique jti so every rotated token has a distinct hash
+const generateRefreshToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId, type: 'refresh' },
+    { userId, sid: sessionId, type: 'refresh', jti: crypto.randomUUID() },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
   );
 };
 
+const verifyRefreshToken = (token) => {
+  return jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
+};
+
 module.exports = {
   generateToken,
-  generateRefreshToken
+  generateRefreshToken,
+  verifyRefreshToken
 };
@@ -0,0 +1,108 @@
+// Structured logs: one JSON object per line on stdout.
+// LOG_LEVEL picks the most verbose level written: error, warn, info (default) or debug
+// (default in development). Values of sensitive fields are replaced before writing;
+// LOG_REDACT_FIELDS adds comma-separated field names to the built-in list.
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Compared case-insensitively
+const SENSITIVE_FIELDS = new Set([
+  'password',
+  'currentpassword',
+  'newpassword',
+  'confirmpassword',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'challengetoken',
+  'recoverycode',
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'secret',
+  'twofactorsecret',
+  'recoverycodes',
+  ...(process.env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim().toLowerCase()).filter(Boolean)
+]);
+
+// Fields that are only sensitive at one place in an entry, as dotted paths (compared
+// case-insensitively). `code` is the TOTP, recovery or Google sign-in code in a request,
+// but elsewhere (e.g. on a logged error) it is the error code and must stay readable.
+const SENSITIVE_PATHS = new Set([
+  'body.code',
+  'query.code'
+]);
+
+const getLevel = () => {
+  const level = (process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'info')).toLowerCase();
+  return level in LEVELS ? level : 'info';
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  status: error.status,
+  stack: error.stack
+});
+
+// Copy of a value with sensitive fields replaced, safe to pass to JSON.stringify
+const redact = (value, depth = 0, path = '') => {
+  if (value instanceof Error) return redact(serializeError(value), depth, path);
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, path));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const itemPath = path ? `${path}.${key.toLowerCase()}` : key.toLowerCase();
+    result[key] = SENSITIVE_FIELDS.has(key.toLowerCase()) || SENSITIVE_PATHS.has(itemPath)
+      ? REDACTED
+      : redact(item, depth + 1, itemPath);
+  }
+  return result;
+};
+
+const createLogger = (bindings = {}) => {
+  const write = (level, message, fields) => {
+    if (LEVELS[level] > LEVELS[getLevel()]) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...bindings,
+      ...fields
+    });
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields),
+    isLevelEnabled: (level) => LEVELS[level] <= LEVELS[getLevel()],
+    // Logger that adds the given fields to every entry (e.g. the request id)
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+  };
+};
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  redact
+};
@@ -0,0 +1,113 @@
+const { prisma } = require('../db');
+const { getRateLimitStore } = require('./rate.limit.utils');
+const { logger } = require('./logger.utils');
+
+// Failed logins are counted per account (email) and per IP within this window
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// Responses slow down after this many failures, doubling up to the maximum delay
+const DELAY_AFTER_FAILURES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+// The account is locked for a while after this many failures
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_DURATION_MS = 15 * 60 * 1000;
+
+const accountFailuresKey = (email) => `login:failures:account:${email}`;
+const ipFailuresKey = (ip) => `login:failures:ip:${ip}`;
+const lockoutKey = (email) => `login:lockout:${email}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Counters live in the rate limit store. Like the rate limiter, an unavailable store
+// must not take logins down with it: errors are logged and the check is skipped.
+const withStore = async (action, fallback, operation) => {
+  try {
+    return await operation(getRateLimitStore());
+  } catch (error) {
+    logger.error(`Login attempt ${action} error`, { error });
+    return fallback;
+  }
+};
+
+// Time at which a locked account unlocks, or null if it is not locked
+const getLoginLockout = (email) => {
+  return withStore('lockout check', null, async (store) => {
+    const lock = await store.get(lockoutKey(email));
+    return lock ? new Date(lock.resetAt) : null;
+  });
+};
+
+// Wait before checking the password when the account or the IP has recent failures
+const delayAfterFailedLogins = async (email, ip) => {
+  const [accountFailures, ipFailures] = await withStore('delay check', [null, null], (store) => Promise.all([
+    store.get(accountFailuresKey(email)),
+    ip ? store.get(ipFailuresKey(ip)) : null
+  ]));
+  const failures = Math.max(accountFailures ? accountFailures.count : 0, ipFailures ? ipFailures.count : 0);
+
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_MS);
+  await sleep(delay);
+  return delay;
+};
+
+// Keep a record of a failed attempt (errors are logged, not thrown)
+const saveFailedAttempt = async (req, email, userId, reason) => {
+  try {
+    await prisma.failedLoginAttempt.create({
+      data: {
+        email: email.slice(0, 255),
+        userId,
+        reason,
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] ? req.headers['user-agent'].slice(0, 500) : null
+      }
+    });
+  } catch (error) {
+    logger.error('Record failed login error', { error });
+  }
+};
+
+// Count a failed login, lock the account once it reaches the threshold and keep a
+// record of the attempt. Resolves to the lockout end time if the account is now locked.
+const recordFailedLogin = async (req, { email, userId = null, reason }) => {
+  const ip = req.ip || null;
+
+  const lockedUntil = await withStore('count', null, async (store) => {
+    const [{ count }] = await Promise.all([
+      store.increment(accountFailuresKey(email), FAILURE_WINDOW_MS),
+      ip ? store.increment(ipFailuresKey(ip), FAILURE_WINDOW_MS) : null
+    ]);
+
+    if (count < LOCKOUT_THRESHOLD) return null;
+
+    const lock = await store.increment(lockoutKey(email), LOCKOUT_DURATION_MS);
+    await store.reset(accountFailuresKey(email));
+    return new Date(lock.resetAt);
+  });
+
+  await saveFailedAttempt(req, email, userId, reason);
+
+  return lockedUntil;
+};
+
+// An attempt on a locked account is recorded but does not extend the lockout
+const recordLockedLogin = (req, email) => {
+  return saveFailedAttempt(req, email, null, 'locked');
+};
+
+// A successful login clears the account's failure count
+const clearFailedLogins = (email) => {
+  return withStore('reset', undefined, (store) => store.reset(accountFailuresKey(email)));
+};
+
+module.exports = {
+  getLoginLockout,
+  delayAfterFailedLogins,
+  recordFailedLogin,
+  recordLockedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,243 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../db');
+const { conversionFactor } = require('./currency.utils');
+
+// Years of experience ranges shown in the directory; the last one is open-ended
+const EXPERIENCE_BUCKETS = [
+  { min: 0, max: 2 },
+  { min: 3, max: 5 },
+  { min: 6, max: 10 },
+  { min: 11, max: 20 },
+  { min: 21, max: null }
+];
+
+const DEFAULT_RATE_BUCKETS = 10;
+
+// Hourly rate converted to the display currency and rounded to cents;
+// NULL for currencies without an exchange rate
+const convertedRate = ({ currency, exchangeRates }) => {
+  const factors = Object.keys(exchangeRates.rates).map(code => {
+    return Prisma.sql`WHEN ${code} THEN ${conversionFactor(code, currency, exchangeRates)}::numeric`;
+  });
+  return Prisma.sql`round(m.hourly_rate * CASE m.currency ${Prisma.join(factors, ' ')} END, 2)`;
+};
+
+// SQL version of the directory filters (see buildMentorWhere in the mentor controller),
+// used where rates have to be converted in the query.
+// `ignore` leaves one filter out so a facet is counted without its own selection.
+const buildFacetConditions = (filters, ignore) => {
+  // Approved mentors only, unless the viewer may see the others (see buildMentorWhere)
+  const conditions = [filters.approvedOnly
+    ? Prisma.sql`m.approval_status = 'approved'`
+    : Prisma.sql`m.approval_status <> 'draft'`];
+
+  if (filters.isApproved !== undefined) {
+    conditions.push(Prisma.sql`m.is_approved = ${filters.isApproved}`);
+  }
+
+  if (filters.isActive !== undefined) {
+    conditions.push(Prisma.sql`m.is_active = ${filters.isActive}`);
+  }
+
+  // Rate range in the display currency
+  if (ignore !== 'rate') {
+    if (filters.minRate !== undefined) {
+      conditions.push(Prisma.sql`${convertedRate(filters.pricing)} >= ${filters.minRate}`);
+    }
+    if (filters.maxRate !== undefined) {
+      conditions.push(Prisma.sql`${convertedRate(filters.pricing)} <= ${filters.maxRate}`);
+    }
+  }
+
+  if (filters.minRating !== undefined) {
+    conditions.push(Prisma.sql`m.average_rating >= ${filters.minRating}`);
+  }
+
+  // JSONB containment, same candidates as the listing filter
+  if (filters.languageCandidates && ignore !== 'language') {
+    const matches = filters.languageCandidates.map(candidate => Prisma.sql`m.languages @> ${JSON.stringify([candidate])}::jsonb`);
+    conditions.push(Prisma.sql`(${Prisma.join(matches, ' OR ')})`);
+  }
+
+  if (filters.skills) {
+    const hasSkill = (condition) => Prisma.sql`EXISTS (
+      SELECT 1 FROM mentor_skills ms JOIN skills s ON s.id = ms.skill_id
+      WHERE ms.mentor_id = m.id AND ${condition}
+    )`;
+
+    if (filters.skillMatch === 'all') {
+      conditions.push(...filters.skills.map(slug => hasSkill(Prisma.sql`s.slug = ${slug}`)));
+    } else {
+      conditions.push(hasSkill(Prisma.sql`s.slug IN (${Prisma.join(filters.skills)})`));
+    }
+  }
+
+  if (filters.categories) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM mentor_skills ms
+      JOIN skills s ON s.id = ms.skill_id
+      JOIN categories c ON c.id = s.category_id
+      WHERE ms.mentor_id = m.id AND c.slug IN (${Prisma.join(filters.categories)})
+    )`);
+  }
+
+  // Restrict to full-text search matches
+  if (filters.mentorIds) {
+    conditions.push(filters.mentorIds.length > 0
+      ? Prisma.sql`m.id IN (${Prisma.join(filters.mentorIds)})`
+      : Prisma.sql`FALSE`);
+  }
+
+  return Prisma.join(conditions, ' AND ');
+};
+
+const experienceCondition = ({ min, max }) => {
+  return max === null
+    ? Prisma.sql`m.years_of_experience >= ${min}`
+    : Prisma.sql`m.years_of_experience BETWEEN ${min} AND ${max}`;
+};
+
+// One page of mentor ids ordered by hourly rate in the display currency (filters.pricing),
+// with the id as tie-breaker; rates that cannot be converted go last.
+// `cursor` continues after that mentor, otherwise `offset` rows are skipped.
+const findMentorIdsByRate = async (filters, { order = 'asc', limit, offset = 0, cursor }) => {
+  const where = buildFacetConditions(filters);
+  const descending = order === 'desc';
+  const direction = Prisma.raw(descending ? 'DESC' : 'ASC');
+  const after = Prisma.raw(descending ? '<' : '>');
+
+  const pageCondition = cursor === undefined
+    ? Prisma.sql`TRUE`
+    : Prisma.sql`(
+        (c.rate IS NULL AND r.rate IS NULL AND r.id ${after} c.id)
+        OR (c.rate IS NOT NULL AND (r.rate IS NULL OR r.rate ${after} c.rate OR (r.rate = c.rate AND r.id ${after} c.id)))
+      )`;
+  // A cursor outside the filtered mentors yields an empty page
+  const cursorJoin = cursor === undefined
+    ? Prisma.empty
+    : Prisma.sql`CROSS JOIN (SELECT rate, id FROM rated WHERE id = ${cursor}) c`;
+
+  const [rows, [{ total }]] = await prisma.$transaction([
+    prisma.$queryRaw`
+      WITH rated AS (
+        SELECT m.id, ${convertedRate(filters.pricing)} AS rate FROM mentors m WHERE ${where}
+      )
+      SELECT r.id FROM rated r ${cursorJoin}
+      WHERE ${pageCondition}
+      ORDER BY r.rate ${direction} NULLS LAST, r.id ${direction}
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    prisma.$queryRaw`SELECT count(*)::int AS total FROM mentors m WHERE ${where}`
+  ]);
+
+  return { ids: rows.map(row => row.id), total };
+};
+
+const roundRate = (value) => Math.round(value * 100) / 100;
+
+// Equal-width buckets between the lowest and highest rate; empty buckets are kept
+// so the client can draw the histogram as is
+const buildRateHistogram = (rows, bucketCount, currency) => {
+  if (rows.length === 0) {
+    return { currency, min: null, max: null, buckets: [] };
+  }
+
+  const low = Number(rows[0].low);
+  const high = Number(rows[0].high);
+  const slots = low === high ? 1 : bucketCount;
+  const width = (high - low) / slots;
+  const countByBucket = new Map(rows.map(row => [Number(row.bucket), row.count]));
+
+  return {
+    currency,
+    min: low,
+    max: high,
+    buckets: Array.from({ length: slots }, (_, index) => ({
+      min: roundRate(low + index * width),
+      max: index === slots - 1 ? high : roundRate(low + (index + 1) * width),
+      count: countByBucket.get(index + 1) || 0
+    }))
+  };
+};
+
+// Counts for the directory filter options, aggregated in the database.
+// Each facet honours every filter except its own, so selecting a value keeps the alternatives visible.
+// Rates are filtered and bucketed in the display currency (filters.pricing).
+const countMentorFacets = async (filters, rateBuckets = DEFAULT_RATE_BUCKETS) => {
+  const where = buildFacetConditions(filters);
+  const languageWhere = buildFacetConditions(filters, 'language');
+  const rateWhere = buildFacetConditions(filters, 'rate');
+
+  const experienceCounts = EXPERIENCE_BUCKETS.map((bucket, index) => {
+    return Prisma.sql`count(*) FILTER (WHERE ${experienceCondition(bucket)})::int AS ${Prisma.raw(`bucket_${index}`)}`;
+  });
+
+  const [[experience], languages, currencies, timezones, rates] = await prisma.$transaction([
+    prisma.$queryRaw`
+      SELECT count(*)::int AS total,
+             count(*) FILTER (WHERE m.years_of_experience IS NULL)::int AS unknown,
+             ${Prisma.join(experienceCounts)}
+      FROM mentors m
+      WHERE ${where}
+    `,
+    prisma.$queryRaw`
+      SELECT lower(l.entry->>'code') AS code, min(l.entry->>'language') AS language, count(DISTINCT m.id)::int AS count
+      FROM mentors m
+      CROSS JOIN LATERAL jsonb_array_elements(
+        CASE WHEN jsonb_typeof(m.languages) = 'array' THEN m.languages ELSE '[]'::jsonb END
+      ) AS l(entry)
+      WHERE ${languageWhere} AND l.entry->>'code' IS NOT NULL
+      GROUP BY lower(l.entry->>'code')
+      ORDER BY count DESC, code
+    `,
+    prisma.$queryRaw`
+      SELECT upper(m.currency) AS code, count(*)::int AS count
+      FROM mentors m
+      WHERE ${where} AND m.currency IS NOT NULL
+      GROUP BY upper(m.currency)
+      ORDER BY count DESC, code
+    `,
+    prisma.$queryRaw`
+      SELECT m.timezone AS timezone, count(*)::int AS count
+      FROM mentors m
+      WHERE ${where} AND m.timezone IS NOT NULL
+      GROUP BY m.timezone
+      ORDER BY count DESC, timezone
+    `,
+    prisma.$queryRaw`
+      WITH rates AS (
+        SELECT ${convertedRate(filters.pricing)} AS rate FROM mentors m WHERE ${rateWhere}
+      ), bounds AS (
+        SELECT min(rate) AS low, max(rate) AS high FROM rates
+      )
+      SELECT b.low, b.high,
+             CASE WHEN b.low = b.high THEN 1
+                  ELSE least(width_bucket(r.rate, b.low, b.high, ${rateBuckets}::int), ${rateBuckets}::int)
+             END AS bucket,
+             count(*)::int AS count
+      FROM rates r CROSS JOIN bounds b
+      WHERE r.rate IS NOT NULL
+      GROUP BY b.low, b.high, bucket
+      ORDER BY bucket
+    `
+  ]);
+
+  return {
+    total: experience.total,
+    languages,
+    currencies,
+    timezones,
+    experience: {
+      buckets: EXPERIENCE_BUCKETS.map((bucket, index) => ({ ...bucket, count: experience[`bucket_${index}`] })),
+      unknown: experience.unknown
+    },
+    rates: buildRateHistogram(rates, rateBuckets, filters.pricing.currency)
+  };
+};
+
+module.exports = {
+  EXPERIENCE_BUCKETS,
+  DEFAULT_RATE_BUCKETS,
+  countMentorFacets,
+  findMentorIdsByRate
+};
@@ -0,0 +1,56 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../db');
+
+// Upper bound on ranked matches considered for one search
+const MAX_SEARCH_MATCHES = 1000;
+
+// Minimum trigram word similarity for a misspelled term to count as a match
+const TYPO_SIMILARITY_THRESHOLD = 0.3;
+
+// Escape HTML before ts_headline so only our <mark> tags reach the client
+const escapedText = (column) => Prisma.sql`
+  replace(replace(replace(coalesce(${column}, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;')
+`;
+
+// Find mentors matching a search term, best matches first.
+// Combines full-text rank (title, name, profession, languages, bio) with trigram
+// similarity so that misspelled skills still match.
+const findMentorSearchMatches = async (search) => {
+  const term = search.trim().toLowerCase();
+
+  const [, matches] = await prisma.$transaction([
+    prisma.$executeRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(TYPO_SIMILARITY_THRESHOLD)}, true)`,
+    prisma.$queryRaw`
+      SELECT m.id,
+             ts_rank_cd(m.search_vector, q.query) + word_similarity(${term}, coalesce(m.search_text, '')) AS rank
+      FROM mentors m, websearch_to_tsquery('english', ${search}) AS q(query)
+      WHERE m.search_vector @@ q.query OR ${term} <% m.search_text
+      ORDER BY rank DESC, m.id DESC
+      LIMIT ${MAX_SEARCH_MATCHES}
+    `
+  ]);
+
+  return matches.map(match => ({ id: match.id, rank: Number(match.rank) }));
+};
+
+// Highlighted title and bio snippets (matches wrapped in <mark>) keyed by mentor id
+const getMentorSearchHighlights = async (search, mentorIds) => {
+  if (mentorIds.length === 0) return {};
+
+  const rows = await prisma.$queryRaw`
+    SELECT m.id,
+           ts_headline('english', ${escapedText(Prisma.sql`m.title`)}, q.query,
+             'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS title,
+           ts_headline('english', ${escapedText(Prisma.sql`m.bio`)}, q.query,
+             'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "') AS bio
+    FROM mentors m, websearch_to_tsquery('english', ${search}) AS q(query)
+    WHERE m.id IN (${Prisma.join(mentorIds)})
+  `;
+
+  return Object.fromEntries(rows.map(row => [row.id, { title: row.title, bio: row.bio || null }]));
+};
+
+module.exports = {
+  findMentorSearchMatches,
+  getMentorSearchHighlights
+};
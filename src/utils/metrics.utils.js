@@ -0,0 +1,56 @@
+// Prometheus metrics, served in text format on GET /metrics.
+// Process stats (CPU, memory, event loop lag, GC, ...) come from prom-client's default metrics.
+const client = require('prom-client');
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Prisma query latency by model, action and outcome',
+  labelNames: ['model', 'action', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+// `route` must be a route pattern (/api/mentors/:id), never the raw path, to keep label counts bounded
+const observeRequest = ({ method, route, status, durationSeconds }) => {
+  const labels = { method, route, status: String(status) };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+};
+
+// Prisma middleware timing every query; raw queries have no model
+const prismaMetricsMiddleware = async (params, next) => {
+  const end = dbQueryDuration.startTimer({ model: params.model || 'raw', action: params.action });
+  try {
+    const result = await next(params);
+    end({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    throw error;
+  }
+};
+
+module.exports = {
+  register,
+  observeRequest,
+  prismaMetricsMiddleware
+};
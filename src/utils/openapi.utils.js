@@ -0,0 +1,250 @@
+// Builds the OpenAPI paths from what the routers already know, so the docs cannot drift:
+// paths and methods come from the route table, parameters and request body fields from the
+// express-validator chains in each route's middleware stack. Hand-written operation
+// metadata (summary, responses, fields without validation) is merged on top.
+
+// JSON schema for each express-validator validator we use; options are the validator arguments
+const validatorSchemas = {
+  isEmail: () => ({ type: 'string', format: 'email' }),
+  isLength: ([{ min, max } = {}]) => ({ type: 'string', minLength: min, maxLength: max }),
+  matches: ([pattern]) => ({ type: 'string', pattern: String(pattern) }),
+  isInt: ([{ min, max } = {}]) => ({ type: 'integer', minimum: min, maximum: max }),
+  isFloat: ([{ min, max } = {}]) => ({ type: 'number', minimum: min, maximum: max }),
+  isBoolean: () => ({ type: 'boolean' }),
+  isIn: ([values]) => ({ enum: values }),
+  isISO8601: () => ({ type: 'string' })
+};
+
+// isArray(), isString() and friends are custom validators under the hood, so their type is
+// recognised by what they accept. Anything that throws or is async tells us nothing.
+const probeMeta = { req: { body: {}, query: {}, params: {} }, location: 'body', path: '' };
+const accepts = (validator, value) => {
+  try {
+    return validator(value, probeMeta) === true;
+  } catch {
+    return false;
+  }
+};
+const rejects = (validator, value) => {
+  try {
+    return validator(value, probeMeta) === false;
+  } catch {
+    return false;
+  }
+};
+const customValidatorSchema = (validator) => {
+  if (accepts(validator, []) && rejects(validator, 'text') && rejects(validator, {})) return { type: 'array' };
+  if (accepts(validator, 'text') && rejects(validator, 1) && rejects(validator, [])) return { type: 'string' };
+  if (accepts(validator, {}) && rejects(validator, []) && rejects(validator, 'text')) return { type: 'object' };
+  return {};
+};
+
+const withoutUndefined = (object) => {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+};
+
+// Validation chains are middleware functions carrying their builder
+const isValidationChain = (handler) => typeof handler === 'function' && handler.builder && typeof handler.builder.build === 'function';
+
+// Schema for one chain: validators narrow the type, withMessage texts become the description
+const chainToSchema = (context) => {
+  let schema = {};
+  const messages = [];
+
+  for (const item of context.stack) {
+    // notEmpty() is a negated isEmpty()
+    const toSchema = item.negated
+      ? item.validator && item.validator.name === 'isEmpty' && (() => ({ minLength: 1 }))
+      : item.validator && (validatorSchemas[item.validator.name] || (() => customValidatorSchema(item.validator)));
+    if (toSchema) {
+      const next = withoutUndefined(toSchema(item.options || []));
+      // Keep the strictest lower bound (notEmpty followed by isLength({ min: 3 }))
+      if (schema.minLength !== undefined && next.minLength !== undefined) {
+        next.minLength = Math.max(schema.minLength, next.minLength);
+      }
+      schema = { ...schema, ...next };
+    }
+    if (typeof item.message === 'string' && !messages.includes(item.message)) {
+      messages.push(item.message);
+    }
+  }
+
+  if (!schema.type && !schema.enum) {
+    schema.type = 'string';
+  }
+  if (context.optional === 'null') {
+    schema.nullable = true;
+  }
+  if (messages.length > 0) {
+    schema.description = messages.join('. ');
+  }
+
+  return schema;
+};
+
+// { body: { field: { schema, required } }, query: {...}, params: {...} } for a route's chains
+const collectValidatedFields = (handlers) => {
+  const fields = { body: {}, query: {}, params: {} };
+
+  for (const handler of handlers.filter(isValidationChain)) {
+    const context = handler.builder.build();
+    const schema = chainToSchema(context);
+
+    for (const location of context.locations) {
+      if (!fields[location]) continue;
+      for (const field of context.fields) {
+        // A field validated by several chains keeps the details of all of them
+        const existing = fields[location][field];
+        fields[location][field] = {
+          schema: existing ? { ...existing.schema, ...schema } : schema,
+          required: (existing && existing.required) || context.optional === false
+        };
+      }
+    }
+  }
+
+  return fields;
+};
+
+// Documented responses win over the standard ones; listed in status order
+const sortByStatus = (responses) => {
+  return Object.fromEntries(Object.entries(responses).sort(([a], [b]) => Number(a) - Number(b)));
+};
+
+// Express path (/api/mentors/:id) to OpenAPI path (/api/mentors/{id})
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Every method/path of a router mounted at prefix, with the route's handler stack
+const listRoutes = (router, prefix = '') => {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => {
+      const routePath = layer.route.path === '/' && prefix ? '' : layer.route.path;
+      return Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .map(method => ({
+          method,
+          path: toOpenApiPath(`${prefix}${routePath}`),
+          handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+        }));
+    });
+};
+
+// Key of an operation in the metadata table, e.g. "GET /api/mentors/{id}"
+const operationKey = (method, path) => `${method.toUpperCase()} ${path}`;
+
+const buildParameters = (route, fields, operation) => {
+  const pathParams = [...route.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => {
+    const validated = fields.params[name];
+    const documented = (operation.pathParams || {})[name] || {};
+    return withoutUndefined({
+      name,
+      in: 'path',
+      required: true,
+      description: documented.description,
+      schema: { ...(validated ? validated.schema : { type: 'string' }), ...documented.schema }
+    });
+  });
+
+  const queryParams = Object.entries(fields.query).map(([name, { schema, required }]) => {
+    const { description, ...rest } = schema;
+    return withoutUndefined({ name, in: 'query', required: required || undefined, description, schema: rest });
+  });
+
+  return [...pathParams, ...queryParams, ...(operation.parameters || [])];
+};
+
+// JSON body from the validated fields plus any documented extras (fields the chains do
+// not cover, nested shapes of arrays, ...)
+const buildRequestBody = (fields, operation) => {
+  if (operation.requestBody && operation.requestBody.content) {
+    return operation.requestBody;
+  }
+
+  const extra = operation.requestBody || {};
+  const properties = {};
+  const required = [];
+
+  for (const [name, { schema, required: isRequired }] of Object.entries(fields.body)) {
+    properties[name] = schema;
+    if (isRequired) required.push(name);
+  }
+  for (const [name, schema] of Object.entries(extra.properties || {})) {
+    properties[name] = { ...properties[name], ...schema };
+  }
+  for (const name of extra.required || []) {
+    if (!required.includes(name)) required.push(name);
+  }
+
+  if (Object.keys(properties).length === 0) {
+    return undefined;
+  }
+
+  return {
+    required: required.length > 0,
+    content: {
+      'application/json': {
+        schema: withoutUndefined({ type: 'object', properties, required: required.length > 0 ? required : undefined })
+      }
+    }
+  };
+};
+
+// OpenAPI `paths` for the given mounts ([{ prefix, router }]). `operations` is the metadata
+// table keyed by operationKey; `decorate(route, operation, fields)` adds what depends on the
+// middleware stack (security, standard error responses). Routes without metadata are left
+// out here and reported by findUndocumentedRoutes.
+const buildPaths = (mounts, operations, decorate = () => ({})) => {
+  const paths = {};
+
+  for (const { prefix, router } of mounts) {
+    for (const route of listRoutes(router, prefix)) {
+      const operation = operations[operationKey(route.method, route.path)];
+      if (!operation) continue;
+
+      const fields = collectValidatedFields(route.handlers);
+      const decorated = decorate(route, operation, fields);
+      const parameters = buildParameters(route, fields, operation);
+
+      paths[route.path] = paths[route.path] || {};
+      paths[route.path][route.method] = withoutUndefined({
+        operationId: operation.operationId,
+        tags: operation.tags,
+        summary: operation.summary,
+        description: operation.description,
+        security: decorated.security,
+        parameters: parameters.length > 0 ? parameters : undefined,
+        requestBody: buildRequestBody(fields, operation),
+        responses: sortByStatus({ ...decorated.responses, ...operation.responses })
+      });
+    }
+  }
+
+  return paths;
+};
+
+// Routes that exist in the routers but have no metadata entry
+const findUndocumentedRoutes = (mounts, operations) => {
+  return mounts
+    .flatMap(({ prefix, router }) => listRoutes(router, prefix))
+    .map(route => operationKey(route.method, route.path))
+    .filter(key => !operations[key]);
+};
+
+// Metadata entries whose route no longer exists
+const findStaleOperations = (mounts, operations) => {
+  const routes = new Set(mounts
+    .flatMap(({ prefix, router }) => listRoutes(router, prefix))
+    .map(route => operationKey(route.method, route.path)));
+  return Object.keys(operations).filter(key => !routes.has(key));
+};
+
+module.exports = {
+  chainToSchema,
+  collectValidatedFields,
+  listRoutes,
+  operationKey,
+  buildPaths,
+  findUndocumentedRoutes,
+  findStaleOperations
+};
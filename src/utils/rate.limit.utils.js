@@ -0,0 +1,121 @@
+// Counter stores for rate limiting and login lockout, chosen with RATE_LIMIT_STORE:
+//   memory - counters live in this process (default; fine for a single instance)
+//   redis  - counters are shared through Redis or any Redis-compatible server (REDIS_URL)
+// Every store keeps fixed-window counters: the window starts with the first hit on a key.
+
+const { logger } = require('./logger.utils');
+
+const KEY_PREFIX = process.env.RATE_LIMIT_PREFIX || 'gobeyond:rl:';
+
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const current = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired counters now and then so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    get: async (key) => {
+      const entry = current(key);
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+    close: async () => {
+      clearInterval(cleanup);
+      counters.clear();
+    }
+  };
+};
+
+// INCR and start the expiry on the first hit, atomically
+const INCREMENT_SCRIPT = `
+  local count = redis.call('INCR', KEYS[1])
+  if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  end
+  return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+const createRedisStore = () => {
+  const Redis = require('ioredis');
+
+  if (!process.env.REDIS_URL) {
+    throw new Error('REDIS_URL is required for the redis rate limit store');
+  }
+
+  const client = new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: 2 });
+  client.on('error', (error) => {
+    logger.error('Rate limit store (Redis) error', { error: error.message });
+  });
+
+  return {
+    name: 'redis',
+    increment: async (key, windowMs) => {
+      const [count, ttl] = await client.eval(INCREMENT_SCRIPT, 1, KEY_PREFIX + key, windowMs);
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+    get: async (key) => {
+      const [[, count], [, ttl]] = await client.multi().get(KEY_PREFIX + key).pttl(KEY_PREFIX + key).exec();
+      if (count === null || ttl <= 0) return null;
+      return { count: parseInt(count), resetAt: Date.now() + ttl };
+    },
+    reset: async (key) => {
+      await client.del(KEY_PREFIX + key);
+    },
+    close: async () => {
+      await client.quit();
+    }
+  };
+};
+
+const stores = {
+  memory: createMemoryStore,
+  redis: createRedisStore
+};
+
+let store = null;
+
+const getRateLimitStore = () => {
+  if (!store) {
+    const type = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[type]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}"`);
+    }
+    store = stores[type]();
+  }
+  return store;
+};
+
+// Replace the store (e.g. with a fresh memory store in tests)
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = {
+  createMemoryStore,
+  getRateLimitStore,
+  setRateLimitStore
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { prisma } = require('../db');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('./jwt.utils');
+
+// Refresh tokens are stored as SHA-256 hashes, never in plain text
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent'] ? req.headers['user-agent'].slice(0, 500) : null,
+  ipAddress: req.ip || null
+});
+
+// Issue an access/refresh token pair within an existing session (token family)
+const issueTokenPair = async (db, userId, sessionId, req) => {
+  const refreshToken = generateRefreshToken(userId, sessionId);
+  const { exp } = verifyRefreshToken(refreshToken);
+
+  await db.refreshToken.create({
+    data: {
+      userId,
+      familyId: sessionId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(exp * 1000),
+      ...getClientInfo(req)
+    }
+  });
+
+  return {
+    token: generateToken(userId, sessionId),
+    refreshToken
+  };
+};
+
+// Start a new session for a user (login, registration, OAuth)
+const createSession = (userId, req) => {
+  return issueTokenPair(prisma, userId, crypto.randomUUID(), req);
+};
+
+// Revoke every token of one session
+const revokeSession = (userId, sessionId, reason) => {
+  return prisma.refreshToken.updateMany({
+    where: { userId, familyId: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+// Revoke every session of a user, optionally keeping one
+const revokeAllSessions = (userId, reason, exceptSessionId) => {
+  return prisma.refreshToken.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { familyId: { not: exceptSessionId } } : {})
+    },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+// A session is active while it holds an unrevoked, unexpired refresh token
+const isSessionActive = async (userId, sessionId) => {
+  const token = await prisma.refreshToken.findFirst({
+    where: {
+      userId,
+      familyId: sessionId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    select: { id: true }
+  });
+  return !!token;
+};
+
+// Exchange a refresh token for a new pair. The presented token is revoked; presenting
+// an already-rotated token again means it was stolen, so the whole family is revoked.
+// Resolves to { tokens, userId } or { error: 'invalid' | 'reused' }.
+const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return { error: 'invalid' };
+  }
+
+  if (decoded.type !== 'refresh') {
+    return { error: 'invalid' };
+  }
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    select: {
+      id: true,
+      userId: true,
+      familyId: true,
+      expiresAt: true,
+      revokedAt: true,
+      revokedReason: true
+    }
+  });
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    return { error: 'invalid' };
+  }
+
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      await revokeSession(stored.userId, stored.familyId, 'reuse_detected');
+      return { error: 'reused' };
+    }
+    return { error: 'invalid' };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Conditional update so two concurrent uses of one token cannot both succeed
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: 'rotated' }
+    });
+
+    if (count === 0) {
+      await tx.refreshToken.updateMany({
+        where: { familyId: stored.familyId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+      });
+      return { error: 'reused' };
+    }
+
+    const tokens = await issueTokenPair(tx, stored.userId, stored.familyId, req);
+    return { tokens, userId: stored.userId };
+  });
+};
+
+// Active sessions of a user, one entry per token family
+const listActiveSessions = async (userId) => {
+  const tokens = await prisma.refreshToken.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    select: {
+      familyId: true,
+      userAgent: true,
+      ipAddress: true,
+      expiresAt: true,
+      createdAt: true
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (tokens.length === 0) return [];
+
+  // The first token of each family tells when the session started
+  const starts = await prisma.refreshToken.groupBy({
+    by: ['familyId'],
+    where: { familyId: { in: tokens.map(token => token.familyId) } },
+    _min: { createdAt: true }
+  });
+  const startedAt = new Map(starts.map(start => [start.familyId, start._min.createdAt]));
+
+  return tokens.map(token => ({
+    id: token.familyId,
+    userAgent: token.userAgent,
+    ipAddress: token.ipAddress,
+    createdAt: startedAt.get(token.familyId),
+    lastUsedAt: token.createdAt,
+    expiresAt: token.expiresAt
+  }));
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  rotateRefreshToken,
+  listActiveSessions
+};
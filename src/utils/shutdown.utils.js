@@ -0,0 +1,59 @@
+const { prisma } = require('../db');
+const { logger } = require('./logger.utils');
+
+// How long in-flight requests get to finish after SIGTERM before connections are cut
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+
+const IDLE_CHECK_INTERVAL_MS = 100;
+
+let shuttingDown = false;
+
+// True once a shutdown signal arrived; readiness reports "not ready" from then on
+const isShuttingDown = () => shuttingDown;
+
+// Stop accepting connections, let in-flight requests finish, then close the database pool.
+// Keep-alive connections are closed as soon as they go idle, so clients reconnect elsewhere.
+const shutdown = (server, signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  const forceExit = setTimeout(() => {
+    logger.error('Shutdown timed out, closing remaining connections', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    server.closeAllConnections();
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  // server.close() only drops connections that are idle right now; keep dropping the ones
+  // that become idle when their request finishes
+  const closeIdle = setInterval(() => server.closeIdleConnections(), IDLE_CHECK_INTERVAL_MS);
+  closeIdle.unref();
+
+  server.close(async (error) => {
+    clearInterval(closeIdle);
+    if (error) {
+      logger.error('Error closing HTTP server', { error });
+    }
+
+    try {
+      await prisma.$disconnect();
+      logger.info('Shutdown complete');
+      process.exit(error ? 1 : 0);
+    } catch (disconnectError) {
+      logger.error('Error disconnecting from the database', { error: disconnectError });
+      process.exit(1);
+    }
+  });
+  server.closeIdleConnections();
+};
+
+const registerShutdownHandlers = (server) => {
+  process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+  process.on('SIGINT', () => shutdown(server, 'SIGINT'));
+};
+
+module.exports = {
+  isShuttingDown,
+  registerShutdownHandlers
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local uploads directory, also served statically under /uploads
+const uploadsDir = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads'));
+
+// Keys are generated by us; refuse anything that could escape the storage root
+const isSafeKey = (key) => {
+  return typeof key === 'string' && /^[\w.-]+(\/[\w.-]+)*$/.test(key) && !key.split('/').includes('..');
+};
+
+const createLocalStorage = () => {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+
+  return {
+    name: 'local',
+    save: async (key, buffer) => {
+      const filePath = path.join(uploadsDir, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    remove: async (key) => {
+      const filePath = path.join(uploadsDir, key);
+      try {
+        await fs.promises.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      // Drop the key's folder once it is empty
+      if (path.dirname(filePath) !== uploadsDir) {
+        await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+      }
+    },
+    // Files are served by express.static, so there is nothing to redirect to
+    getPublicUrl: () => null,
+    getKeyFromPublicUrl: () => null,
+    getSignedUrl: async () => null
+  };
+};
+
+// S3 or any S3-compatible service (MinIO, R2, Spaces, ...):
+//   S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE, S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+//   S3_PUBLIC_URL          - public base URL of the bucket (or CDN); without it files are served via signed URLs
+//   S3_SIGNED_URL_EXPIRES  - lifetime of signed URLs in seconds (default: 3600)
+const createS3Storage = () => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+  const publicUrl = process.env.S3_PUBLIC_URL ? process.env.S3_PUBLIC_URL.replace(/\/+$/, '') : null;
+  const signedUrlExpires = parseInt(process.env.S3_SIGNED_URL_EXPIRES) || 3600;
+
+  return {
+    name: 's3',
+    save: async (key, buffer, contentType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    getPublicUrl: (key) => (publicUrl ? `${publicUrl}/${key}` : null),
+    getKeyFromPublicUrl: (url) => {
+      return publicUrl && url.startsWith(`${publicUrl}/`) ? url.slice(publicUrl.length + 1) : null;
+    },
+    getSignedUrl: (key) => {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: signedUrlExpires });
+    }
+  };
+};
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage = null;
+
+// Driver chosen with STORAGE_DRIVER (local | s3, default: local)
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+// Replace the storage driver (e.g. with an in-memory stub in tests)
+const setStorage = (driver) => {
+  storage = driver;
+};
+
+const saveFile = (key, buffer, contentType) => {
+  if (!isSafeKey(key)) throw new Error(`Invalid storage key "${key}"`);
+  return getStorage().save(key, buffer, contentType);
+};
+
+const deleteFile = (key) => {
+  if (!isSafeKey(key)) return Promise.resolve();
+  return getStorage().remove(key);
+};
+
+// Public URL of a file when the driver has one (e.g. a public bucket or CDN)
+const getPublicFileUrl = (key) => {
+  if (!isSafeKey(key)) return null;
+  return getStorage().getPublicUrl(key);
+};
+
+// Key of a file from its public URL, or null if the URL is not one of ours
+const getKeyFromPublicUrl = (url) => {
+  const key = getStorage().getKeyFromPublicUrl(url);
+  return isSafeKey(key) ? key : null;
+};
+
+// Short-lived signed URL for drivers that keep files private, null otherwise
+const getSignedFileUrl = (key) => {
+  if (!isSafeKey(key)) return Promise.resolve(null);
+  return getStorage().getSignedUrl(key);
+};
+
+module.exports = {
+  uploadsDir,
+  getStorage,
+  setStorage,
+  saveFile,
+  deleteFile,
+  getPublicFileUrl,
+  getKeyFromPublicUrl,
+  getSignedFileUrl
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../db');
+const { hashToken } = require('./session.utils');
+
+// RFC 6238 TOTP as used by authenticator apps: SHA-1, 6 digits, 30 second steps
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept codes from one step before/after to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'GoBeyond';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Secrets are encrypted at rest (AES-256-GCM) with TWO_FACTOR_ENCRYPTION_KEY, or a key derived from JWT_SECRET
+const getEncryptionKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, authTag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Time step of a valid code, or null. Steps at or before lastUsedStep are refused so a
+// code cannot be replayed.
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code).replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+// Replace the user's recovery codes; the plain codes are returned once and only their hashes are stored
+const createRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  await db.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await db.twoFactorRecoveryCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) }))
+  });
+
+  return codes;
+};
+
+// Use up a recovery code; resolves to true if it was valid and unused
+const consumeRecoveryCode = async (userId, code) => {
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: { userId, codeHash: hashToken(normalizeRecoveryCode(code)), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count === 1;
+};
+
+// Check a second-factor code (authenticator code or recovery code) for a user with 2FA
+// enabled. Resolves to 'totp', 'recovery' or null.
+const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) return null;
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep);
+  if (step !== null) {
+    // Conditional update so the same code cannot be used twice concurrently
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }]
+      },
+      data: { twoFactorLastUsedStep: step }
+    });
+    return count === 1 ? 'totp' : null;
+  }
+
+  return (await consumeRecoveryCode(user.id, code)) ? 'recovery' : null;
+};
+
+// Short-lived token proving the password step of a login succeeded
+const createTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { userId, type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+};
+
+// User id of a valid challenge token, or null
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === '2fa_challenge' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateTotpSecret,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateTotp,
+  verifyTotp,
+  createRecoveryCodes,
+  verifySecondFactor,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { saveFile, deleteFile, getPublicFileUrl, getKeyFromPublicUrl } = require('./storage.utils');
+const { DEFAULT_IMAGE_SIZE } = require('./image.utils');
+const { logger } = require('./logger.utils');
+
+const UPLOADS_PATH = '/uploads/';
+
+// Public base URL of the API (PUBLIC_API_URL, or the host the request came in on)
+const getPublicBaseUrl = (req) => {
+  return (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+};
+
+// URL to save on the record. Drivers without public URLs are reached through /uploads,
+// which redirects to a signed URL when needed.
+const getStoredFileUrl = (req, key) => {
+  return getPublicFileUrl(key) || `${getPublicBaseUrl(req)}${UPLOADS_PATH}${key}`;
+};
+
+// Store the processed variants of an upload (see processUploadedImage).
+// Resolves to { image, imageVariants } where image is the default JPEG variant and
+// imageVariants maps each size to its URL per format, e.g. { thumbnail: { jpeg, webp } }.
+const storeImage = async (req, file) => {
+  const folder = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  const imageVariants = {};
+  const savedKeys = [];
+
+  try {
+    await Promise.all(file.variants.map(async (variant) => {
+      const key = `${folder}/${variant.size}${variant.ext}`;
+      await saveFile(key, variant.buffer, variant.contentType);
+      savedKeys.push(key);
+
+      imageVariants[variant.size] = imageVariants[variant.size] || {};
+      imageVariants[variant.size][variant.format] = getStoredFileUrl(req, key);
+    }));
+  } catch (error) {
+    // Do not leave half of an upload behind
+    await Promise.all(savedKeys.map(key => deleteFile(key).catch(() => {})));
+    throw error;
+  }
+
+  return {
+    image: imageVariants[DEFAULT_IMAGE_SIZE].jpeg,
+    imageVariants
+  };
+};
+
+// Storage key of a URL written by storeImage, or null for anything else
+const getStoredImageKey = (req, imageUrl) => {
+  if (typeof imageUrl !== 'string') return null;
+
+  const prefix = `${getPublicBaseUrl(req)}${UPLOADS_PATH}`;
+  if (imageUrl.startsWith(prefix)) {
+    return imageUrl.slice(prefix.length) || null;
+  }
+  return getKeyFromPublicUrl(imageUrl);
+};
+
+// Whether a URL points into our uploads (on any host) or the storage bucket. Such URLs only
+// get onto a record through an upload, never from a client.
+const isStoredImageUrl = (imageUrl) => {
+  if (typeof imageUrl !== 'string' || !imageUrl) return false;
+
+  try {
+    if (new URL(imageUrl).pathname.startsWith(UPLOADS_PATH)) return true;
+  } catch {
+    return false;
+  }
+  return getKeyFromPublicUrl(imageUrl) !== null;
+};
+
+// Remove the files of an upload given the imageVariants that storeImage returned for the
+// record. The record's image URL is never used: clients can set it to any URL, including
+// another user's upload. Failures are only logged.
+const deleteStoredImage = async (req, imageVariants) => {
+  const urls = new Set();
+  Object.values(imageVariants || {}).forEach(formats => {
+    Object.values(formats || {}).forEach(url => urls.add(url));
+  });
+
+  const keys = [...urls].map(url => getStoredImageKey(req, url)).filter(Boolean);
+  if (keys.length === 0) return false;
+
+  try {
+    await Promise.all(keys.map(key => deleteFile(key)));
+    return true;
+  } catch (error) {
+    logger.error('Delete stored image error', { error });
+    return false;
+  }
+};
+
+module.exports = {
+  storeImage,
+  isStoredImageUrl,
+  deleteStoredImage
+};
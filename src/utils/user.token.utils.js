@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { prisma } = require('../db');
+const { hashToken } = require('./session.utils');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./email.utils');
+const { logger } = require('./logger.utils');
+
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Create a single-use token for a user; only its hash is stored
+const createUserToken = async (userId, type, ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await prisma.userToken.create({
+    data: {
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    }
+  });
+
+  return token;
+};
+
+// Mark a token as used and return its user id, or null if it is unknown, used or expired
+const consumeUserToken = async (token, type) => {
+  const stored = await prisma.userToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    select: { id: true, userId: true, type: true, expiresAt: true, usedAt: true }
+  });
+
+  if (!stored || stored.type !== type || stored.usedAt || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  // Conditional update so a token cannot be used twice concurrently
+  const { count } = await prisma.userToken.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  return count === 1 ? stored.userId : null;
+};
+
+// Invalidate every outstanding token of a type for a user
+const invalidateUserTokens = (userId, type) => {
+  return prisma.userToken.updateMany({
+    where: { userId, type, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+};
+
+// Create a verification token and email it; delivery failures are logged, not thrown,
+// so sign-up succeeds and the user can ask for a new email
+const sendEmailVerification = async (user) => {
+  try {
+    const token = await createUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES);
+    await sendVerificationEmail(user, token);
+    return true;
+  } catch (error) {
+    logger.error('Send verification email error', { error, userId: user.id });
+    return false;
+  }
+};
+
+// Create a password reset token and email it (errors are logged, not thrown)
+const sendPasswordReset = async (user) => {
+  try {
+    const token = await createUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+    await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+    return true;
+  } catch (error) {
+    logger.error('Send password reset email error', { error, userId: user.id });
+    return false;
+  }
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken,
+  invalidateUserTokens,
+  sendEmailVerification,
+  sendPasswordReset
+};
@@ -0,0 +1,388 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, PASSWORD, uniqueEmail, startTestApp, bearer } = require('./helpers/app');
+
+describe('auth', { skip }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('creates an unverified user, returns tokens and sends a verification email', async () => {
+      const email = uniqueEmail();
+      const res = await request(ctx.app)
+        .post('/api/auth/register')
+        .send({ email, password: PASSWORD, name: 'New User' });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.success, true);
+      const { user, token, refreshToken } = res.body.data;
+      assert.equal(user.email, email);
+      assert.equal(user.name, 'New User');
+      assert.equal(user.role, 'user');
+      assert.equal(user.emailVerified, false);
+      assert.equal(user.isMentor, false);
+      assert.ok(token);
+      assert.ok(refreshToken);
+
+      const stored = await ctx.prisma.user.findUnique({ where: { email } });
+      assert.ok(stored);
+      assert.notEqual(stored.password, PASSWORD);
+      assert.ok(ctx.sentEmails.some(message => message.to === email));
+    });
+
+    it('rejects an email that is already registered', async () => {
+      const { user } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .post('/api/auth/register')
+        .send({ email: user.email, password: PASSWORD });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'EMAIL_TAKEN');
+    });
+
+    it('reports every invalid field', async () => {
+      const res = await request(ctx.app)
+        .post('/api/auth/register')
+        .send({ email: 'not-an-email', password: 'short' });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'VALIDATION_FAILED');
+      const fields = res.body.errors.map(error => error.field);
+      assert.ok(fields.includes('email'));
+      assert.ok(fields.includes('password'));
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('returns tokens for valid credentials', async () => {
+      const { user } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: PASSWORD });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.id, user.id);
+      assert.ok(res.body.data.token);
+      assert.ok(res.body.data.refreshToken);
+
+      const profile = await request(ctx.app)
+        .get('/api/auth/profile')
+        .set(bearer(res.body.data.token));
+      assert.equal(profile.status, 200);
+    });
+
+    it('rejects a wrong password and an unknown email the same way', async () => {
+      const { user } = await ctx.registerUser();
+
+      const wrongPassword = await request(ctx.app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'Wrong12345' });
+      const unknownEmail = await request(ctx.app)
+        .post('/api/auth/login')
+        .send({ email: uniqueEmail('nobody'), password: PASSWORD });
+
+      assert.equal(wrongPassword.status, 401);
+      assert.equal(wrongPassword.body.code, 'INVALID_CREDENTIALS');
+      assert.equal(unknownEmail.status, 401);
+      assert.equal(unknownEmail.body.code, 'INVALID_CREDENTIALS');
+    });
+
+    it('keeps working when the rate limit store is unavailable', async () => {
+      const { user } = await ctx.registerUser();
+      const { setRateLimitStore } = require('../../src/utils/rate.limit.utils');
+      const unavailable = async () => {
+        throw new Error('store unavailable');
+      };
+      setRateLimitStore({ increment: unavailable, get: unavailable, reset: unavailable, close: async () => {} });
+
+      try {
+        const wrongPassword = await request(ctx.app)
+          .post('/api/auth/login')
+          .send({ email: user.email, password: 'Wrong12345' });
+        assert.equal(wrongPassword.status, 401);
+        assert.equal(wrongPassword.body.code, 'INVALID_CREDENTIALS');
+
+        const res = await request(ctx.app)
+          .post('/api/auth/login')
+          .send({ email: user.email, password: PASSWORD });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.data.token);
+      } finally {
+        setRateLimitStore(null);
+      }
+    });
+  });
+
+  describe('POST /api/auth/refresh-token', () => {
+    it('rotates the refresh token', async () => {
+      const { refreshToken } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.token);
+      assert.ok(res.body.data.refreshToken);
+      assert.notEqual(res.body.data.refreshToken, refreshToken);
+
+      const profile = await request(ctx.app)
+        .get('/api/auth/profile')
+        .set(bearer(res.body.data.token));
+      assert.equal(profile.status, 200);
+    });
+
+    it('revokes the session when a rotated token is reused', async () => {
+      const { refreshToken } = await ctx.registerUser();
+      const rotated = await request(ctx.app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken });
+      assert.equal(rotated.status, 200);
+
+      const reused = await request(ctx.app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken });
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.code, 'REFRESH_TOKEN_REUSED');
+
+      // The token issued by the rotation belongs to the revoked session as well
+      const afterReuse = await request(ctx.app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: rotated.body.data.refreshToken });
+      assert.equal(afterReuse.status, 403);
+      assert.equal(afterReuse.body.code, 'INVALID_REFRESH_TOKEN');
+
+      const profile = await request(ctx.app)
+        .get('/api/auth/profile')
+        .set(bearer(rotated.body.data.token));
+      assert.equal(profile.status, 401);
+      assert.equal(profile.body.code, 'SESSION_REVOKED');
+    });
+
+    it('rejects a missing or invalid token', async () => {
+      const missing = await request(ctx.app).post('/api/auth/refresh-token').send({});
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.code, 'REFRESH_TOKEN_REQUIRED');
+
+      const invalid = await request(ctx.app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: 'not-a-token' });
+      assert.equal(invalid.status, 403);
+      assert.equal(invalid.body.code, 'INVALID_REFRESH_TOKEN');
+    });
+  });
+
+  describe('sessions', () => {
+    const login = async (user) => {
+      const res = await request(ctx.app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: PASSWORD });
+      assert.equal(res.status, 200);
+      return res.body.data;
+    };
+
+    it('lists active sessions and marks the current one', async () => {
+      const { user, token } = await ctx.registerUser();
+      await login(user);
+
+      const res = await request(ctx.app).get('/api/auth/sessions').set(bearer(token));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.count, 2);
+      assert.equal(res.body.data.sessions.filter(session => session.current).length, 1);
+    });
+
+    it('logs out of the current session only', async () => {
+      const { user, token, refreshToken } = await ctx.registerUser();
+      const other = await login(user);
+
+      const res = await request(ctx.app).post('/api/auth/logout').set(bearer(token));
+      assert.equal(res.status, 200);
+
+      const profile = await request(ctx.app).get('/api/auth/profile').set(bearer(token));
+      assert.equal(profile.status, 401);
+      assert.equal(profile.body.code, 'SESSION_REVOKED');
+      const refreshed = await request(ctx.app).post('/api/auth/refresh-token').send({ refreshToken });
+      assert.equal(refreshed.status, 403);
+
+      const otherProfile = await request(ctx.app).get('/api/auth/profile').set(bearer(other.token));
+      assert.equal(otherProfile.status, 200);
+    });
+
+    it('logs out of every session', async () => {
+      const { user, token } = await ctx.registerUser();
+      const other = await login(user);
+
+      const res = await request(ctx.app).post('/api/auth/logout-all').set(bearer(token));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.revokedTokens, 2);
+
+      for (const accessToken of [token, other.token]) {
+        const profile = await request(ctx.app).get('/api/auth/profile').set(bearer(accessToken));
+        assert.equal(profile.status, 401);
+      }
+    });
+
+    it('revokes another session of the same user only', async () => {
+      const { user, token } = await ctx.registerUser();
+      const other = await login(user);
+      const stranger = await ctx.registerUser();
+
+      const listed = await request(ctx.app).get('/api/auth/sessions').set(bearer(token));
+      const otherSession = listed.body.data.sessions.find(session => !session.current);
+
+      const notOwned = await request(ctx.app)
+        .delete(`/api/auth/sessions/${otherSession.id}`)
+        .set(bearer(stranger.token));
+      assert.equal(notOwned.status, 404);
+      assert.equal(notOwned.body.code, 'SESSION_NOT_FOUND');
+
+      const res = await request(ctx.app)
+        .delete(`/api/auth/sessions/${otherSession.id}`)
+        .set(bearer(token));
+      assert.equal(res.status, 200);
+
+      const revoked = await request(ctx.app).get('/api/auth/profile').set(bearer(other.token));
+      assert.equal(revoked.status, 401);
+      assert.equal(revoked.body.code, 'SESSION_REVOKED');
+      const current = await request(ctx.app).get('/api/auth/profile').set(bearer(token));
+      assert.equal(current.status, 200);
+    });
+  });
+
+  describe('PUT /api/auth/profile', () => {
+    it('updates the given fields only', async () => {
+      const { user, token } = await ctx.registerUser({ name: 'Before Update' });
+      const res = await request(ctx.app)
+        .put('/api/auth/profile')
+        .set(bearer(token))
+        .send({ firstName: ' Ada ', lastName: 'Lovelace', profession: 'Engineer' });
+
+      assert.equal(res.status, 200);
+      const updated = res.body.data.user;
+      assert.equal(updated.id, user.id);
+      assert.equal(updated.firstName, 'Ada');
+      assert.equal(updated.first_name, 'Ada');
+      assert.equal(updated.lastName, 'Lovelace');
+      assert.equal(updated.profession, 'Engineer');
+      assert.equal(updated.name, 'Before Update');
+
+      const stored = await ctx.prisma.user.findUnique({ where: { id: user.id } });
+      assert.equal(stored.firstName, 'Ada');
+      assert.equal(stored.lastName, 'Lovelace');
+    });
+
+    it('rejects an empty update', async () => {
+      const { token } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .put('/api/auth/profile')
+        .set(bearer(token))
+        .send({});
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'NO_FIELDS_TO_UPDATE');
+    });
+
+    it('requires authentication', async () => {
+      const res = await request(ctx.app)
+        .put('/api/auth/profile')
+        .send({ firstName: 'Anonymous' });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'ACCESS_TOKEN_REQUIRED');
+    });
+  });
+
+  describe('POST /api/auth/change-password', () => {
+    const NEW_PASSWORD = 'Changed456';
+
+    it('changes the password used to log in', async () => {
+      const { user, token } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .post('/api/auth/change-password')
+        .set(bearer(token))
+        .send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD, confirmPassword: NEW_PASSWORD });
+      assert.equal(res.status, 200);
+
+      const oldLogin = await request(ctx.app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: PASSWORD });
+      assert.equal(oldLogin.status, 401);
+
+      const newLogin = await request(ctx.app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: NEW_PASSWORD });
+      assert.equal(newLogin.status, 200);
+    });
+
+    it('signs out other sessions but keeps the current one', async () => {
+      const { user, token } = await ctx.registerUser();
+      const other = await request(ctx.app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: PASSWORD });
+
+      const res = await request(ctx.app)
+        .post('/api/auth/change-password')
+        .set(bearer(token))
+        .send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD, confirmPassword: NEW_PASSWORD });
+      assert.equal(res.status, 200);
+
+      const current = await request(ctx.app).get('/api/auth/profile').set(bearer(token));
+      assert.equal(current.status, 200);
+
+      const signedOut = await request(ctx.app).get('/api/auth/profile').set(bearer(other.body.data.token));
+      assert.equal(signedOut.status, 401);
+      assert.equal(signedOut.body.code, 'SESSION_REVOKED');
+
+      const refreshed = await request(ctx.app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: other.body.data.refreshToken });
+      assert.equal(refreshed.status, 403);
+    });
+
+    it('rejects a wrong current password', async () => {
+      const { token } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .post('/api/auth/change-password')
+        .set(bearer(token))
+        .send({ currentPassword: 'Wrong12345', newPassword: NEW_PASSWORD, confirmPassword: NEW_PASSWORD });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'INVALID_CURRENT_PASSWORD');
+    });
+
+    it('rejects reusing the current password', async () => {
+      const { token } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .post('/api/auth/change-password')
+        .set(bearer(token))
+        .send({ currentPassword: PASSWORD, newPassword: PASSWORD, confirmPassword: PASSWORD });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'PASSWORD_UNCHANGED');
+    });
+
+    it('rejects a confirmation that does not match', async () => {
+      const { token } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .post('/api/auth/change-password')
+        .set(bearer(token))
+        .send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD, confirmPassword: 'Different789' });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'VALIDATION_FAILED');
+      assert.ok(res.body.errors.some(error => error.field === 'confirmPassword'));
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { DateTime } = require('luxon');
+const { skip, startTestApp, bearer } = require('./helpers/app');
+
+const MENTOR_ZONE = 'Europe/Berlin';
+
+describe('availability', { skip }, () => {
+  let ctx;
+
+  // A day next week in the mentor's timezone, with its 0 (Sunday) to 6 (Saturday) weekday
+  const nextWeek = () => {
+    const day = DateTime.now().setZone(MENTOR_ZONE).plus({ days: 7 }).startOf('day');
+    return { day, date: day.toISODate(), dayOfWeek: day.weekday % 7 };
+  };
+
+  const setWindows = (mentor, windows) => {
+    return request(ctx.app)
+      .put('/api/mentors/profile/availability')
+      .set(bearer(mentor.token))
+      .send({ windows });
+  };
+
+  const getSlots = async (mentorId, query) => {
+    const res = await request(ctx.app).get(`/api/mentors/${mentorId}/availability`).query(query);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.data.slots.map(slot => DateTime.fromISO(slot.start, { setZone: true }));
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  it('offers slots inside the weekly windows in the mentor\'s timezone', async () => {
+    const mentor = await ctx.createApprovedMentor();
+    const { day, date, dayOfWeek } = nextWeek();
+
+    const saved = await setWindows(mentor, [{ dayOfWeek, startTime: '09:00', endTime: '12:00' }]);
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.data.timezone, MENTOR_ZONE);
+
+    const slots = await getSlots(mentor.mentor.id, { from: date, to: date, tz: MENTOR_ZONE });
+    assert.deepEqual(
+      slots.map(slot => slot.toMillis()),
+      [9, 10, 11].map(hour => day.set({ hour }).toMillis())
+    );
+
+    const halfHours = await getSlots(mentor.mentor.id, { from: date, to: date, tz: MENTOR_ZONE, duration: 30 });
+    assert.equal(halfHours.length, 6);
+  });
+
+  it('returns the same instants in the viewer\'s timezone', async () => {
+    const mentor = await ctx.createApprovedMentor();
+    const { day, dayOfWeek } = nextWeek();
+    await setWindows(mentor, [{ dayOfWeek, startTime: '09:00', endTime: '10:00' }]);
+
+    const slots = await getSlots(mentor.mentor.id, {
+      from: day.toUTC().toISO(),
+      to: day.plus({ days: 1 }).toUTC().toISO(),
+      tz: 'America/New_York'
+    });
+
+    assert.equal(slots.length, 1);
+    assert.equal(slots[0].toMillis(), day.set({ hour: 9 }).toMillis());
+    assert.equal(slots[0].offset, DateTime.fromMillis(slots[0].toMillis(), { zone: 'America/New_York' }).offset);
+  });
+
+  it('leaves out booked time and blocked days', async () => {
+    const mentor = await ctx.createApprovedMentor();
+    const mentee = await ctx.createMentee();
+    const { day, date, dayOfWeek } = nextWeek();
+    await setWindows(mentor, [{ dayOfWeek, startTime: '09:00', endTime: '12:00' }]);
+
+    const booked = await request(ctx.app)
+      .post('/api/bookings')
+      .set(bearer(mentee.token))
+      .send({ mentorId: mentor.mentor.id, startTime: day.set({ hour: 10 }).toUTC().toISO() });
+    assert.equal(booked.status, 201, JSON.stringify(booked.body));
+
+    const slots = await getSlots(mentor.mentor.id, { from: date, to: date, tz: MENTOR_ZONE });
+    assert.deepEqual(slots.map(slot => slot.hour), [9, 11]);
+
+    const exception = await request(ctx.app)
+      .post('/api/mentors/profile/availability/exceptions')
+      .set(bearer(mentor.token))
+      .send({ startDate: date, reason: 'Conference' });
+    assert.equal(exception.status, 201);
+    assert.equal(exception.body.data.exception.endDate, date);
+
+    assert.deepEqual(await getSlots(mentor.mentor.id, { from: date, to: date, tz: MENTOR_ZONE }), []);
+
+    const removed = await request(ctx.app)
+      .delete(`/api/mentors/profile/availability/exceptions/${exception.body.data.exception.id}`)
+      .set(bearer(mentor.token));
+    assert.equal(removed.status, 200);
+    assert.equal((await getSlots(mentor.mentor.id, { from: date, to: date, tz: MENTOR_ZONE })).length, 2);
+  });
+
+  it('refuses bookings outside the windows', async () => {
+    const mentor = await ctx.createApprovedMentor();
+    const mentee = await ctx.createMentee();
+    const { day, dayOfWeek } = nextWeek();
+    await setWindows(mentor, [{ dayOfWeek, startTime: '09:00', endTime: '12:00' }]);
+
+    const res = await request(ctx.app)
+      .post('/api/bookings')
+      .set(bearer(mentee.token))
+      .send({ mentorId: mentor.mentor.id, startTime: day.set({ hour: 11, minute: 30 }).toUTC().toISO() });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'OUTSIDE_AVAILABILITY');
+  });
+
+  it('rejects overlapping windows and overly long ranges', async () => {
+    const mentor = await ctx.createApprovedMentor();
+
+    const overlapping = await setWindows(mentor, [
+      { dayOfWeek: 1, startTime: '09:00', endTime: '12:00' },
+      { dayOfWeek: 1, startTime: '11:00', endTime: '13:00' }
+    ]);
+    assert.equal(overlapping.status, 400);
+    assert.equal(overlapping.body.code, 'VALIDATION_FAILED');
+
+    const tooLong = await request(ctx.app)
+      .get(`/api/mentors/${mentor.mentor.id}/availability`)
+      .query({ from: '2030-01-01', to: '2030-03-01' });
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.body.code, 'DATE_RANGE_TOO_LONG');
+  });
+
+  it('is not offered for mentors that are not approved', async () => {
+    const mentor = await ctx.createApprovedMentor();
+    await ctx.prisma.mentor.update({
+      where: { id: mentor.mentor.id },
+      data: { approvalStatus: 'suspended', isApproved: false }
+    });
+
+    const res = await request(ctx.app).get(`/api/mentors/${mentor.mentor.id}/availability`);
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'MENTOR_NOT_FOUND');
+  });
+});
@@ -0,0 +1,244 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, startTestApp, bearer } = require('./helpers/app');
+
+describe('bookings', { skip }, () => {
+  let ctx;
+
+  // Whole hour in UTC some days from now
+  const inDays = (days, hour) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date.toISOString();
+  };
+
+  const book = (mentee, mentorId, startTime, extra = {}) => {
+    return request(ctx.app)
+      .post('/api/bookings')
+      .set(bearer(mentee.token))
+      .send({ mentorId, startTime, ...extra });
+  };
+
+  const changeStatus = (participant, bookingId, action, body = {}) => {
+    return request(ctx.app)
+      .patch(`/api/bookings/${bookingId}/${action}`)
+      .set(bearer(participant.token))
+      .send(body);
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  describe('POST /api/bookings', () => {
+    it('requests a session priced from the hourly rate', async () => {
+      const { mentor } = await ctx.createApprovedMentor();
+      const mentee = await ctx.createMentee();
+      const startTime = inDays(3, 9);
+
+      const res = await book(mentee, mentor.id, startTime, { durationMinutes: 90, message: ' Career advice ' });
+
+      assert.equal(res.status, 201);
+      const { booking } = res.body.data;
+      assert.equal(booking.status, 'pending');
+      assert.equal(booking.mentorId, mentor.id);
+      assert.equal(booking.menteeId, mentee.user.id);
+      assert.equal(booking.startTime, startTime);
+      assert.equal(booking.durationMinutes, 90);
+      assert.equal(booking.price, 120);
+      assert.equal(booking.currency, 'EUR');
+      assert.equal(booking.message, 'Career advice');
+    });
+
+    it('rejects a session that overlaps an active booking', async () => {
+      const { mentor } = await ctx.createApprovedMentor();
+      const first = await ctx.createMentee();
+      const second = await ctx.createMentee();
+
+      assert.equal((await book(first, mentor.id, inDays(3, 10))).status, 201);
+
+      const overlapping = await book(second, mentor.id, inDays(3, 10), { durationMinutes: 30 });
+      assert.equal(overlapping.status, 409);
+      assert.equal(overlapping.body.code, 'SLOT_UNAVAILABLE');
+
+      const adjacent = await book(second, mentor.id, inDays(3, 11));
+      assert.equal(adjacent.status, 201);
+    });
+
+    it('lets only one of two concurrent requests take a slot', async () => {
+      const { mentor } = await ctx.createApprovedMentor();
+      const mentees = await Promise.all([ctx.createMentee(), ctx.createMentee()]);
+      const startTime = inDays(4, 10);
+
+      const results = await Promise.all(mentees.map(mentee => book(mentee, mentor.id, startTime)));
+
+      assert.deepEqual(results.map(res => res.status).sort(), [201, 409]);
+      assert.equal(await ctx.prisma.booking.count({ where: { mentorId: mentor.id } }), 1);
+    });
+
+    it('frees the slot again once a booking is cancelled', async () => {
+      const { mentor } = await ctx.createApprovedMentor();
+      const first = await ctx.createMentee();
+      const second = await ctx.createMentee();
+
+      const booked = await book(first, mentor.id, inDays(5, 10));
+      const cancelled = await changeStatus(first, booked.body.data.booking.id, 'cancel', { reason: 'Conflict at work' });
+      assert.equal(cancelled.status, 200);
+      assert.equal(cancelled.body.data.booking.status, 'cancelled');
+      assert.equal(cancelled.body.data.booking.cancelledById, first.user.id);
+
+      const rebooked = await book(second, mentor.id, inDays(5, 10));
+      assert.equal(rebooked.status, 201);
+    });
+
+    it('requires a verified email address', async () => {
+      const { mentor } = await ctx.createApprovedMentor();
+      const unverified = await ctx.registerUser();
+
+      const res = await book(unverified, mentor.id, inDays(3, 9));
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+    });
+
+    it('refuses past times, own profiles and mentors that are not approved', async () => {
+      const mentorAccount = await ctx.createApprovedMentor();
+      const mentee = await ctx.createMentee();
+
+      const past = await book(mentee, mentorAccount.mentor.id, new Date(Date.now() - 60 * 60 * 1000).toISOString());
+      assert.equal(past.status, 400);
+      assert.equal(past.body.code, 'START_TIME_IN_PAST');
+
+      const self = await book(mentorAccount, mentorAccount.mentor.id, inDays(3, 9));
+      assert.equal(self.status, 400);
+      assert.equal(self.body.code, 'CANNOT_BOOK_SELF');
+
+      await ctx.prisma.mentor.update({
+        where: { id: mentorAccount.mentor.id },
+        data: { approvalStatus: 'suspended', isApproved: false }
+      });
+      const suspended = await book(mentee, mentorAccount.mentor.id, inDays(3, 9));
+      assert.equal(suspended.status, 404);
+      assert.equal(suspended.body.code, 'MENTOR_NOT_FOUND');
+    });
+  });
+
+  describe('status changes', () => {
+    it('lets the mentor accept and either participant cancel', async () => {
+      const mentorAccount = await ctx.createApprovedMentor();
+      const mentee = await ctx.createMentee();
+      const booked = await book(mentee, mentorAccount.mentor.id, inDays(6, 9));
+      const bookingId = booked.body.data.booking.id;
+
+      const byMentee = await changeStatus(mentee, bookingId, 'accept');
+      assert.equal(byMentee.status, 403);
+      assert.equal(byMentee.body.code, 'MENTOR_ONLY');
+
+      const accepted = await changeStatus(mentorAccount, bookingId, 'accept');
+      assert.equal(accepted.status, 200);
+      assert.equal(accepted.body.data.booking.status, 'accepted');
+
+      const declined = await changeStatus(mentorAccount, bookingId, 'decline');
+      assert.equal(declined.status, 409);
+      assert.equal(declined.body.code, 'INVALID_STATUS_TRANSITION');
+
+      const cancelled = await changeStatus(mentorAccount, bookingId, 'cancel');
+      assert.equal(cancelled.status, 200);
+      assert.equal(cancelled.body.data.booking.cancelledById, mentorAccount.user.id);
+    });
+
+    it('hides a booking from everyone but its participants', async () => {
+      const mentorAccount = await ctx.createApprovedMentor();
+      const mentee = await ctx.createMentee();
+      const stranger = await ctx.registerUser();
+      const booked = await book(mentee, mentorAccount.mentor.id, inDays(6, 11));
+      const bookingId = booked.body.data.booking.id;
+
+      for (const participant of [mentee, mentorAccount]) {
+        const res = await request(ctx.app).get(`/api/bookings/${bookingId}`).set(bearer(participant.token));
+        assert.equal(res.status, 200);
+      }
+
+      const res = await request(ctx.app).get(`/api/bookings/${bookingId}`).set(bearer(stranger.token));
+      assert.equal(res.status, 404);
+      assert.equal((await changeStatus(stranger, bookingId, 'cancel')).status, 404);
+    });
+
+    it('lists bookings by role and status', async () => {
+      const mentorAccount = await ctx.createApprovedMentor();
+      const mentee = await ctx.createMentee();
+      await book(mentee, mentorAccount.mentor.id, inDays(7, 9));
+      const second = await book(mentee, mentorAccount.mentor.id, inDays(7, 11));
+      await changeStatus(mentorAccount, second.body.data.booking.id, 'accept');
+
+      const asMentee = await request(ctx.app).get('/api/bookings').set(bearer(mentee.token)).query({ as: 'mentee' });
+      assert.equal(asMentee.body.data.count, 2);
+
+      const accepted = await request(ctx.app)
+        .get('/api/bookings')
+        .set(bearer(mentorAccount.token))
+        .query({ as: 'mentor', status: 'accepted' });
+      assert.deepEqual(accepted.body.data.bookings.map(booking => booking.id), [second.body.data.booking.id]);
+    });
+  });
+
+  describe('PATCH /api/bookings/:id/reschedule', () => {
+    it('moves the booking and counts the new time as accepted', async () => {
+      const mentorAccount = await ctx.createApprovedMentor();
+      const mentee = await ctx.createMentee();
+      const booked = await book(mentee, mentorAccount.mentor.id, inDays(8, 9));
+      const startTime = inDays(8, 14);
+
+      const res = await changeStatus(mentorAccount, booked.body.data.booking.id, 'reschedule', {
+        startTime,
+        durationMinutes: 30,
+        reason: 'Morning is full'
+      });
+
+      assert.equal(res.status, 200);
+      const { booking } = res.body.data;
+      assert.equal(booking.status, 'accepted');
+      assert.equal(booking.startTime, startTime);
+      assert.equal(booking.durationMinutes, 30);
+      assert.equal(booking.price, 40);
+      assert.equal(booking.statusReason, 'Morning is full');
+    });
+
+    it('refuses a time that overlaps another booking', async () => {
+      const mentorAccount = await ctx.createApprovedMentor();
+      const mentee = await ctx.createMentee();
+      const first = await book(mentee, mentorAccount.mentor.id, inDays(9, 9));
+      await book(mentee, mentorAccount.mentor.id, inDays(9, 11));
+
+      const res = await changeStatus(mentorAccount, first.body.data.booking.id, 'reschedule', { startTime: inDays(9, 11) });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'SLOT_UNAVAILABLE');
+    });
+
+    it('does not bring back a cancelled booking', async () => {
+      const mentorAccount = await ctx.createApprovedMentor();
+      const mentee = await ctx.createMentee();
+      const booked = await book(mentee, mentorAccount.mentor.id, inDays(10, 9));
+      const bookingId = booked.body.data.booking.id;
+
+      await changeStatus(mentee, bookingId, 'cancel');
+      const res = await changeStatus(mentorAccount, bookingId, 'reschedule', { startTime: inDays(10, 12) });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+      const stored = await ctx.prisma.booking.findUnique({ where: { id: bookingId } });
+      assert.equal(stored.status, 'cancelled');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, PASSWORD, uniqueEmail, startTestApp } = require('./helpers/app');
+
+// Exchange rates come from the test harness: 1 USD = 0.5 EUR = 0.25 GBP
+describe('currencies', { skip }, () => {
+  let ctx;
+  let euro;
+  let dollar;
+  let pound;
+  let yen;
+
+  // Listed ids of the mentors created here, in listing order
+  const listOwnMentors = async (query) => {
+    const res = await request(ctx.app).get('/api/mentors').query({ limit: 100, ...query });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const own = [euro.id, dollar.id, pound.id, yen.id];
+    return res.body.data.mentors.map(mentor => mentor.id).filter(id => own.includes(id));
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+
+    euro = (await ctx.createApprovedMentor({ hourlyRate: 40, currency: 'eur' })).mentor; // 80 USD
+    dollar = (await ctx.createApprovedMentor({ hourlyRate: 100, currency: 'USD' })).mentor; // 100 USD
+    pound = (await ctx.createApprovedMentor({ hourlyRate: 30, currency: 'GBP' })).mentor; // 120 USD
+    yen = (await ctx.createApprovedMentor({ hourlyRate: 5000, currency: 'JPY' })).mentor; // no exchange rate
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  it('accepts ISO 4217 codes only and stores them uppercase', async () => {
+    assert.equal(euro.currency, 'EUR');
+
+    const res = await request(ctx.app)
+      .post('/api/mentors')
+      .send({ email: uniqueEmail('mentor'), password: PASSWORD, submit: false, currency: 'DOLLARS' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, 'currency');
+  });
+
+  it('returns the rate converted to the display currency next to the original', async () => {
+    const inDollars = await request(ctx.app).get(`/api/mentors/${euro.id}`);
+    assert.equal(inDollars.body.data.mentor.hourlyRate, 40);
+    assert.deepEqual(inDollars.body.data.mentor.convertedRate, { hourlyRate: 80, currency: 'USD' });
+
+    const inPounds = await request(ctx.app).get(`/api/mentors/${euro.id}`).query({ displayCurrency: 'gbp' });
+    assert.deepEqual(inPounds.body.data.mentor.convertedRate, { hourlyRate: 20, currency: 'GBP' });
+
+    const unconvertible = await request(ctx.app).get(`/api/mentors/${yen.id}`);
+    assert.equal(unconvertible.body.data.mentor.convertedRate, null);
+  });
+
+  it('filters and sorts by the rate in the display currency', async () => {
+    assert.deepEqual(await listOwnMentors({ sort: 'rate' }), [euro.id, dollar.id, pound.id, yen.id]);
+    assert.deepEqual(await listOwnMentors({ sort: 'rate', order: 'desc' }), [pound.id, dollar.id, euro.id, yen.id]);
+
+    assert.deepEqual(await listOwnMentors({ sort: 'rate', minRate: 90 }), [dollar.id, pound.id]);
+    assert.deepEqual(await listOwnMentors({ sort: 'rate', maxRate: 50, displayCurrency: 'EUR' }), [euro.id, dollar.id]);
+  });
+
+  it('pages through the rate order with cursors and offsets', async () => {
+    const first = await request(ctx.app).get('/api/mentors').query({ sort: 'rate', limit: 2 });
+    assert.deepEqual(first.body.data.mentors.map(mentor => mentor.id), [euro.id, dollar.id]);
+    assert.equal(first.body.data.pagination.total, 4);
+
+    const next = await request(ctx.app)
+      .get('/api/mentors')
+      .query({ sort: 'rate', limit: 2, cursor: first.body.data.pagination.nextCursor });
+    assert.deepEqual(next.body.data.mentors.map(mentor => mentor.id), [pound.id, yen.id]);
+
+    const second = await request(ctx.app).get('/api/mentors').query({ sort: 'rate', order: 'desc', limit: 2, page: 2 });
+    assert.deepEqual(second.body.data.mentors.map(mentor => mentor.id), [euro.id, yen.id]);
+  });
+
+  it('rejects display currencies without an exchange rate', async () => {
+    const unsupported = await request(ctx.app).get('/api/mentors').query({ displayCurrency: 'JPY' });
+    assert.equal(unsupported.status, 400);
+    assert.equal(unsupported.body.code, 'UNSUPPORTED_CURRENCY');
+
+    const invalid = await request(ctx.app).get('/api/mentors').query({ displayCurrency: 'XYZ' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].field, 'displayCurrency');
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, PASSWORD, uniqueEmail, startTestApp, bearer } = require('./helpers/app');
+
+const NEW_PASSWORD = 'Changed456';
+
+describe('account emails', { skip }, () => {
+  let ctx;
+
+  // Token from the link in the most recent email of a kind sent to an address
+  const tokenFromEmail = (email, pathname) => {
+    const message = ctx.sentEmails.filter(sent => sent.to === email && sent.text.includes(pathname)).pop();
+    assert.ok(message, `no ${pathname} email sent to ${email}`);
+    return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  };
+
+  // Reset emails are sent after the response, so wait for them
+  const waitForEmail = async (email, pathname) => {
+    for (let i = 0; i < 50; i++) {
+      if (ctx.sentEmails.some(sent => sent.to === email && sent.text.includes(pathname))) return;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail(`no ${pathname} email sent to ${email}`);
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  describe('email verification', () => {
+    it('verifies the address with the emailed link once', async () => {
+      const { user, token } = await ctx.registerUser();
+      const verificationToken = tokenFromEmail(user.email, '/verify-email');
+
+      const res = await request(ctx.app).post('/api/auth/verify-email').send({ token: verificationToken });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.user, { id: user.id, email: user.email, emailVerified: true });
+
+      const profile = await request(ctx.app).get('/api/auth/profile').set(bearer(token));
+      assert.equal(profile.body.data.user.emailVerified, true);
+
+      const reused = await request(ctx.app).post('/api/auth/verify-email').send({ token: verificationToken });
+      assert.equal(reused.status, 400);
+      assert.equal(reused.body.code, 'INVALID_VERIFICATION_TOKEN');
+    });
+
+    it('rejects unknown and expired tokens', async () => {
+      const { user } = await ctx.registerUser();
+      const verificationToken = tokenFromEmail(user.email, '/verify-email');
+      await ctx.prisma.userToken.updateMany({
+        where: { userId: user.id, type: 'email_verification' },
+        data: { expiresAt: new Date(Date.now() - 1000) }
+      });
+
+      const expired = await request(ctx.app).post('/api/auth/verify-email').send({ token: verificationToken });
+      assert.equal(expired.status, 400);
+      assert.equal(expired.body.code, 'INVALID_VERIFICATION_TOKEN');
+
+      const unknown = await request(ctx.app).post('/api/auth/verify-email').send({ token: 'f'.repeat(64) });
+      assert.equal(unknown.status, 400);
+      assert.equal(unknown.body.code, 'INVALID_VERIFICATION_TOKEN');
+    });
+
+    it('throttles resending and stops once verified', async () => {
+      const { user, token } = await ctx.registerUser();
+
+      const tooSoon = await request(ctx.app).post('/api/auth/resend-verification').set(bearer(token));
+      assert.equal(tooSoon.status, 429);
+      assert.equal(tooSoon.body.code, 'VERIFICATION_EMAIL_THROTTLED');
+
+      // Pretend the sign-up email went out a few minutes ago
+      await ctx.prisma.userToken.updateMany({
+        where: { userId: user.id, type: 'email_verification' },
+        data: { createdAt: new Date(Date.now() - 5 * 60 * 1000) }
+      });
+      const resent = await request(ctx.app).post('/api/auth/resend-verification').set(bearer(token));
+      assert.equal(resent.status, 200);
+
+      const verified = await request(ctx.app)
+        .post('/api/auth/verify-email')
+        .send({ token: tokenFromEmail(user.email, '/verify-email') });
+      assert.equal(verified.status, 200);
+
+      const again = await request(ctx.app).post('/api/auth/resend-verification').set(bearer(token));
+      assert.equal(again.status, 400);
+      assert.equal(again.body.code, 'EMAIL_ALREADY_VERIFIED');
+    });
+  });
+
+  describe('password reset', () => {
+    it('sets a new password and signs out every session', async () => {
+      const { user, token } = await ctx.registerUser({ email: uniqueEmail('reset') });
+
+      const requested = await request(ctx.app).post('/api/auth/forgot-password').send({ email: user.email });
+      assert.equal(requested.status, 200);
+      await waitForEmail(user.email, '/reset-password');
+      const resetToken = tokenFromEmail(user.email, '/reset-password');
+
+      const res = await request(ctx.app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: NEW_PASSWORD, confirmPassword: NEW_PASSWORD });
+      assert.equal(res.status, 200);
+
+      const profile = await request(ctx.app).get('/api/auth/profile').set(bearer(token));
+      assert.equal(profile.status, 401);
+      assert.equal(profile.body.code, 'SESSION_REVOKED');
+
+      const oldLogin = await request(ctx.app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+      assert.equal(oldLogin.status, 401);
+      const newLogin = await request(ctx.app).post('/api/auth/login').send({ email: user.email, password: NEW_PASSWORD });
+      assert.equal(newLogin.status, 200);
+
+      const reused = await request(ctx.app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: 'Another789', confirmPassword: 'Another789' });
+      assert.equal(reused.status, 400);
+      assert.equal(reused.body.code, 'INVALID_RESET_TOKEN');
+    });
+
+    it('answers the same for unknown addresses without sending anything', async () => {
+      const email = uniqueEmail('nobody');
+
+      const res = await request(ctx.app).post('/api/auth/forgot-password').send({ email });
+      assert.equal(res.status, 200);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.ok(!ctx.sentEmails.some(message => message.to === email));
+    });
+
+    it('does not accept a verification token as a reset token', async () => {
+      const { user } = await ctx.registerUser();
+
+      const res = await request(ctx.app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFromEmail(user.email, '/verify-email'), newPassword: NEW_PASSWORD, confirmPassword: NEW_PASSWORD });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_RESET_TOKEN');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, startTestApp } = require('./helpers/app');
+
+describe('mentor facets', { skip }, () => {
+  let ctx;
+
+  const getFacets = async (query) => {
+    const res = await request(ctx.app).get('/api/mentors/facets').query(query);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.data;
+  };
+
+  const counts = (entries, key) => Object.fromEntries(entries.map(entry => [entry[key], entry.count]));
+
+  before(async () => {
+    ctx = await startTestApp();
+
+    await ctx.createApprovedMentor({
+      timezone: 'Europe/Berlin',
+      hourlyRate: 40,
+      currency: 'EUR',
+      yearsOfExperience: 1,
+      languages: [
+        { code: 'en', language: 'English', level: 'Advanced' },
+        { code: 'de', language: 'German', level: 'Native' }
+      ]
+    });
+    await ctx.createApprovedMentor({
+      timezone: 'America/New_York',
+      hourlyRate: 100,
+      currency: 'USD',
+      yearsOfExperience: 8,
+      languages: [{ code: 'en', language: 'English', level: 'Native' }]
+    });
+    await ctx.createApprovedMentor({
+      timezone: 'Europe/Berlin',
+      hourlyRate: 70,
+      currency: 'EUR',
+      languages: [{ code: 'fr', language: 'French', level: 'Native' }]
+    });
+
+    // Drafts are not part of the directory
+    await ctx.createMentor({ submit: false, languages: [{ code: 'es', language: 'Spanish', level: 'Native' }] });
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  it('counts the directory per language, currency, timezone, experience and rate', async () => {
+    const { total, facets } = await getFacets({ rateBuckets: 2 });
+
+    assert.equal(total, 3);
+    assert.deepEqual(counts(facets.languages, 'code'), { en: 2, de: 1, fr: 1 });
+    assert.equal(facets.languages.find(entry => entry.code === 'fr').language, 'French');
+    assert.deepEqual(counts(facets.currencies, 'code'), { EUR: 2, USD: 1 });
+    assert.deepEqual(counts(facets.timezones, 'timezone'), { 'Europe/Berlin': 2, 'America/New_York': 1 });
+    assert.deepEqual(facets.experience.buckets.map(bucket => bucket.count), [1, 0, 1, 0, 0]);
+    assert.equal(facets.experience.unknown, 1);
+    // In USD at 2 USD per EUR: 80, 100 and 140
+    assert.deepEqual(facets.rates, {
+      currency: 'USD',
+      min: 80,
+      max: 140,
+      buckets: [{ min: 80, max: 110, count: 2 }, { min: 110, max: 140, count: 1 }]
+    });
+  });
+
+  it('applies the filters to every facet except its own', async () => {
+    const french = await getFacets({ language: 'fr' });
+    assert.equal(french.total, 1);
+    assert.deepEqual(counts(french.facets.languages, 'code'), { en: 2, de: 1, fr: 1 });
+    assert.deepEqual(counts(french.facets.currencies, 'code'), { EUR: 1 });
+
+    const expensive = await getFacets({ minRate: 90 });
+    assert.equal(expensive.total, 2);
+    assert.equal(expensive.facets.rates.min, 80);
+    assert.deepEqual(counts(expensive.facets.currencies, 'code'), { EUR: 1, USD: 1 });
+    assert.deepEqual(counts(expensive.facets.languages, 'code'), { en: 1, fr: 1 });
+  });
+
+  it('validates the bucket count', async () => {
+    const res = await request(ctx.app).get('/api/mentors/facets').query({ rateBuckets: 0 });
+    assert.equal(res.status, 400);
+  });
+});
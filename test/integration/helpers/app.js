@@ -0,0 +1,161 @@
+const request = require('supertest');
+const { TEST_DATABASE_URL, createTestDatabase, dropTestDatabase } = require('./database');
+
+// Suites skip themselves when there is no database server to run against, except in CI
+// where a missing database is a setup mistake that would otherwise pass unnoticed
+if (!TEST_DATABASE_URL && process.env.CI) {
+  throw new Error('TEST_DATABASE_URL is not set; the integration tests need a database in CI');
+}
+const skip = !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set';
+
+const PASSWORD = 'Password123';
+
+// Fixed exchange rates (per USD) so converted amounts do not follow the built-in reference rates
+const EXCHANGE_RATES = { base: 'USD', rates: { USD: 1, EUR: 0.5, GBP: 0.25 } };
+
+let emailCounter = 0;
+const uniqueEmail = (prefix = 'user') => `${prefix}.${process.pid}.${++emailCounter}@example.com`;
+
+// Boots the app against a fresh database. The app and Prisma client are required only after
+// DATABASE_URL points at that database; each test file runs in its own process, so each one
+// gets its own database and module state (rate limit counters included).
+const startTestApp = async () => {
+  const database = await createTestDatabase();
+
+  process.env.DATABASE_URL = database.url;
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'integration-test-secret';
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+  process.env.RATE_LIMIT_STORE = 'memory';
+  process.env.DEFAULT_CURRENCY = 'USD';
+  // supertest listens on a new port for every request, so upload URLs need a fixed base
+  process.env.PUBLIC_API_URL = 'http://api.test';
+
+  // Record outgoing mail instead of printing or sending it
+  const sentEmails = [];
+  const { setEmailTransport } = require('../../../src/utils/email.utils');
+  setEmailTransport({
+    sendMail: async (message) => {
+      sentEmails.push(message);
+      return { messageId: `test-${sentEmails.length}` };
+    }
+  });
+
+  const { setExchangeRateProvider } = require('../../../src/utils/currency.utils');
+  setExchangeRateProvider({ name: 'test', getRates: async () => EXCHANGE_RATES });
+
+  const app = require('../../../src/server');
+  const { prisma } = require('../../../src/db');
+  const { getRateLimitStore, setRateLimitStore } = require('../../../src/utils/rate.limit.utils');
+
+  // Every request in a suite comes from the same IP; start each test with fresh counters
+  // so the per-IP limits on register/login do not leak between tests
+  const resetRateLimits = async () => {
+    await getRateLimitStore().close();
+    setRateLimitStore(null);
+  };
+
+  const registerUser = async (overrides = {}) => {
+    const credentials = { email: uniqueEmail(), password: PASSWORD, name: 'Test User', ...overrides };
+    const res = await request(app).post('/api/auth/register').send(credentials);
+    if (res.status !== 201) {
+      throw new Error(`Registering ${credentials.email} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return { ...res.body.data, password: credentials.password };
+  };
+
+  // Roles other than user/mentor are only ever granted by an admin, so set them directly
+  const registerAdmin = async () => {
+    const admin = await registerUser({ email: uniqueEmail('admin') });
+    await prisma.user.update({ where: { id: admin.user.id }, data: { role: 'admin' } });
+    return admin;
+  };
+
+  // Verification normally goes through the emailed link (see email.test.js)
+  const markEmailVerified = async (userId) => {
+    await prisma.user.update({ where: { id: userId }, data: { emailVerified: true, emailVerifiedAt: new Date() } });
+  };
+
+  // Approval normally goes through the admin endpoints; set it directly for directory tests
+  const approveMentor = async (mentorId) => {
+    await prisma.mentor.update({ where: { id: mentorId }, data: { approvalStatus: 'approved', isApproved: true } });
+  };
+
+  // Mentor signup through the public endpoint, which saves a draft; unless `submit: false`
+  // is passed, the email is then verified and the profile submitted for review as the mentor
+  // would do. Overrides replace fields of the default profile.
+  const createMentor = async ({ submit = true, ...overrides } = {}) => {
+    const profile = {
+      email: uniqueEmail('mentor'),
+      password: PASSWORD,
+      name: 'Test Mentor',
+      title: 'Senior Engineer',
+      bio: 'Ten years of backend work',
+      timezone: 'Europe/Berlin',
+      hourlyRate: 80,
+      currency: 'EUR',
+      languages: [{ code: 'en', language: 'English', level: 'Advanced' }],
+      ...overrides
+    };
+    const res = await request(app).post('/api/mentors').send(profile);
+    if (res.status !== 201) {
+      throw new Error(`Creating mentor ${profile.email} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    if (!submit) return res.body.data;
+
+    await markEmailVerified(res.body.data.user.id);
+    const submitted = await request(app)
+      .post('/api/mentors/profile/me')
+      .set(bearer(res.body.data.token))
+      .send({ submit: true });
+    if (submitted.status !== 200) {
+      throw new Error(`Submitting mentor ${profile.email} failed: ${submitted.status} ${JSON.stringify(submitted.body)}`);
+    }
+    return { ...res.body.data, mentor: submitted.body.data.mentor, missingFields: submitted.body.data.missingFields };
+  };
+
+  // Mentor that is listed publicly and can be booked and reviewed
+  const createApprovedMentor = async (overrides = {}) => {
+    const created = await createMentor(overrides);
+    await approveMentor(created.mentor.id);
+    return created;
+  };
+
+  // User with a verified email, as needed to book sessions
+  const createMentee = async () => {
+    const mentee = await registerUser({ email: uniqueEmail('mentee') });
+    await markEmailVerified(mentee.user.id);
+    return mentee;
+  };
+
+  const close = async () => {
+    await prisma.$disconnect();
+    await dropTestDatabase(database.name);
+  };
+
+  return {
+    app,
+    prisma,
+    sentEmails,
+    registerUser,
+    registerAdmin,
+    markEmailVerified,
+    approveMentor,
+    createMentor,
+    createApprovedMentor,
+    createMentee,
+    resetRateLimits,
+    close
+  };
+};
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = {
+  skip,
+  PASSWORD,
+  EXCHANGE_RATES,
+  uniqueEmail,
+  startTestApp,
+  bearer
+};
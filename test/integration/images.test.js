@@ -0,0 +1,213 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const sharp = require('sharp');
+const { skip, startTestApp, bearer } = require('./helpers/app');
+
+const UPLOADS_URL = 'http://api.test/uploads/';
+const EXTERNAL_IMAGE = 'https://cdn.example.com/avatar.png';
+
+describe('profile images', { skip }, () => {
+  let ctx;
+  let png;
+  // Stored files by key, kept in memory instead of on disk
+  const files = new Map();
+
+  const keysOf = (imageVariants) => {
+    return Object.values(imageVariants).flatMap(formats => Object.values(formats))
+      .map(url => url.slice(UPLOADS_URL.length));
+  };
+
+  const assertStored = (imageVariants, expected = true) => {
+    for (const key of keysOf(imageVariants)) {
+      assert.equal(files.has(key), expected, key);
+    }
+  };
+
+  const uploadProfileImage = async (account) => {
+    const res = await request(ctx.app)
+      .post('/api/auth/profile/image')
+      .set(bearer(account.token))
+      .attach('image', png, 'avatar.png');
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.data.user;
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+
+    const { setStorage } = require('../../src/utils/storage.utils');
+    setStorage({
+      name: 'memory',
+      save: async (key, buffer) => {
+        files.set(key, buffer);
+      },
+      remove: async (key) => {
+        files.delete(key);
+      },
+      getPublicUrl: () => null,
+      getKeyFromPublicUrl: () => null,
+      getSignedUrl: async () => null
+    });
+
+    png = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#3366cc' } }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  describe('POST /api/auth/profile/image', () => {
+    it('stores every size and format and replaces the previous upload', async () => {
+      const account = await ctx.registerUser();
+
+      const first = await uploadProfileImage(account);
+      assert.deepEqual(Object.keys(first.imageVariants).sort(), ['large', 'medium', 'thumbnail']);
+      assert.deepEqual(Object.keys(first.imageVariants.medium).sort(), ['jpeg', 'webp']);
+      assert.equal(first.image, first.imageVariants.medium.jpeg);
+      assert.ok(first.image.startsWith(UPLOADS_URL));
+      assertStored(first.imageVariants);
+
+      const second = await uploadProfileImage(account);
+      assert.notEqual(second.image, first.image);
+      assertStored(second.imageVariants);
+      assertStored(first.imageVariants, false);
+    });
+
+    it('rejects files that are not images', async () => {
+      const account = await ctx.registerUser();
+
+      const notImage = await request(ctx.app)
+        .post('/api/auth/profile/image')
+        .set(bearer(account.token))
+        .attach('image', Buffer.from('definitely not a png'), 'avatar.png');
+      assert.equal(notImage.status, 400);
+      assert.equal(notImage.body.code, 'UNSUPPORTED_FILE_TYPE');
+
+      const missing = await request(ctx.app)
+        .post('/api/auth/profile/image')
+        .set(bearer(account.token));
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.code, 'FILE_REQUIRED');
+    });
+  });
+
+  describe('DELETE /api/auth/profile/image', () => {
+    it('clears the image and removes its files', async () => {
+      const account = await ctx.registerUser();
+      const uploaded = await uploadProfileImage(account);
+
+      const res = await request(ctx.app).delete('/api/auth/profile/image').set(bearer(account.token));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.image, null);
+      assert.equal(res.body.data.user.imageVariants, null);
+      assertStored(uploaded.imageVariants, false);
+    });
+
+    it('removes the files when the image is replaced by a link', async () => {
+      const account = await ctx.registerUser();
+      const uploaded = await uploadProfileImage(account);
+
+      const res = await request(ctx.app)
+        .put('/api/auth/profile')
+        .set(bearer(account.token))
+        .send({ image: EXTERNAL_IMAGE });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.image, EXTERNAL_IMAGE);
+      assertStored(uploaded.imageVariants, false);
+    });
+  });
+
+  describe('another user\'s upload', () => {
+    it('cannot be set as a profile image', async () => {
+      const owner = await ctx.registerUser();
+      const other = await ctx.registerUser();
+      const uploaded = await uploadProfileImage(owner);
+
+      for (const image of [uploaded.image, uploaded.image.replace('http://api.test', 'https://elsewhere.example')]) {
+        const res = await request(ctx.app)
+          .put('/api/auth/profile')
+          .set(bearer(other.token))
+          .send({ image });
+        assert.equal(res.status, 400);
+        assert.ok(res.body.errors.some(error => error.field === 'image'));
+      }
+    });
+
+    it('is not deleted along with an image that points at it', async () => {
+      const owner = await ctx.registerUser();
+      const other = await ctx.registerUser();
+      const uploaded = await uploadProfileImage(owner);
+      // e.g. a URL saved before such links were refused
+      await ctx.prisma.user.update({ where: { id: other.user.id }, data: { image: uploaded.image } });
+
+      const res = await request(ctx.app).delete('/api/auth/profile/image').set(bearer(other.token));
+
+      assert.equal(res.status, 200);
+      assertStored(uploaded.imageVariants);
+    });
+
+    it('cannot be set as a mentor image or deleted through one', async () => {
+      const owner = await ctx.registerUser();
+      const uploaded = await uploadProfileImage(owner);
+      const mentorAccount = await ctx.createMentor();
+
+      const rejected = await request(ctx.app)
+        .put(`/api/mentors/${mentorAccount.mentor.id}`)
+        .set(bearer(mentorAccount.token))
+        .send({ image: uploaded.image });
+      assert.equal(rejected.status, 400);
+      assert.ok(rejected.body.errors.some(error => error.field === 'image'));
+
+      await ctx.prisma.mentor.update({ where: { id: mentorAccount.mentor.id }, data: { image: uploaded.image } });
+      const deleted = await request(ctx.app).delete('/api/mentors/profile/image').set(bearer(mentorAccount.token));
+      assert.equal(deleted.status, 200);
+      assertStored(uploaded.imageVariants);
+    });
+  });
+
+  describe('mentor images', () => {
+    it('uploads, replaces with a link and deletes', async () => {
+      const mentorAccount = await ctx.createMentor();
+
+      const uploaded = await request(ctx.app)
+        .post('/api/mentors/profile/image')
+        .set(bearer(mentorAccount.token))
+        .attach('image', png, 'avatar.png');
+      assert.equal(uploaded.status, 200);
+      const { image, imageVariants } = uploaded.body.data.mentor;
+      assert.equal(image, imageVariants.medium.jpeg);
+      assertStored(imageVariants);
+
+      const linked = await request(ctx.app)
+        .put(`/api/mentors/${mentorAccount.mentor.id}`)
+        .set(bearer(mentorAccount.token))
+        .send({ image: EXTERNAL_IMAGE });
+      assert.equal(linked.status, 200);
+      assertStored(imageVariants, false);
+
+      const deleted = await request(ctx.app).delete('/api/mentors/profile/image').set(bearer(mentorAccount.token));
+      assert.equal(deleted.status, 200);
+      const stored = await ctx.prisma.mentor.findUnique({ where: { id: mentorAccount.mentor.id } });
+      assert.equal(stored.image, null);
+    });
+
+    it('requires a mentor profile', async () => {
+      const account = await ctx.registerUser();
+
+      const res = await request(ctx.app)
+        .post('/api/mentors/profile/image')
+        .set(bearer(account.token))
+        .attach('image', png, 'avatar.png');
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'MENTOR_NOT_FOUND');
+    });
+  });
+});
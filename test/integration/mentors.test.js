@@ -0,0 +1,545 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, PASSWORD, uniqueEmail, startTestApp, bearer } = require('./helpers/app');
+
+describe('mentors', { skip }, () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  describe('POST /api/mentors', () => {
+    it('creates an account with a draft that is submitted once the email is verified', async () => {
+      const { user, mentor, token, refreshToken, missingFields } = await ctx.createMentor({ title: 'Staff Engineer', submit: false });
+
+      assert.equal(user.role, 'user');
+      assert.equal(mentor.userId, user.id);
+      assert.equal(mentor.title, 'Staff Engineer');
+      assert.equal(mentor.hourlyRate, 80);
+      assert.equal(mentor.approvalStatus, 'draft');
+      assert.deepEqual(missingFields, []);
+      assert.ok(token);
+      assert.ok(refreshToken);
+      assert.ok(ctx.sentEmails.some(message => message.to === user.email));
+
+      const submit = () => request(ctx.app).post('/api/mentors/profile/me').set(bearer(token)).send({ submit: true });
+      const unverified = await submit();
+      assert.equal(unverified.status, 403);
+      assert.equal(unverified.body.code, 'EMAIL_NOT_VERIFIED');
+
+      await ctx.markEmailVerified(user.id);
+      const submitted = await submit();
+      assert.equal(submitted.status, 200);
+      assert.equal(submitted.body.data.mentor.approvalStatus, 'pending');
+      assert.equal(submitted.body.data.mentor.isApproved, false);
+      assert.equal((await ctx.prisma.user.findUnique({ where: { id: user.id } })).role, 'mentor');
+    });
+
+    it('rejects an email that is already registered', async () => {
+      const { user } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .post('/api/mentors')
+        .send({ email: user.email, password: PASSWORD, title: 'Senior Engineer', submit: false });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'EMAIL_TAKEN');
+    });
+
+    it('saves an incomplete profile as a draft', async () => {
+      const res = await request(ctx.app)
+        .post('/api/mentors')
+        .send({ email: uniqueEmail('mentor'), password: PASSWORD, title: 'Senior Engineer' });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.user.role, 'user');
+      assert.equal(res.body.data.mentor.approvalStatus, 'draft');
+      assert.deepEqual(res.body.data.missingFields, ['bio', 'timezone', 'hourlyRate', 'currency', 'languages']);
+    });
+
+    it('refuses to submit for review before the email is verified', async () => {
+      const email = uniqueEmail('mentor');
+      const res = await request(ctx.app)
+        .post('/api/mentors')
+        .send({
+          email,
+          password: PASSWORD,
+          title: 'Senior Engineer',
+          bio: 'Ten years of backend work',
+          timezone: 'Europe/Berlin',
+          hourlyRate: 80,
+          currency: 'EUR',
+          languages: [{ code: 'en', language: 'English', level: 'Advanced' }],
+          submit: true
+        });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+      assert.equal(await ctx.prisma.user.count({ where: { email } }), 0);
+    });
+
+    it('records the submission in the approval history', async () => {
+      const { mentor } = await ctx.createMentor();
+      const history = await ctx.prisma.mentorApprovalHistory.findMany({ where: { mentorId: mentor.id } });
+
+      assert.equal(history.length, 1);
+      assert.equal(history[0].status, 'pending');
+      assert.equal(history[0].adminId, null);
+    });
+  });
+
+  describe('POST /api/mentors/profile/me', () => {
+    it('turns a signed-in user into a mentor over several steps', async () => {
+      const { user, token } = await ctx.registerUser();
+
+      const first = await request(ctx.app)
+        .post('/api/mentors/profile/me')
+        .set(bearer(token))
+        .send({ title: 'Data Scientist' });
+      assert.equal(first.status, 201);
+      assert.equal(first.body.data.mentor.userId, user.id);
+      assert.equal(first.body.data.mentor.approvalStatus, 'draft');
+      assert.deepEqual(first.body.data.missingFields, ['bio', 'timezone', 'hourlyRate', 'currency', 'languages']);
+
+      // Drafts stay private and do not change the role yet
+      const publicView = await request(ctx.app).get(`/api/mentors/${first.body.data.mentor.id}`);
+      assert.equal(publicView.status, 404);
+      const listed = await request(ctx.app).get('/api/mentors').query({ limit: 100 });
+      assert.ok(!listed.body.data.mentors.some(mentor => mentor.id === first.body.data.mentor.id));
+      assert.equal((await ctx.prisma.user.findUnique({ where: { id: user.id } })).role, 'user');
+
+      const second = await request(ctx.app)
+        .post('/api/mentors/profile/me')
+        .set(bearer(token))
+        .send({ bio: 'Machine learning in production', timezone: 'Asia/Dhaka', hourlyRate: 0 });
+      assert.equal(second.status, 200);
+      assert.equal(second.body.data.mentor.id, first.body.data.mentor.id);
+      assert.equal(second.body.data.mentor.title, 'Data Scientist');
+      assert.deepEqual(second.body.data.missingFields, ['currency', 'languages']);
+
+      const own = await request(ctx.app).get('/api/mentors/profile/me').set(bearer(token));
+      assert.equal(own.status, 200);
+      assert.equal(own.body.data.mentor.approvalStatus, 'draft');
+      assert.deepEqual(own.body.data.missingFields, ['currency', 'languages']);
+
+      await ctx.markEmailVerified(user.id);
+      const submitted = await request(ctx.app)
+        .post('/api/mentors/profile/me')
+        .set(bearer(token))
+        .send({ currency: 'BDT', languages: [{ code: 'bn', language: 'Bengali', level: 'Native' }], submit: true });
+      assert.equal(submitted.status, 200);
+      assert.equal(submitted.body.data.mentor.approvalStatus, 'pending');
+      assert.deepEqual(submitted.body.data.missingFields, []);
+      assert.equal((await ctx.prisma.user.findUnique({ where: { id: user.id } })).role, 'mentor');
+
+      // Submitted profiles are public only once approved, but the owner can see theirs
+      const afterSubmit = await request(ctx.app).get(`/api/mentors/${first.body.data.mentor.id}`);
+      assert.equal(afterSubmit.status, 404);
+      const ownerView = await request(ctx.app).get(`/api/mentors/${first.body.data.mentor.id}`).set(bearer(token));
+      assert.equal(ownerView.status, 200);
+    });
+
+    it('keeps saving drafts but submits only for a verified email', async () => {
+      const { user, token } = await ctx.registerUser();
+      const profile = {
+        title: 'Unverified Mentor',
+        bio: 'Frontend work for startups',
+        timezone: 'Europe/Lisbon',
+        hourlyRate: 50,
+        currency: 'EUR',
+        languages: [{ code: 'pt', language: 'Portuguese', level: 'Native' }]
+      };
+
+      const draft = await request(ctx.app).post('/api/mentors/profile/me').set(bearer(token)).send(profile);
+      assert.equal(draft.status, 201);
+      assert.deepEqual(draft.body.data.missingFields, []);
+
+      const refused = await request(ctx.app).post('/api/mentors/profile/me').set(bearer(token)).send({ submit: true });
+      assert.equal(refused.status, 403);
+      assert.equal(refused.body.code, 'EMAIL_NOT_VERIFIED');
+      const stored = await ctx.prisma.mentor.findUnique({ where: { userId: user.id } });
+      assert.equal(stored.approvalStatus, 'draft');
+      assert.equal((await ctx.prisma.user.findUnique({ where: { id: user.id } })).role, 'user');
+    });
+
+    it('refuses to submit an incomplete draft', async () => {
+      const { user, token } = await ctx.registerUser();
+      await ctx.markEmailVerified(user.id);
+      const res = await request(ctx.app)
+        .post('/api/mentors/profile/me')
+        .set(bearer(token))
+        .send({ title: 'Half Finished', submit: true });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'MENTOR_PROFILE_INCOMPLETE');
+      assert.equal(await ctx.prisma.mentor.count({ where: { title: 'Half Finished' } }), 0);
+    });
+
+    it('does not touch a profile that was already submitted', async () => {
+      const { token } = await ctx.createMentor();
+      const res = await request(ctx.app)
+        .post('/api/mentors/profile/me')
+        .set(bearer(token))
+        .send({ title: 'Second Profile' });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'MENTOR_PROFILE_EXISTS');
+    });
+
+    it('requires authentication', async () => {
+      const res = await request(ctx.app)
+        .post('/api/mentors/profile/me')
+        .send({ title: 'Anonymous Mentor' });
+
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('GET /api/mentors', () => {
+    it('returns a mentor by id', async () => {
+      const { mentor } = await ctx.createMentor();
+      await ctx.approveMentor(mentor.id);
+      const res = await request(ctx.app).get(`/api/mentors/${mentor.id}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.mentor.id, mentor.id);
+      assert.equal(res.body.data.mentor.title, mentor.title);
+    });
+
+    it('returns 404 for an unknown id', async () => {
+      const res = await request(ctx.app).get('/api/mentors/999999');
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'MENTOR_NOT_FOUND');
+    });
+
+    it('lists mentors with pagination', async () => {
+      const { mentor } = await ctx.createMentor();
+      await ctx.approveMentor(mentor.id);
+      const res = await request(ctx.app).get('/api/mentors').query({ limit: 100 });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.mentors.some(listed => listed.id === mentor.id));
+      assert.ok(res.body.data.pagination.total >= 1);
+    });
+
+    it('shows mentors that are not approved only to admins and their owner', async () => {
+      const pending = await ctx.createMentor();
+      const suspended = await ctx.createMentor();
+      await ctx.approveMentor(suspended.mentor.id);
+      await ctx.prisma.mentor.update({
+        where: { id: suspended.mentor.id },
+        data: { approvalStatus: 'suspended', isApproved: false }
+      });
+      const admin = await ctx.registerAdmin();
+      const hiddenIds = [pending.mentor.id, suspended.mentor.id];
+
+      const listed = await request(ctx.app).get('/api/mentors').query({ limit: 100 });
+      assert.ok(!listed.body.data.mentors.some(mentor => hiddenIds.includes(mentor.id)));
+      const facets = await request(ctx.app).get('/api/mentors/facets');
+      assert.equal(facets.body.data.total, listed.body.data.pagination.total);
+
+      for (const id of hiddenIds) {
+        assert.equal((await request(ctx.app).get(`/api/mentors/${id}`)).status, 404);
+      }
+      const byUser = await request(ctx.app).get(`/api/mentors/user/${pending.user.id}`);
+      assert.equal(byUser.status, 404);
+
+      const ownerView = await request(ctx.app).get(`/api/mentors/${pending.mentor.id}`).set(bearer(pending.token));
+      assert.equal(ownerView.status, 200);
+      const otherMentorView = await request(ctx.app).get(`/api/mentors/${suspended.mentor.id}`).set(bearer(pending.token));
+      assert.equal(otherMentorView.status, 404);
+
+      const adminList = await request(ctx.app).get('/api/mentors').set(bearer(admin.token)).query({ limit: 100 });
+      assert.ok(hiddenIds.every(id => adminList.body.data.mentors.some(mentor => mentor.id === id)));
+      const adminView = await request(ctx.app).get(`/api/mentors/${suspended.mentor.id}`).set(bearer(admin.token));
+      assert.equal(adminView.status, 200);
+    });
+  });
+
+  describe('PUT /api/mentors/:id', () => {
+    it('lets the owner update their profile', async () => {
+      const { mentor, token } = await ctx.createMentor();
+      const res = await request(ctx.app)
+        .put(`/api/mentors/${mentor.id}`)
+        .set(bearer(token))
+        .send({ title: 'Principal Engineer', hourlyRate: 120 });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.mentor.title, 'Principal Engineer');
+      assert.equal(res.body.data.mentor.hourlyRate, 120);
+
+      const stored = await ctx.prisma.mentor.findUnique({ where: { id: mentor.id } });
+      assert.equal(stored.title, 'Principal Engineer');
+    });
+
+    it('accepts a rate of zero but keeps required fields filled in', async () => {
+      const { mentor, token } = await ctx.createMentor();
+
+      const free = await request(ctx.app)
+        .put(`/api/mentors/${mentor.id}`)
+        .set(bearer(token))
+        .send({ hourlyRate: 0 });
+      assert.equal(free.status, 200);
+      assert.equal(free.body.data.mentor.hourlyRate, 0);
+
+      const cleared = await request(ctx.app)
+        .put(`/api/mentors/${mentor.id}`)
+        .set(bearer(token))
+        .send({ bio: '', languages: [] });
+      assert.equal(cleared.status, 400);
+      assert.equal(cleared.body.code, 'MENTOR_PROFILE_INCOMPLETE');
+      assert.deepEqual(cleared.body.details.missingFields, ['bio', 'languages']);
+    });
+
+    it('never takes the approval flag from the body', async () => {
+      const { mentor, token } = await ctx.createMentor();
+      const res = await request(ctx.app)
+        .put(`/api/mentors/${mentor.id}`)
+        .set(bearer(token))
+        .send({ title: 'Self Approved', isApproved: true });
+
+      assert.equal(res.status, 200);
+      const stored = await ctx.prisma.mentor.findUnique({ where: { id: mentor.id } });
+      assert.equal(stored.isApproved, false);
+    });
+
+    it('forbids other users', async () => {
+      const { mentor } = await ctx.createMentor({ title: 'Untouched Title' });
+      const other = await ctx.registerUser();
+      const otherMentor = await ctx.createMentor();
+
+      for (const token of [other.token, otherMentor.token]) {
+        const res = await request(ctx.app)
+          .put(`/api/mentors/${mentor.id}`)
+          .set(bearer(token))
+          .send({ title: 'Hijacked' });
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, 'FORBIDDEN');
+      }
+
+      const stored = await ctx.prisma.mentor.findUnique({ where: { id: mentor.id } });
+      assert.equal(stored.title, 'Untouched Title');
+    });
+
+    it('lets an admin update any profile', async () => {
+      const { mentor } = await ctx.createMentor();
+      const admin = await ctx.registerAdmin();
+      const res = await request(ctx.app)
+        .put(`/api/mentors/${mentor.id}`)
+        .set(bearer(admin.token))
+        .send({ title: 'Edited By Admin' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.mentor.title, 'Edited By Admin');
+    });
+
+    it('requires authentication', async () => {
+      const { mentor } = await ctx.createMentor();
+      const res = await request(ctx.app)
+        .put(`/api/mentors/${mentor.id}`)
+        .send({ title: 'Anonymous Edit' });
+
+      assert.equal(res.status, 401);
+    });
+
+    it('returns 404 for an unknown id', async () => {
+      const admin = await ctx.registerAdmin();
+      const res = await request(ctx.app)
+        .put('/api/mentors/999999')
+        .set(bearer(admin.token))
+        .send({ title: 'Nobody Home' });
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'MENTOR_NOT_FOUND');
+    });
+
+    it('rejects an id that is not a number', async () => {
+      const admin = await ctx.registerAdmin();
+      const res = await request(ctx.app)
+        .put('/api/mentors/abc')
+        .set(bearer(admin.token))
+        .send({ title: 'Nobody Home' });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].field, 'id');
+    });
+  });
+
+  describe('PATCH /api/mentors/:id/approve, reject and suspend', () => {
+    const decide = (admin, mentorId, action, body = {}) => {
+      return request(ctx.app)
+        .patch(`/api/mentors/${mentorId}/${action}`)
+        .set(bearer(admin.token))
+        .send(body);
+    };
+
+    it('approves a pending mentor and lists them publicly', async () => {
+      const { user, mentor } = await ctx.createMentor();
+      const admin = await ctx.registerAdmin();
+
+      // Profiles submitted before a verified email was required may still be unverified
+      await ctx.prisma.user.update({ where: { id: user.id }, data: { emailVerified: false } });
+      const unverified = await decide(admin, mentor.id, 'approve');
+      assert.equal(unverified.status, 409);
+      assert.equal(unverified.body.code, 'MENTOR_EMAIL_NOT_VERIFIED');
+
+      await ctx.markEmailVerified(user.id);
+      const res = await decide(admin, mentor.id, 'approve');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.mentor.approvalStatus, 'approved');
+      assert.equal(res.body.data.mentor.isApproved, true);
+
+      const publicView = await request(ctx.app).get(`/api/mentors/${mentor.id}`);
+      assert.equal(publicView.status, 200);
+    });
+
+    it('rejects with a reason and takes the mentor back into review once they edit', async () => {
+      const { mentor, token } = await ctx.createMentor();
+      const admin = await ctx.registerAdmin();
+
+      const withoutReason = await decide(admin, mentor.id, 'reject');
+      assert.equal(withoutReason.status, 400);
+      assert.equal(withoutReason.body.errors[0].field, 'reason');
+
+      const rejected = await decide(admin, mentor.id, 'reject', { reason: 'Bio is too short' });
+      assert.equal(rejected.status, 200);
+      assert.equal(rejected.body.data.mentor.approvalStatus, 'rejected');
+
+      const edited = await request(ctx.app)
+        .put(`/api/mentors/${mentor.id}`)
+        .set(bearer(token))
+        .send({ bio: 'Ten years of backend work, mostly payments and search' });
+      assert.equal(edited.status, 200);
+      assert.equal(edited.body.data.mentor.approvalStatus, 'pending');
+
+      const history = await ctx.prisma.mentorApprovalHistory.findMany({
+        where: { mentorId: mentor.id },
+        orderBy: { id: 'asc' }
+      });
+      assert.deepEqual(history.map(entry => entry.status), ['pending', 'rejected', 'pending']);
+      assert.equal(history[1].reason, 'Bio is too short');
+      assert.equal(history[1].adminId, admin.user.id);
+    });
+
+    it('suspends an approved mentor only', async () => {
+      const { mentor } = await ctx.createMentor();
+      const admin = await ctx.registerAdmin();
+
+      const notApproved = await decide(admin, mentor.id, 'suspend', { reason: 'Reported by mentees' });
+      assert.equal(notApproved.status, 409);
+      assert.equal(notApproved.body.code, 'INVALID_STATUS_TRANSITION');
+
+      assert.equal((await decide(admin, mentor.id, 'approve')).status, 200);
+
+      const suspended = await decide(admin, mentor.id, 'suspend', { reason: 'Reported by mentees' });
+      assert.equal(suspended.status, 200);
+      assert.equal(suspended.body.data.mentor.approvalStatus, 'suspended');
+      assert.equal(suspended.body.data.mentor.isApproved, false);
+
+      const publicView = await request(ctx.app).get(`/api/mentors/${mentor.id}`);
+      assert.equal(publicView.status, 404);
+    });
+
+    it('lets only one of two concurrent decisions through', async () => {
+      const { mentor } = await ctx.createMentor();
+      const admin = await ctx.registerAdmin();
+
+      const results = await Promise.all([
+        decide(admin, mentor.id, 'approve'),
+        decide(admin, mentor.id, 'reject', { reason: 'Not a fit for the platform' })
+      ]);
+
+      assert.deepEqual(results.map(res => res.status).sort(), [200, 409]);
+      const history = await ctx.prisma.mentorApprovalHistory.count({ where: { mentorId: mentor.id } });
+      assert.equal(history, 2);
+    });
+
+    it('is for admins only', async () => {
+      const { mentor, token } = await ctx.createMentor();
+      const res = await request(ctx.app)
+        .patch(`/api/mentors/${mentor.id}/approve`)
+        .set(bearer(token))
+        .send({});
+
+      assert.equal(res.status, 403);
+      assert.equal((await ctx.prisma.mentor.findUnique({ where: { id: mentor.id } })).approvalStatus, 'pending');
+    });
+  });
+
+  describe('GET /api/mentors/:id/approval-history', () => {
+    it('shows the owner who decided but only shows admins their email', async () => {
+      const { mentor, token } = await ctx.createMentor();
+      const admin = await ctx.registerAdmin();
+      const approved = await request(ctx.app)
+        .patch(`/api/mentors/${mentor.id}/approve`)
+        .set(bearer(admin.token))
+        .send({});
+      assert.equal(approved.status, 200);
+
+      const own = await request(ctx.app)
+        .get(`/api/mentors/${mentor.id}/approval-history`)
+        .set(bearer(token));
+      assert.equal(own.status, 200);
+      assert.deepEqual(own.body.data.history[0].admin, { id: admin.user.id, name: admin.user.name });
+
+      const asAdmin = await request(ctx.app)
+        .get(`/api/mentors/${mentor.id}/approval-history`)
+        .set(bearer(admin.token));
+      assert.equal(asAdmin.body.data.history[0].admin.email, admin.user.email);
+    });
+  });
+
+  describe('DELETE /api/mentors/:id', () => {
+    it('forbids other users', async () => {
+      const { mentor } = await ctx.createMentor();
+      const other = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .delete(`/api/mentors/${mentor.id}`)
+        .set(bearer(other.token));
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'FORBIDDEN');
+      assert.ok(await ctx.prisma.mentor.findUnique({ where: { id: mentor.id } }));
+    });
+
+    it('lets the owner delete their profile and demotes them to a regular user', async () => {
+      const { user, mentor, token } = await ctx.createMentor();
+      const res = await request(ctx.app)
+        .delete(`/api/mentors/${mentor.id}`)
+        .set(bearer(token));
+
+      assert.equal(res.status, 200);
+
+      const gone = await request(ctx.app).get(`/api/mentors/${mentor.id}`);
+      assert.equal(gone.status, 404);
+
+      const stored = await ctx.prisma.user.findUnique({ where: { id: user.id } });
+      assert.equal(stored.role, 'user');
+    });
+
+    it('lets an admin delete any profile', async () => {
+      const { user, mentor } = await ctx.createMentor();
+      const admin = await ctx.registerAdmin();
+      const res = await request(ctx.app)
+        .delete(`/api/mentors/${mentor.id}`)
+        .set(bearer(admin.token));
+
+      assert.equal(res.status, 200);
+      assert.equal(await ctx.prisma.mentor.findUnique({ where: { id: mentor.id } }), null);
+
+      const stored = await ctx.prisma.user.findUnique({ where: { id: user.id } });
+      assert.equal(stored.role, 'user');
+    });
+  });
+});
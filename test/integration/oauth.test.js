@@ -0,0 +1,128 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, startTestApp, bearer } = require('./helpers/app');
+
+const FRONTEND_CALLBACK = 'http://localhost:3000/auth/google/callback';
+
+describe('Google sign-in', { skip }, () => {
+  let ctx;
+  let createUserToken;
+
+  // One-time code as handed to the frontend by the Google callback
+  const oauthCode = (userId, ttlMinutes = 1) => createUserToken(userId, 'oauth_code', ttlMinutes);
+
+  const exchange = (code) => request(ctx.app).post('/api/auth/google/exchange').send({ code });
+
+  before(async () => {
+    // The Google routes are only registered when credentials are configured
+    process.env.GOOGLE_CLIENT_ID = 'test-client-id';
+    process.env.GOOGLE_CLIENT_SECRET = 'test-client-secret';
+    process.env.FRONTEND_URL = 'http://localhost:3000';
+    delete process.env.OAUTH_REDIRECT_ALLOWLIST;
+
+    ctx = await startTestApp();
+    ({ createUserToken } = require('../../src/utils/user.token.utils'));
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  describe('GET /api/auth/google', () => {
+    it('sends the browser to Google with a state bound to a cookie', async () => {
+      const res = await request(ctx.app).get('/api/auth/google').query({ redirect: FRONTEND_CALLBACK });
+
+      assert.equal(res.status, 302);
+      const location = new URL(res.headers.location);
+      assert.equal(location.hostname, 'accounts.google.com');
+      const state = location.searchParams.get('state');
+      assert.ok(state);
+
+      const cookie = res.headers['set-cookie'].find(value => value.startsWith('oauth_state='));
+      assert.ok(cookie);
+      assert.match(cookie, /HttpOnly/);
+    });
+
+    it('refuses a redirect target that is not allow-listed', async () => {
+      const res = await request(ctx.app).get('/api/auth/google').query({ redirect: 'https://evil.example/callback' });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'REDIRECT_NOT_ALLOWED');
+    });
+  });
+
+  describe('GET /api/auth/google/callback', () => {
+    it('fails without the state cookie from the same browser', async () => {
+      const res = await request(ctx.app).get('/api/auth/google/callback').query({ state: 'forged', code: 'anything' });
+
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.location, '/api/auth/google/error');
+    });
+
+    it('fails when the state does not match the cookie', async () => {
+      const started = await request(ctx.app).get('/api/auth/google');
+      const cookie = started.headers['set-cookie'].find(value => value.startsWith('oauth_state=')).split(';')[0];
+
+      const res = await request(ctx.app)
+        .get('/api/auth/google/callback')
+        .set('Cookie', cookie)
+        .query({ state: 'forged', code: 'anything' });
+
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.location, '/api/auth/google/error');
+    });
+  });
+
+  describe('POST /api/auth/google/exchange', () => {
+    it('trades the one-time code for tokens once', async () => {
+      const { user } = await ctx.registerUser();
+      const code = await oauthCode(user.id);
+
+      const res = await exchange(code);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.id, user.id);
+      assert.ok(res.body.data.refreshToken);
+
+      const profile = await request(ctx.app).get('/api/auth/profile').set(bearer(res.body.data.token));
+      assert.equal(profile.status, 200);
+
+      const reused = await exchange(code);
+      assert.equal(reused.status, 400);
+      assert.equal(reused.body.code, 'INVALID_OAUTH_CODE');
+    });
+
+    it('rejects expired codes and other kinds of tokens', async () => {
+      const { user } = await ctx.registerUser();
+
+      const expired = await exchange(await oauthCode(user.id, -1));
+      assert.equal(expired.status, 400);
+      assert.equal(expired.body.code, 'INVALID_OAUTH_CODE');
+
+      const resetToken = await createUserToken(user.id, 'password_reset', 60);
+      const wrongType = await exchange(resetToken);
+      assert.equal(wrongType.status, 400);
+      assert.equal(wrongType.body.code, 'INVALID_OAUTH_CODE');
+    });
+
+    it('still asks for the second factor', async () => {
+      const account = await ctx.registerUser();
+      const { encryptSecret, generateTotpSecret } = require('../../src/utils/two.factor.utils');
+      await ctx.prisma.user.update({
+        where: { id: account.user.id },
+        data: { twoFactorEnabled: true, twoFactorSecret: encryptSecret(generateTotpSecret()) }
+      });
+
+      const res = await exchange(await oauthCode(account.user.id));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.twoFactorRequired, true);
+      assert.ok(res.body.data.challengeToken);
+      assert.equal(res.body.data.token, undefined);
+    });
+  });
+});
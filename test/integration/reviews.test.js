@@ -0,0 +1,127 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, startTestApp, bearer } = require('./helpers/app');
+
+describe('reviews', { skip }, () => {
+  let ctx;
+
+  const review = (reviewer, mentorId, body) => {
+    return request(ctx.app)
+      .post(`/api/mentors/${mentorId}/reviews`)
+      .set(bearer(reviewer.token))
+      .send(body);
+  };
+
+  const storedRating = async (mentorId) => {
+    const mentor = await ctx.prisma.mentor.findUnique({
+      where: { id: mentorId },
+      select: { averageRating: true, reviewCount: true }
+    });
+    return { averageRating: parseFloat(mentor.averageRating), reviewCount: mentor.reviewCount };
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  it('keeps the mentor\'s average rating and review count up to date', async () => {
+    const { mentor } = await ctx.createApprovedMentor();
+    const first = await ctx.registerUser();
+    const second = await ctx.registerUser();
+
+    const created = await review(first, mentor.id, { rating: 5, comment: ' Very helpful ' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.review.comment, 'Very helpful');
+    assert.equal(created.body.data.averageRating, 5);
+    assert.equal(created.body.data.reviewCount, 1);
+
+    const another = await review(second, mentor.id, { rating: 4 });
+    assert.equal(another.body.data.averageRating, 4.5);
+    assert.equal(another.body.data.reviewCount, 2);
+
+    const updated = await request(ctx.app)
+      .put(`/api/mentors/${mentor.id}/reviews/me`)
+      .set(bearer(second.token))
+      .send({ rating: 2 });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.averageRating, 3.5);
+
+    const deleted = await request(ctx.app)
+      .delete(`/api/mentors/${mentor.id}/reviews/me`)
+      .set(bearer(first.token));
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(deleted.body.data, { averageRating: 2, reviewCount: 1 });
+    assert.deepEqual(await storedRating(mentor.id), { averageRating: 2, reviewCount: 1 });
+
+    const listed = await request(ctx.app).get(`/api/mentors/${mentor.id}/reviews`);
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.data.count, 1);
+    assert.equal(listed.body.data.reviews[0].userId, second.user.id);
+    assert.equal(listed.body.data.averageRating, 2);
+  });
+
+  it('counts every review saved at the same time', async () => {
+    const { mentor } = await ctx.createApprovedMentor();
+    const reviewers = [];
+    for (let i = 0; i < 4; i++) {
+      reviewers.push(await ctx.registerUser());
+    }
+    const ratings = [5, 4, 2, 1];
+
+    const results = await Promise.all(reviewers.map((reviewer, i) => review(reviewer, mentor.id, { rating: ratings[i] })));
+
+    assert.ok(results.every(res => res.status === 201));
+    assert.deepEqual(await storedRating(mentor.id), { averageRating: 3, reviewCount: 4 });
+  });
+
+  it('allows one review per user and none of your own profile', async () => {
+    const mentorAccount = await ctx.createApprovedMentor();
+    const reviewer = await ctx.registerUser();
+
+    assert.equal((await review(reviewer, mentorAccount.mentor.id, { rating: 4 })).status, 201);
+
+    const again = await review(reviewer, mentorAccount.mentor.id, { rating: 1 });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'REVIEW_EXISTS');
+
+    const own = await review(mentorAccount, mentorAccount.mentor.id, { rating: 5 });
+    assert.equal(own.status, 400);
+    assert.equal(own.body.code, 'CANNOT_REVIEW_SELF');
+  });
+
+  it('rejects ratings outside 1 to 5 and mentors that are not approved', async () => {
+    const approved = await ctx.createApprovedMentor();
+    const pending = await ctx.createMentor();
+    const reviewer = await ctx.registerUser();
+
+    const outOfRange = await review(reviewer, approved.mentor.id, { rating: 6 });
+    assert.equal(outOfRange.status, 400);
+    assert.equal(outOfRange.body.errors[0].field, 'rating');
+
+    const notApproved = await review(reviewer, pending.mentor.id, { rating: 5 });
+    assert.equal(notApproved.status, 404);
+    assert.equal(notApproved.body.code, 'MENTOR_NOT_FOUND');
+  });
+
+  it('returns 404 when there is no review to change', async () => {
+    const { mentor } = await ctx.createApprovedMentor();
+    const reviewer = await ctx.registerUser();
+
+    const res = await request(ctx.app)
+      .put(`/api/mentors/${mentor.id}/reviews/me`)
+      .set(bearer(reviewer.token))
+      .send({ rating: 3 });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'REVIEW_NOT_FOUND');
+  });
+});
@@ -0,0 +1,201 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, PASSWORD, uniqueEmail, startTestApp, bearer } = require('./helpers/app');
+
+describe('taxonomy', { skip }, () => {
+  let ctx;
+  let admin;
+
+  const createCategory = async (body) => {
+    const res = await request(ctx.app)
+      .post('/api/taxonomy/categories')
+      .set(bearer(admin.token))
+      .send(body);
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.data.category;
+  };
+
+  const createSkill = async (body) => {
+    const res = await request(ctx.app)
+      .post('/api/taxonomy/skills')
+      .set(bearer(admin.token))
+      .send(body);
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.data.skill;
+  };
+
+  const listMentorIds = async (query) => {
+    const res = await request(ctx.app).get('/api/mentors').query({ limit: 100, ...query });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return { ids: res.body.data.mentors.map(mentor => mentor.id), facets: res.body.data.facets };
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+    admin = await ctx.registerAdmin();
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  describe('curation', () => {
+    it('derives slugs from names and lists skills by category', async () => {
+      const category = await createCategory({ name: 'Data Science' });
+      assert.equal(category.slug, 'data-science');
+
+      const skill = await createSkill({ name: 'Machine Learning', categoryId: category.id });
+      assert.equal(skill.slug, 'machine-learning');
+      assert.equal(skill.category.slug, 'data-science');
+
+      const skills = await request(ctx.app).get('/api/taxonomy/skills').query({ category: 'data-science' });
+      assert.equal(skills.status, 200);
+      assert.deepEqual(skills.body.data.skills.map(listed => listed.slug), ['machine-learning']);
+
+      const categories = await request(ctx.app).get('/api/taxonomy/categories');
+      const listed = categories.body.data.categories.find(entry => entry.slug === 'data-science');
+      assert.deepEqual(listed.skills.map(entry => entry.slug), ['machine-learning']);
+    });
+
+    it('rejects duplicate slugs', async () => {
+      await createCategory({ name: 'Design' });
+      const res = await request(ctx.app)
+        .post('/api/taxonomy/categories')
+        .set(bearer(admin.token))
+        .send({ name: 'Design again', slug: 'design' });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'CATEGORY_SLUG_TAKEN');
+    });
+
+    it('only deletes empty categories', async () => {
+      const category = await createCategory({ name: 'Marketing' });
+      const skill = await createSkill({ name: 'SEO', categoryId: category.id });
+
+      const blocked = await request(ctx.app)
+        .delete(`/api/taxonomy/categories/${category.id}`)
+        .set(bearer(admin.token));
+      assert.equal(blocked.status, 409);
+      assert.equal(blocked.body.code, 'CATEGORY_NOT_EMPTY');
+
+      await request(ctx.app).delete(`/api/taxonomy/skills/${skill.id}`).set(bearer(admin.token)).expect(200);
+      await request(ctx.app).delete(`/api/taxonomy/categories/${category.id}`).set(bearer(admin.token)).expect(200);
+    });
+
+    it('rejects ids that are not numbers', async () => {
+      for (const [method, path] of [
+        ['patch', '/api/taxonomy/categories/abc'],
+        ['delete', '/api/taxonomy/categories/abc'],
+        ['patch', '/api/taxonomy/skills/1.5'],
+        ['delete', '/api/taxonomy/skills/-1']
+      ]) {
+        const res = await request(ctx.app)[method](path).set(bearer(admin.token)).send({ name: 'Renamed' });
+
+        assert.equal(res.status, 400, `${method} ${path}`);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.equal(res.body.errors[0].field, 'id');
+      }
+    });
+
+    it('is limited to admins', async () => {
+      const { token } = await ctx.registerUser();
+      const res = await request(ctx.app)
+        .post('/api/taxonomy/categories')
+        .set(bearer(token))
+        .send({ name: 'Not Allowed' });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('mentor skills', () => {
+    let frontend;
+    let backend;
+    let react;
+    let node;
+    let postgres;
+
+    before(async () => {
+      frontend = await createCategory({ name: 'Frontend' });
+      backend = await createCategory({ name: 'Backend' });
+      react = await createSkill({ name: 'React', categoryId: frontend.id });
+      node = await createSkill({ name: 'Node', categoryId: backend.id });
+      postgres = await createSkill({ name: 'PostgreSQL', categoryId: backend.id });
+    });
+
+    it('stores skills with a level and rejects unknown ones', async () => {
+      const { mentor } = await ctx.createApprovedMentor({ skills: [{ slug: 'react', level: 'expert' }, { slug: 'node' }] });
+      assert.deepEqual(
+        mentor.skills.map(skill => [skill.slug, skill.level, skill.category.slug]),
+        [['node', 'intermediate', 'backend'], ['react', 'expert', 'frontend']]
+      );
+
+      const res = await request(ctx.app)
+        .post('/api/mentors')
+        .send({ email: uniqueEmail('mentor'), password: PASSWORD, submit: false, skills: [{ slug: 'cobol' }] });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'UNKNOWN_SKILLS');
+      assert.deepEqual(res.body.details.skills, ['cobol']);
+    });
+
+    it('replaces the skills on update', async () => {
+      const { mentor, token } = await ctx.createApprovedMentor({ skills: [{ slug: 'react' }] });
+      const res = await request(ctx.app)
+        .put(`/api/mentors/${mentor.id}`)
+        .set(bearer(token))
+        .send({ skills: [{ slug: 'postgresql', level: 'advanced' }] });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.mentor.skills.map(skill => skill.slug), ['postgresql']);
+    });
+
+    it('filters by any or all skills and by category, with skill facets', async () => {
+      const fullStack = await ctx.createApprovedMentor({ skills: [{ slug: 'react' }, { slug: 'node' }] });
+      const reactOnly = await ctx.createApprovedMentor({ skills: [{ slug: 'react' }] });
+      const dataOnly = await ctx.createApprovedMentor({ skills: [{ slug: 'postgresql' }] });
+
+      const any = await listMentorIds({ skills: 'react,node' });
+      assert.ok(any.ids.includes(fullStack.mentor.id));
+      assert.ok(any.ids.includes(reactOnly.mentor.id));
+      assert.ok(!any.ids.includes(dataOnly.mentor.id));
+
+      const all = await listMentorIds({ skills: 'react,node', skillMatch: 'all' });
+      assert.ok(all.ids.includes(fullStack.mentor.id));
+      assert.ok(!all.ids.includes(reactOnly.mentor.id));
+
+      const byCategory = await listMentorIds({ category: 'backend' });
+      assert.ok(byCategory.ids.includes(fullStack.mentor.id));
+      assert.ok(byCategory.ids.includes(dataOnly.mentor.id));
+      assert.ok(!byCategory.ids.includes(reactOnly.mentor.id));
+
+      // Facets ignore the skill filter itself but honour the others
+      const counts = (facets) => Object.fromEntries(facets.skills.map(facet => [facet.slug, facet.count]));
+      const unfiltered = counts((await listMentorIds({})).facets);
+      assert.deepEqual(counts(any.facets), unfiltered);
+      const backendCounts = counts(byCategory.facets);
+      assert.equal(backendCounts.postgresql, unfiltered.postgresql);
+      assert.ok(backendCounts.react < unfiltered.react);
+      assert.ok([react, node, postgres].every(skill => unfiltered[skill.slug] >= 1));
+    });
+
+    it('removes a deleted skill from mentor profiles', async () => {
+      const category = await createCategory({ name: 'Mobile' });
+      const swift = await createSkill({ name: 'Swift', categoryId: category.id });
+      const { mentor } = await ctx.createApprovedMentor({ skills: [{ slug: 'swift' }, { slug: 'react' }] });
+
+      const res = await request(ctx.app)
+        .delete(`/api/taxonomy/skills/${swift.id}`)
+        .set(bearer(admin.token));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.removedFromMentors, 1);
+
+      const updated = await request(ctx.app).get(`/api/mentors/${mentor.id}`);
+      assert.deepEqual(updated.body.data.mentor.skills.map(skill => skill.slug), ['react']);
+    });
+  });
+});
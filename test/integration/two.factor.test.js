@@ -0,0 +1,180 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { skip, PASSWORD, startTestApp, bearer } = require('./helpers/app');
+
+// Authenticator codes change every 30 seconds
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe('two-factor authentication', { skip }, () => {
+  let ctx;
+  let generateTotp;
+
+  // Enrolls the user with a code for the current step, which cannot be used again
+  const enableTwoFactor = async (account) => {
+    const setup = await request(ctx.app)
+      .post('/api/auth/2fa/setup')
+      .set(bearer(account.token))
+      .send({ password: PASSWORD });
+    assert.equal(setup.status, 200);
+    const { secret } = setup.body.data;
+
+    const confirmed = await request(ctx.app)
+      .post('/api/auth/2fa/confirm')
+      .set(bearer(account.token))
+      .send({ code: generateTotp(secret, currentStep()) });
+    assert.equal(confirmed.status, 200);
+
+    return { secret, recoveryCodes: confirmed.body.data.recoveryCodes };
+  };
+
+  const startLogin = async (account) => {
+    const res = await request(ctx.app)
+      .post('/api/auth/login')
+      .send({ email: account.user.email, password: PASSWORD });
+    assert.equal(res.status, 200);
+    return res.body.data;
+  };
+
+  const finishLogin = (challengeToken, code) => {
+    return request(ctx.app).post('/api/auth/login/2fa').send({ challengeToken, code });
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+    // Loaded after the app, once DATABASE_URL points at the test database
+    ({ generateTotp } = require('../../src/utils/two.factor.utils'));
+  });
+
+  beforeEach(async () => {
+    await ctx.resetRateLimits();
+  });
+
+  after(async () => {
+    if (ctx) await ctx.close();
+  });
+
+  describe('enrollment', () => {
+    it('is enabled only after a first code is confirmed', async () => {
+      const account = await ctx.registerUser();
+
+      const setup = await request(ctx.app)
+        .post('/api/auth/2fa/setup')
+        .set(bearer(account.token))
+        .send({ password: PASSWORD });
+      assert.equal(setup.status, 200);
+      assert.match(setup.body.data.otpauthUri, /^otpauth:\/\/totp\//);
+
+      const pending = await request(ctx.app).get('/api/auth/2fa').set(bearer(account.token));
+      assert.equal(pending.body.data.enabled, false);
+
+      const wrongCode = await request(ctx.app)
+        .post('/api/auth/2fa/confirm')
+        .set(bearer(account.token))
+        .send({ code: generateTotp(setup.body.data.secret, currentStep() + 10) });
+      assert.equal(wrongCode.status, 400);
+      assert.equal(wrongCode.body.code, 'INVALID_2FA_CODE');
+
+      const confirmed = await request(ctx.app)
+        .post('/api/auth/2fa/confirm')
+        .set(bearer(account.token))
+        .send({ code: generateTotp(setup.body.data.secret, currentStep()) });
+      assert.equal(confirmed.status, 200);
+      assert.equal(confirmed.body.data.recoveryCodes.length, 10);
+
+      const status = await request(ctx.app).get('/api/auth/2fa').set(bearer(account.token));
+      assert.equal(status.body.data.enabled, true);
+      assert.equal(status.body.data.recoveryCodesRemaining, 10);
+
+      const stored = await ctx.prisma.user.findUnique({ where: { id: account.user.id } });
+      assert.notEqual(stored.twoFactorSecret, setup.body.data.secret);
+    });
+
+    it('requires the account password to start', async () => {
+      const account = await ctx.registerUser();
+
+      const res = await request(ctx.app)
+        .post('/api/auth/2fa/setup')
+        .set(bearer(account.token))
+        .send({ password: 'Wrong12345' });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'INVALID_PASSWORD');
+    });
+  });
+
+  describe('POST /api/auth/login/2fa', () => {
+    it('asks for a code after the password and refuses replayed codes', async () => {
+      const account = await ctx.registerUser();
+      const { secret } = await enableTwoFactor(account);
+
+      const challenge = await startLogin(account);
+      assert.equal(challenge.twoFactorRequired, true);
+      assert.equal(challenge.token, undefined);
+
+      // The code used to confirm enrollment has been spent
+      const replayed = await finishLogin(challenge.challengeToken, generateTotp(secret, currentStep()));
+      assert.equal(replayed.status, 401);
+      assert.equal(replayed.body.code, 'INVALID_2FA_CODE');
+
+      const nextCode = generateTotp(secret, currentStep() + 1);
+      const res = await finishLogin(challenge.challengeToken, nextCode);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.id, account.user.id);
+      assert.equal(res.body.data.usedRecoveryCode, false);
+      assert.ok(res.body.data.token);
+
+      const reused = await finishLogin(challenge.challengeToken, nextCode);
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.code, 'INVALID_2FA_CODE');
+    });
+
+    it('accepts each recovery code once', async () => {
+      const account = await ctx.registerUser();
+      const { recoveryCodes } = await enableTwoFactor(account);
+      const { challengeToken } = await startLogin(account);
+
+      const res = await finishLogin(challengeToken, recoveryCodes[0].toUpperCase());
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.usedRecoveryCode, true);
+
+      const reused = await finishLogin(challengeToken, recoveryCodes[0]);
+      assert.equal(reused.status, 401);
+
+      const status = await request(ctx.app).get('/api/auth/2fa').set(bearer(res.body.data.token));
+      assert.equal(status.body.data.recoveryCodesRemaining, 9);
+    });
+
+    it('rejects an invalid challenge token', async () => {
+      const res = await finishLogin('not-a-challenge', '123456');
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'INVALID_2FA_CHALLENGE');
+    });
+  });
+
+  describe('POST /api/auth/2fa/disable', () => {
+    it('needs the password and a code, then logs in with the password alone', async () => {
+      const account = await ctx.registerUser();
+      const { recoveryCodes } = await enableTwoFactor(account);
+
+      const wrongPassword = await request(ctx.app)
+        .post('/api/auth/2fa/disable')
+        .set(bearer(account.token))
+        .send({ password: 'Wrong12345', code: recoveryCodes[0] });
+      assert.equal(wrongPassword.status, 401);
+      assert.equal(wrongPassword.body.code, 'INVALID_PASSWORD');
+
+      const disabled = await request(ctx.app)
+        .post('/api/auth/2fa/disable')
+        .set(bearer(account.token))
+        .send({ password: PASSWORD, code: recoveryCodes[0] });
+      assert.equal(disabled.status, 200);
+
+      const login = await startLogin(account);
+      assert.ok(login.token);
+      assert.equal(login.twoFactorRequired, undefined);
+      assert.equal(await ctx.prisma.twoFactorRecoveryCode.count({ where: { userId: account.user.id } }), 0);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { redact } = require('../src/utils/logger.utils');
+const { ConflictError } = require('../src/utils/errors.utils');
+
+test('sensitive fields are redacted at any depth', () => {
+  const entry = redact({ user: { email: 'ada@example.com', password: 'Password123' }, refreshToken: 'abc' });
+
+  assert.deepStrictEqual(entry, {
+    user: { email: 'ada@example.com', password: '[REDACTED]' },
+    refreshToken: '[REDACTED]'
+  });
+});
+
+test('one-time codes in a request body or query are redacted', () => {
+  const entry = redact({ body: { code: '123456', challengeToken: 'jwt' }, query: { code: 'oauth-code', state: 'abc' } });
+
+  assert.deepStrictEqual(entry, {
+    body: { code: '[REDACTED]', challengeToken: '[REDACTED]' },
+    query: { code: '[REDACTED]', state: 'abc' }
+  });
+});
+
+test('a logged error keeps its code', () => {
+  const prismaError = Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+  const entry = redact({
+    error: prismaError,
+    cause: new ConflictError('Slot is taken', 'SLOT_UNAVAILABLE')
+  });
+
+  assert.strictEqual(entry.error.code, 'P2002');
+  assert.strictEqual(entry.error.message, 'Unique constraint failed');
+  assert.strictEqual(entry.cause.code, 'SLOT_UNAVAILABLE');
+  assert.strictEqual(entry.cause.status, 409);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const app = require('../src/server');
+const docsRoutes = require('../src/routes/docs.routes');
+const { apiMounts, operations, buildOpenApiSpec } = require('../src/docs/openapi');
+const { findUndocumentedRoutes, findStaleOperations } = require('../src/utils/openapi.utils');
+
+test('every route has an entry in the OpenAPI spec', () => {
+  const undocumented = findUndocumentedRoutes(apiMounts, operations);
+  assert.deepStrictEqual(undocumented, [], `Add these routes to src/docs/openapi.js: ${undocumented.join(', ')}`);
+});
+
+test('the OpenAPI spec has no entries for removed routes', () => {
+  const stale = findStaleOperations(apiMounts, operations);
+  assert.deepStrictEqual(stale, [], `Remove these entries from src/docs/openapi.js: ${stale.join(', ')}`);
+});
+
+test('every router mounted on the app is covered by the spec', () => {
+  const documented = new Set([...apiMounts.map(mount => mount.router), docsRoutes]);
+  const mounted = app.router.stack
+    .map(layer => layer.handle)
+    .filter(handle => Array.isArray(handle.stack));
+
+  assert.ok(mounted.length > 0);
+  for (const router of mounted) {
+    assert.ok(documented.has(router), 'A router mounted in server.js is missing from apiMounts in src/docs/openapi.js');
+  }
+});
+
+test('operation ids are unique', () => {
+  const ids = Object.values(operations).map(operation => operation.operationId);
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  assert.deepStrictEqual(duplicates, []);
+  assert.ok(ids.every(Boolean), 'Every operation needs an operationId');
+});
+
+test('request schemas are derived from the validation chains', () => {
+  const spec = buildOpenApiSpec();
+
+  const register = spec.paths['/api/auth/register'].post;
+  const body = register.requestBody.content['application/json'].schema;
+  assert.deepStrictEqual(body.required, ['email', 'password']);
+  assert.strictEqual(body.properties.email.format, 'email');
+  assert.strictEqual(body.properties.password.minLength, 8);
+  assert.strictEqual(body.properties.name.maxLength, 100);
+  assert.ok(register.responses[400], 'validated routes document VALIDATION_FAILED');
+
+  const listMentors = spec.paths['/api/mentors'].get;
+  const limit = listMentors.parameters.find(parameter => parameter.name === 'limit');
+  assert.deepStrictEqual(limit.schema, { type: 'integer', minimum: 1, maximum: 100 });
+  assert.deepStrictEqual(
+    listMentors.parameters.find(parameter => parameter.name === 'order').schema.enum,
+    ['asc', 'desc']
+  );
+
+  const updateRole = spec.paths['/api/auth/users/{id}/role'].patch;
+  assert.strictEqual(updateRole.parameters.find(parameter => parameter.in === 'path').schema.type, 'integer');
+  assert.deepStrictEqual(updateRole.security, [{ bearerAuth: [] }]);
+  assert.ok(updateRole.responses[403]);
+});
+
+test('path parameters are declared for every templated path', () => {
+  const spec = buildOpenApiSpec();
+
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    const names = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => name);
+    for (const [method, operation] of Object.entries(methods)) {
+      const declared = (operation.parameters || []).filter(parameter => parameter.in === 'path').map(parameter => parameter.name);
+      assert.deepStrictEqual(declared, names, `${method.toUpperCase()} ${path}`);
+      assert.ok(Object.keys(operation.responses).length > 0, `${method.toUpperCase()} ${path} has no responses`);
+    }
+  }
+});